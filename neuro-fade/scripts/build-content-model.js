@@ -0,0 +1,169 @@
+/**
+ * Neuro-Fade Content Model Builder
+ * Writes the packaged content classifier (src/models/content-classifier.onnx)
+ * and its model manifest. The model is a linear layer + softmax over the
+ * normalized features of NPUBridge._extractContentFeatures, with weights that
+ * approximate the heuristic dopamine score (its warm-color step becomes
+ * linear) — a starting point that a trained model can replace without code
+ * changes.
+ *
+ * Usage: node scripts/build-content-model.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MODEL_DIR = path.join(__dirname, '..', 'src', 'models');
+const MODEL_NAME = 'content-classifier';
+const MODEL_VERSION = '1.1.0';
+const BATCH = 'batch'; // Dynamic first dimension: any number of frames per run
+
+// constants.js is a browser script that exports onto `window`
+global.window = globalThis;
+require(path.join(__dirname, '..', 'src/shared/constants.js'));
+
+const C = window.NEURO_FADE_CONSTANTS;
+const FEATURES = C.CONTENT_CLASSIFY.FEATURES;
+const LABELS = Object.keys(C.CONTENT_CLASSIFY.INTENSITY);
+
+// Typical feature values of short-form video frames (inputs are
+// normalized as (x - mean) / std before inference)
+const MEAN = [0.45, 0.42, 0.40, 0.80, 0.95, 0.15, 0.10, 0.42, 0.55, 0.45];
+const STD = [0.20, 0.20, 0.20, 0.20, 0.08, 0.08, 0.10, 0.20, 0.25, 0.25];
+
+// Heuristic dopamine score per raw feature (see _extractContentFeatures)
+const SCORE = [0, 0, 0, 30, 0, 25, 20, 15, 10, 0];
+const CALMING_BELOW = 35;
+const HIGH_ABOVE = 60;
+const SHARPNESS = 0.15; // Logit per score point
+
+/**
+ * Logits: calming = k(35 - s), moderate = 0, high_dopamine = k(s - 60), with
+ * s the score of the raw features — folded into weights over normalized ones
+ */
+function buildWeights() {
+    const perClass = [
+        { sign: -1, offset: SHARPNESS * CALMING_BELOW },
+        { sign: 0, offset: 0 },
+        { sign: 1, offset: -SHARPNESS * HIGH_ABOVE }
+    ];
+    const weights = new Float32Array(FEATURES.length * LABELS.length); // [features, labels]
+    const bias = new Float32Array(LABELS.length);
+
+    perClass.forEach(({ sign, offset }, c) => {
+        bias[c] = offset;
+        FEATURES.forEach((_, f) => {
+            const w = sign * SHARPNESS * SCORE[f];
+            weights[f * LABELS.length + c] = w * STD[f];
+            bias[c] += w * MEAN[f];
+        });
+    });
+    return { weights, bias };
+}
+
+// ==========================================
+// Minimal protobuf writer (onnx.proto)
+// ==========================================
+
+function varint(value) {
+    const bytes = [];
+    let v = BigInt.asUintN(64, BigInt(value));
+    do {
+        let byte = Number(v & 0x7fn);
+        v >>= 7n;
+        if (v > 0n) byte |= 0x80;
+        bytes.push(byte);
+    } while (v > 0n);
+    return Buffer.from(bytes);
+}
+
+const field = {
+    int(number, value) {
+        return Buffer.concat([varint(number << 3), varint(value)]);
+    },
+    bytes(number, buffer) {
+        return Buffer.concat([varint((number << 3) | 2), varint(buffer.length), buffer]);
+    },
+    string(number, value) {
+        return field.bytes(number, Buffer.from(value, 'utf8'));
+    },
+    message(number, parts) {
+        return field.bytes(number, Buffer.concat(parts));
+    }
+};
+
+const FLOAT = 1; // TensorProto.DataType / AttributeProto.AttributeType
+
+function tensor(name, dims, values) {
+    const raw = Buffer.alloc(values.length * 4);
+    values.forEach((v, i) => raw.writeFloatLE(v, i * 4));
+    return [
+        ...dims.map(d => field.int(1, d)),
+        field.int(2, FLOAT),
+        field.string(8, name),
+        field.bytes(9, raw)
+    ];
+}
+
+function valueInfo(name, dims) {
+    // Dimension: dim_value, or dim_param for a named (dynamic) dimension
+    const shape = dims.map(d => field.message(1, [typeof d === 'string' ? field.string(2, d) : field.int(1, d)]));
+    const tensorType = [field.int(1, FLOAT), field.message(2, shape)];
+    return [field.string(1, name), field.message(2, [field.message(1, tensorType)])];
+}
+
+function node(opType, inputs, outputs, attributes = []) {
+    return [
+        ...inputs.map(i => field.string(1, i)),
+        ...outputs.map(o => field.string(2, o)),
+        field.string(3, opType.toLowerCase()),
+        field.string(4, opType),
+        ...attributes.map(a => field.message(5, a))
+    ];
+}
+
+function intAttribute(name, value) {
+    return [field.string(1, name), field.int(20, 2), field.int(3, value)]; // type INT
+}
+
+function buildModel({ weights, bias }, manifest) {
+    const { input, output } = manifest;
+    const graph = [
+        field.message(1, node('Gemm', [input.name, 'weights', 'bias'], ['logits'])),
+        field.message(1, node('Softmax', ['logits'], [output.name], [intAttribute('axis', -1)])),
+        field.string(2, MODEL_NAME),
+        field.message(5, tensor('weights', [FEATURES.length, LABELS.length], weights)),
+        field.message(5, tensor('bias', [LABELS.length], bias)),
+        field.message(11, valueInfo(input.name, input.shape)),
+        field.message(12, valueInfo(output.name, [input.shape[0], LABELS.length]))
+    ];
+
+    return Buffer.concat([
+        field.int(1, 7),                                    // ir_version
+        field.string(2, 'neuro-fade'),                      // producer_name
+        field.string(3, MODEL_VERSION),                     // producer_version
+        field.int(5, 1),                                    // model_version
+        field.string(6, 'Neuro-Fade content classifier'),   // doc_string
+        field.message(7, graph),
+        field.message(8, [field.string(1, ''), field.int(2, 13)]) // opset_import: ai.onnx 13
+    ]);
+}
+
+function main() {
+    const manifest = {
+        name: MODEL_NAME,
+        version: MODEL_VERSION,
+        file: `${MODEL_NAME}.onnx`,
+        input: { name: 'input', shape: [BATCH, FEATURES.length], features: FEATURES },
+        output: { name: 'output', labels: LABELS },
+        normalization: { mean: MEAN, std: STD }
+    };
+
+    fs.mkdirSync(MODEL_DIR, { recursive: true });
+    const model = buildModel(buildWeights(), manifest);
+    fs.writeFileSync(path.join(MODEL_DIR, manifest.file), model);
+    fs.writeFileSync(path.join(MODEL_DIR, `${MODEL_NAME}.json`), JSON.stringify(manifest, null, 2) + '\n');
+    console.log(`Wrote ${manifest.file} (${model.length} bytes) and ${MODEL_NAME}.json to src/models/`);
+}
+
+main();
@@ -0,0 +1,71 @@
+/**
+ * Neuro-Fade Trace Replay (offline)
+ * Replays a trace recorded from the dashboard through the real detector and
+ * effect engine, and prints the resulting score / effect timeline.
+ *
+ * Usage: node scripts/replay-trace.js <trace.json> [--out timeline.json]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// The extension sources are browser scripts that export onto `window` / `self`
+global.window = globalThis;
+global.self = globalThis;
+
+const SOURCES = [
+    'src/shared/constants.js',
+    'src/content/frame-analyzer.js',
+    'src/content/caption-tracker.js',
+    'src/content/baseline.js',
+    'src/content/signals.js',
+    'src/content/detector.js',
+    'src/effects/audio-processor.js',
+    'src/effects/fade-engine.js',
+    'src/content/trace-replay.js'
+];
+
+function main(args) {
+    const outIndex = args.indexOf('--out');
+    const outFile = outIndex >= 0 ? args[outIndex + 1] : null;
+    if (outIndex >= 0) args.splice(outIndex, 2);
+    const traceFile = args[0];
+
+    if (!traceFile || (outIndex >= 0 && !outFile)) {
+        console.error('Usage: node scripts/replay-trace.js <trace.json> [--out timeline.json]');
+        process.exit(2);
+    }
+
+    for (const file of SOURCES) require(path.join(__dirname, '..', file));
+
+    let result;
+    const log = console.log;
+    try {
+        const trace = JSON.parse(fs.readFileSync(traceFile, 'utf8'));
+        console.log = () => {}; // Detector progress logs
+        result = new window.TraceReplay(trace).run();
+    } catch (e) {
+        console.log = log;
+        console.error(e.message);
+        process.exit(1);
+    }
+    console.log = log;
+
+    const s = result.summary;
+    const seconds = ms => (ms / 1000).toFixed(1) + 's';
+    console.log(`Platform:     ${s.platform}${s.truncated ? ' (truncated trace)' : ''}`);
+    console.log(`Duration:     ${seconds(s.duration)} · ${s.updates} score updates`);
+    console.log(`Score:        peak ${s.peakScore.toFixed(1)} · mean ${s.meanScore.toFixed(1)} · final ${s.finalScore.toFixed(1)}`);
+    console.log(`Levels:       ${Object.entries(s.timeAtLevel).map(([level, ms]) => `${level} ${seconds(ms)}`).join(' · ')}`);
+    console.log(`Events:       ${Object.entries(s.events).map(([type, n]) => `${type} ${n}`).join(' · ')}`);
+    if (Object.keys(s.skipped).length > 0) {
+        console.log(`Skipped:      ${Object.entries(s.skipped).map(([type, n]) => `${type} ${n}`).join(' · ')}`);
+    }
+
+    if (outFile) {
+        fs.writeFileSync(outFile, JSON.stringify(result, null, 2));
+        console.log(`Timeline written to ${outFile}`);
+    }
+}
+
+main(process.argv.slice(2));
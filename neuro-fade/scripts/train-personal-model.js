@@ -0,0 +1,170 @@
+/**
+ * Neuro-Fade Personal Model Trainer
+ * Trains a logistic regression on the moments a user labelled junk / fine
+ * (the dashboard's Training Data export) and writes the personal model the
+ * dashboard imports: NPUBridge then classifies content with it instead of the
+ * packaged model. Only the frame features are used; the signal snapshots in
+ * the export are kept for analysis.
+ *
+ * Usage: node scripts/train-personal-model.js <labels.json> [personal-model.json]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// constants.js is a browser script that exports onto `window`
+global.window = globalThis;
+require(path.join(__dirname, '..', 'src/shared/constants.js'));
+
+const C = window.NEURO_FADE_CONSTANTS;
+const FEATURES = C.CONTENT_CLASSIFY.FEATURES;
+const LABELS = C.TRAINING.LABELS; // junk = 1
+
+const MIN_PER_LABEL = 5;    // Labelled moments needed of each kind
+const EPOCHS = 2000;        // Full-batch gradient descent steps
+const LEARNING_RATE = 0.5;
+const L2 = 0.01;            // Keeps weights of correlated features (warm / cool ratio) small
+const MIN_STD = 1e-3;       // Features that barely vary are not blown up by normalization
+const FOLDS = 5;            // Cross-validation folds for the reported accuracy
+
+/**
+ * Labelled rows of the export: { x: features, y: 0 (fine) | 1 (junk) }
+ */
+function readDataset(file) {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!data || !Array.isArray(data.samples)) {
+        throw new Error(`${file} is not a Neuro-Fade training data export`);
+    }
+    if (!Array.isArray(data.features) || data.features.join() !== FEATURES.join()) {
+        throw new Error(`Export features must be [${FEATURES.join(', ')}]`);
+    }
+
+    const rows = [];
+    let skipped = 0;
+    for (const sample of data.samples) {
+        const y = LABELS.indexOf(sample.label);
+        const x = sample.features;
+        if (y === -1 || !Array.isArray(x) || x.length !== FEATURES.length || !x.every(Number.isFinite)) {
+            skipped++;
+            continue;
+        }
+        rows.push({ x, y });
+    }
+    if (skipped > 0) console.log(`Skipped ${skipped} malformed sample${skipped === 1 ? '' : 's'}`);
+
+    for (const [y, label] of LABELS.entries()) {
+        const count = rows.filter(row => row.y === y).length;
+        if (count < MIN_PER_LABEL) {
+            throw new Error(`Need at least ${MIN_PER_LABEL} moments labelled ${label} (have ${count})`);
+        }
+    }
+    return rows;
+}
+
+/**
+ * Mean and std per feature, for inputs normalized as (x - mean) / std
+ */
+function normalization(rows) {
+    const mean = FEATURES.map((_, f) => rows.reduce((sum, row) => sum + row.x[f], 0) / rows.length);
+    const std = FEATURES.map((_, f) => {
+        const variance = rows.reduce((sum, row) => sum + (row.x[f] - mean[f]) ** 2, 0) / rows.length;
+        return Math.max(Math.sqrt(variance), MIN_STD);
+    });
+    return { mean, std };
+}
+
+function sigmoid(z) {
+    return 1 / (1 + Math.exp(-z));
+}
+
+function predict({ weights, bias, normalization: { mean, std } }, x) {
+    return sigmoid(x.reduce((z, v, f) => z + weights[f] * (v - mean[f]) / std[f], bias));
+}
+
+/**
+ * Fit weights by gradient descent on the L2-regularized log loss, with each
+ * label weighted by its inverse frequency so a lopsided dataset isn't fit by
+ * always answering the common label
+ */
+function train(rows) {
+    const norm = normalization(rows);
+    const xs = rows.map(row => row.x.map((v, f) => (v - norm.mean[f]) / norm.std[f]));
+    const counts = LABELS.map((_, y) => rows.filter(row => row.y === y).length);
+    const classWeight = counts.map(count => rows.length / (LABELS.length * count));
+
+    const weights = new Array(FEATURES.length).fill(0);
+    let bias = 0;
+    for (let epoch = 0; epoch < EPOCHS; epoch++) {
+        const gradient = new Array(FEATURES.length).fill(0);
+        let biasGradient = 0;
+        rows.forEach((row, i) => {
+            const z = xs[i].reduce((sum, v, f) => sum + weights[f] * v, bias);
+            const error = (sigmoid(z) - row.y) * classWeight[row.y];
+            xs[i].forEach((v, f) => { gradient[f] += error * v; });
+            biasGradient += error;
+        });
+        weights.forEach((w, f) => {
+            weights[f] -= LEARNING_RATE * (gradient[f] / rows.length + L2 * w);
+        });
+        bias -= LEARNING_RATE * biasGradient / rows.length;
+    }
+    return { weights, bias, normalization: norm };
+}
+
+/**
+ * Share of rows labelled right by models trained without them (fold = index % FOLDS)
+ */
+function crossValidate(rows) {
+    let correct = 0;
+    for (let fold = 0; fold < FOLDS; fold++) {
+        const held = rows.filter((_, i) => i % FOLDS === fold);
+        const model = train(rows.filter((_, i) => i % FOLDS !== fold));
+        correct += held.filter(row => (predict(model, row.x) >= 0.5 ? 1 : 0) === row.y).length;
+    }
+    return correct / rows.length;
+}
+
+function main(args) {
+    const [input, output = 'personal-model.json'] = args;
+    if (!input) {
+        console.error('Usage: node scripts/train-personal-model.js <labels.json> [personal-model.json]');
+        process.exit(2);
+    }
+
+    const rows = readDataset(input);
+    const accuracy = crossValidate(rows);
+    const { weights, bias, normalization: norm } = train(rows);
+
+    const model = {
+        type: 'logistic-regression',
+        trainedAt: Date.now(),
+        features: FEATURES,
+        labels: LABELS,
+        normalization: norm,
+        weights,
+        bias,
+        training: {
+            samples: rows.length,
+            fine: rows.filter(row => row.y === 0).length,
+            junk: rows.filter(row => row.y === 1).length,
+            accuracy,           // Cross-validated over FOLDS folds
+            folds: FOLDS
+        }
+    };
+    fs.writeFileSync(output, JSON.stringify(model, null, 2) + '\n');
+
+    const strongest = FEATURES.map((name, f) => [name, weights[f]])
+        .sort((a, b) => Math.abs(b[1]) - Math.abs(a[1]))
+        .slice(0, 3)
+        .map(([name, w]) => `${name} ${w >= 0 ? '+' : ''}${w.toFixed(2)}`);
+    console.log(`Trained on ${rows.length} moments (${model.training.junk} junk, ${model.training.fine} fine)`);
+    console.log(`Cross-validated accuracy: ${(accuracy * 100).toFixed(1)}% · strongest: ${strongest.join(', ')}`);
+    console.log(`Wrote ${output} — import it in the dashboard's Training Data card`);
+}
+
+try {
+    main(process.argv.slice(2));
+} catch (e) {
+    console.error(e.message);
+    process.exit(1);
+}
@@ -0,0 +1,39 @@
+/**
+ * Neuro-Fade ONNX Runtime Vendoring
+ * Copies the ONNX Runtime Web build the extension loads from node_modules
+ * into src/vendor/onnxruntime-web/ (git-ignored; runs on npm install). The
+ * WebGPU build is used because it is the one that registers the webnn, webgpu
+ * and wasm execution providers NPUBridge._executionProviders asks for.
+ * NPUBridge imports the module on first use, and it loads its JSEP wasm
+ * from the same directory (NPUBridge.ORT_DIR).
+ *
+ * Usage: npm install (or npm run vendor)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SOURCE = path.join(__dirname, '..', 'node_modules', 'onnxruntime-web');
+const TARGET = path.join(__dirname, '..', 'src', 'vendor', 'onnxruntime-web');
+
+const FILES = [
+    'dist/ort.webgpu.min.mjs',                // ES module, imported by NPUBridge._loadRuntime
+    'dist/ort-wasm-simd-threaded.jsep.mjs',   // Wasm loader, imported by ort at session creation
+    'dist/ort-wasm-simd-threaded.jsep.wasm'
+];
+
+function main() {
+    if (!fs.existsSync(SOURCE)) {
+        console.error('onnxruntime-web is not installed — run npm install first');
+        process.exit(1);
+    }
+    const { version } = JSON.parse(fs.readFileSync(path.join(SOURCE, 'package.json'), 'utf8'));
+
+    fs.mkdirSync(TARGET, { recursive: true });
+    for (const file of FILES) {
+        fs.copyFileSync(path.join(SOURCE, file), path.join(TARGET, path.basename(file)));
+    }
+    console.log(`Copied onnxruntime-web ${version} (${FILES.length} files) to src/vendor/onnxruntime-web/`);
+}
+
+main();
@@ -3,6 +3,8 @@
  * Manages session state, badge updates, and message routing
  */
 
+importScripts('../shared/constants.js', '../content/baseline.js');
+
 const STORAGE_KEYS = {
     ENABLED: 'nf_enabled',
     SENSITIVITY: 'nf_sensitivity',
@@ -16,12 +18,53 @@ const MESSAGES = {
     UPDATE_SCORE: 'nf_update_score',
     TOGGLE: 'nf_toggle',
     OPEN_DASHBOARD: 'nf_open_dashboard',
-    SESSION_UPDATE: 'nf_session_update'
+    SESSION_UPDATE: 'nf_session_update',
+    GLOBAL_SCORE: 'nf_global_score',
+    GET_TELEMETRY: 'nf_get_telemetry',
+    BASELINE_COMMIT: 'nf_baseline_commit',
+    BASELINE_RESET: 'nf_baseline_reset'
+};
+
+// Cross-tab attention fragmentation
+const FRAGMENTATION = {
+    WINDOW: 300000,             // Window for counting tab switches
+    HIGH_SWITCH_RATE: 4,        // Switches between supported tabs per minute
+    STALE_AFTER: 90000,         // Ignore tabs that stopped reporting
+    BROADCAST_INTERVAL: 1000,   // Min time between pushes to tabs
+    WEIGHTS: { switches: 0.40, activeTime: 0.25, maxScore: 0.35 } // activeTime: share of WINDOW spent focused on them
+};
+
+// Live NPUBridge metrics reported with each tab's score updates
+const TELEMETRY = {
+    STALE_AFTER: 5000           // Tabs that stopped reporting drop out of the dashboard
 };
 
 // Current state per tab
 const tabStates = new Map();
 
+// Stretches each tab spent focused (active in the focused window) within the
+// last FRAGMENTATION.WINDOW, as [{ start, end }] in ms — kept apart from
+// tabStates, which is replaced on every score update
+const focusTime = new Map();
+const focus = {
+    tabId: null,            // Focused tab, null while the browser is in the background
+    windowId: null,
+    since: 0
+};
+
+// Personal baseline writes, one at a time: each reads and rewrites every
+// platform's profile, and tabs commit together (e.g. when a window is hidden)
+let baselineWrites = Promise.resolve();
+
+// Global state across all supported tabs
+const globalState = {
+    score: 0,
+    tabSwitches: [],        // Timestamps of switches between supported tabs
+    lastSupportedTab: null,
+    lastBroadcast: 0,
+    details: null
+};
+
 /**
  * Handle messages from content scripts and popup
  */
@@ -35,8 +78,12 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
                     score: msg.data.score,
                     effects: msg.data.effects,
                     detector: msg.data.detector,
+                    signals: msg.data.details?.signals || {},
+                    npu: msg.data.npu || null,
+                    title: sender.tab.title || '',
                     timestamp: Date.now()
                 });
+                updateGlobalScore();
                 updateBadge(tabId, msg.data.score);
                 trackSession(tabId, msg.data);
             }
@@ -56,13 +103,177 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
                 sendResponse(null);
             }
             return true;
+
+        case MESSAGES.GLOBAL_SCORE:
+            sendResponse({ score: globalState.score, details: globalState.details });
+            return true;
+
+        case MESSAGES.GET_TELEMETRY:
+            sendResponse(getTelemetry());
+            return true;
+
+        case MESSAGES.BASELINE_COMMIT:
+            commitBaseline(msg.platform, msg.session).then(sendResponse, () => sendResponse(null));
+            return true;
+
+        case MESSAGES.BASELINE_RESET:
+            resetBaseline(msg.platform).then(() => sendResponse({ ok: true }), () => sendResponse({ ok: false }));
+            return true;
     }
 });
 
+/**
+ * Compute the global "attention fragmentation" score across supported tabs
+ * Blends tab-switch frequency, the time the tabs spent focused and the
+ * highest tab score, then pushes it back to every tab (throttled).
+ */
+function updateGlobalScore() {
+    const now = Date.now();
+    const W = FRAGMENTATION.WEIGHTS;
+
+    globalState.tabSwitches = globalState.tabSwitches.filter(
+        t => now - t < FRAGMENTATION.WINDOW
+    );
+
+    let maxScore = 0;
+    let activeSeconds = 0;
+    let liveTabs = 0;
+    for (const [tabId, state] of tabStates) {
+        if (now - state.timestamp > FRAGMENTATION.STALE_AFTER) continue;
+        liveTabs++;
+        maxScore = Math.max(maxScore, state.score || 0);
+        activeSeconds += getFocusedTime(tabId, now) / 1000;
+    }
+
+    const switchesPerMinute = globalState.tabSwitches.length / (FRAGMENTATION.WINDOW / 60000);
+    const switchNorm = Math.min(switchesPerMinute / FRAGMENTATION.HIGH_SWITCH_RATE, 1);
+    const timeNorm = Math.min(activeSeconds / (FRAGMENTATION.WINDOW / 1000), 1);
+
+    globalState.score = (
+        switchNorm * W.switches +
+        timeNorm * W.activeTime +
+        (maxScore / 100) * W.maxScore
+    ) * 100;
+    globalState.details = { switchesPerMinute, activeSeconds, maxScore, liveTabs };
+
+    if (now - globalState.lastBroadcast >= FRAGMENTATION.BROADCAST_INTERVAL) {
+        globalState.lastBroadcast = now;
+        broadcastGlobalScore();
+    }
+}
+
+/**
+ * NPUBridge metrics of every tab that reported recently, for the dashboard
+ */
+function getTelemetry() {
+    const now = Date.now();
+    const tabs = [];
+    for (const [tabId, state] of tabStates) {
+        if (!state.npu || now - state.timestamp > TELEMETRY.STALE_AFTER) continue;
+        tabs.push({
+            tabId,
+            title: state.title,
+            platform: state.detector?.platform || 'Unknown',
+            metrics: state.npu,
+            updatedAt: state.timestamp
+        });
+    }
+    return { tabs };
+}
+
+/**
+ * Push the global score into every supported tab
+ */
+function broadcastGlobalScore() {
+    for (const tabId of tabStates.keys()) {
+        chrome.tabs.sendMessage(tabId, {
+            type: MESSAGES.GLOBAL_SCORE,
+            score: globalState.score,
+            details: globalState.details
+        }).catch(() => { /* Tab navigated away or not ready */ });
+    }
+}
+
+/**
+ * Count switches between supported tabs (tab hopping)
+ */
+chrome.tabs.onActivated.addListener(({ tabId, windowId }) => {
+    if (windowId === focus.windowId) setFocus(tabId, windowId);
+
+    if (!tabStates.has(tabId)) return;
+    if (globalState.lastSupportedTab !== null && globalState.lastSupportedTab !== tabId) {
+        globalState.tabSwitches.push(Date.now());
+        updateGlobalScore();
+    }
+    globalState.lastSupportedTab = tabId;
+});
+
+/**
+ * Follow focus across windows; none while the browser is in the background
+ */
+chrome.windows.onFocusChanged.addListener(async (windowId) => {
+    if (windowId === chrome.windows.WINDOW_ID_NONE) {
+        setFocus(null, null);
+        return;
+    }
+    try {
+        const [tab] = await chrome.tabs.query({ active: true, windowId });
+        setFocus(tab?.id ?? null, windowId);
+    } catch (e) {
+        // Window closed meanwhile
+    }
+});
+
+/**
+ * Move focus to a tab, crediting the stretch the previous one held it
+ */
+function setFocus(tabId, windowId) {
+    const now = Date.now();
+    if (focus.tabId !== null && now > focus.since) {
+        if (!focusTime.has(focus.tabId)) focusTime.set(focus.tabId, []);
+        focusTime.get(focus.tabId).push({ start: focus.since, end: now });
+    }
+    pruneFocusTime(now);
+    focus.tabId = tabId;
+    focus.windowId = windowId;
+    focus.since = now;
+}
+
+/**
+ * Drop focus stretches that ended before the fragmentation window
+ */
+function pruneFocusTime(now) {
+    const from = now - FRAGMENTATION.WINDOW;
+    for (const [tabId, stretches] of focusTime) {
+        const recent = stretches.filter(s => s.end > from);
+        if (recent.length > 0) focusTime.set(tabId, recent);
+        else focusTime.delete(tabId);
+    }
+}
+
+/**
+ * Ms a tab has been focused within the fragmentation window, including the
+ * current stretch
+ */
+function getFocusedTime(tabId, now = Date.now()) {
+    const from = now - FRAGMENTATION.WINDOW;
+    const stretches = focusTime.get(tabId) || [];
+    const current = focus.tabId === tabId ? [{ start: focus.since, end: now }] : [];
+    return [...stretches, ...current].reduce(
+        (sum, s) => sum + Math.max(0, s.end - Math.max(s.start, from)), 0);
+}
+
+// The service worker may start while a window already has focus
+chrome.tabs.query({ active: true, lastFocusedWindow: true }).then(([tab]) => {
+    if (tab && focus.windowId === null) setFocus(tab.id, tab.windowId);
+}).catch(() => { /* No windows */ });
+
 /**
  * Update extension badge with dopamine score
+ * Shows the global fragmentation score when it is higher than the tab's own.
  */
-function updateBadge(tabId, score) {
+function updateBadge(tabId, tabScore) {
+    const score = Math.max(tabScore, globalState.score);
     const text = score > 10 ? String(Math.round(score)) : '';
 
     let color;
@@ -75,6 +286,51 @@ function updateBadge(tabId, score) {
     chrome.action.setBadgeBackgroundColor({ color, tabId });
 }
 
+/**
+ * Read-modify-write the stored baselines ({ [platform]: profile }) after
+ * every write queued before
+ * @param {Function} update - (baselines) → result, edits baselines in place
+ */
+function updateBaselines(update) {
+    const key = self.NEURO_FADE_CONSTANTS.STORAGE_KEYS.BASELINE;
+    const write = baselineWrites.then(async () => {
+        const result = await chrome.storage.local.get(key);
+        const baselines = result[key] || {};
+        const value = update(baselines);
+        await chrome.storage.local.set({ [key]: baselines });
+        return value;
+    });
+    baselineWrites = write.catch(() => { });
+    return write;
+}
+
+/**
+ * Fold a tab's session into its platform's baseline
+ * @returns {Promise<Object>} The updated profile
+ */
+function commitBaseline(platform, session) {
+    return updateBaselines((baselines) => {
+        // Profiles learned on 0-100 signal values (before measures) start over
+        const stored = baselines[platform];
+        const profile = stored && stored.measures ? stored : PersonalBaseline._emptyProfile();
+        PersonalBaseline.fold(profile, session, self.NEURO_FADE_CONSTANTS.BASELINE);
+        profile.updatedAt = Date.now();
+        baselines[platform] = profile;
+        return profile;
+    });
+}
+
+/**
+ * Forget one platform's baseline, or every platform's without one
+ */
+function resetBaseline(platform) {
+    return updateBaselines((baselines) => {
+        for (const name of Object.keys(baselines)) {
+            if (!platform || name === platform) delete baselines[name];
+        }
+    });
+}
+
 /**
  * Track session data for the dashboard
  */
@@ -129,6 +385,9 @@ async function trackSession(tabId, data) {
  */
 chrome.tabs.onRemoved.addListener((tabId) => {
     tabStates.delete(tabId);
+    focusTime.delete(tabId);
+    if (focus.tabId === tabId) focus.tabId = null;
+    if (globalState.lastSupportedTab === tabId) globalState.lastSupportedTab = null;
 });
 
 /**
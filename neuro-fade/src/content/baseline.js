@@ -0,0 +1,178 @@
+/**
+ * Neuro-Fade Personal Baseline
+ * Learns each user's typical levels of the raw measurements behind the score
+ * signals (scroll velocity, cut rate, feed advance rate, ...) per platform
+ * from past sessions, and normalizes live measurements against them instead
+ * of the global thresholds. Sessions are folded into the stored baselines by
+ * the service worker, one at a time, so tabs committing together don't
+ * overwrite each other.
+ */
+
+class PersonalBaseline {
+    /**
+     * @param {string} platformName
+     * @param {Object} [options]
+     * @param {boolean} [options.persist] - false keeps the profile in memory (trace replay)
+     */
+    constructor(platformName, { persist = true } = {}) {
+        const C = window.NEURO_FADE_CONSTANTS;
+        this.C = C;
+        this.platformName = platformName;
+        this.persist = persist;
+
+        // Learned baseline: { measures: { [measure]: { signal, label, mean, std, samples } }, sessions, updatedAt }
+        this.profile = PersonalBaseline._emptyProfile();
+
+        // Running sums for the current session: score updates, and
+        // { [measure]: { signal, label, sum, sumSquares, count } }
+        this.session = PersonalBaseline._emptySession();
+    }
+
+    static _emptyProfile() {
+        return { measures: {}, sessions: 0, updatedAt: null };
+    }
+
+    static _emptySession() {
+        return { updates: 0, measures: {} };
+    }
+
+    /**
+     * Use a stored (or recorded) profile; one learned on the 0-100 signal
+     * values of earlier versions is on another scale and starts over
+     */
+    setProfile(profile) {
+        this.profile = profile && profile.measures ? profile : PersonalBaseline._emptyProfile();
+    }
+
+    /**
+     * Load the learned baseline for this platform from storage
+     * (also called after the dashboard resets it)
+     */
+    async load() {
+        if (!this.persist) return;
+        try {
+            const key = this.C.STORAGE_KEYS.BASELINE;
+            const result = await chrome.storage.local.get(key);
+            this.setProfile(result[key]?.[this.platformName]);
+        } catch (e) {
+            console.debug('[Neuro-Fade] Baseline load failed:', e);
+        }
+    }
+
+    /**
+     * Whether enough sessions have been seen to trust the baseline
+     */
+    isReady() {
+        return this.profile.sessions >= this.C.BASELINE.MIN_SESSIONS;
+    }
+
+    /**
+     * Normalize a raw measurement to 0-1 against the user's own statistics:
+     * their mean lands on NEUTRAL_VALUE and HIGH_DEVIATIONS standard
+     * deviations above it on 1. Until the baseline is ready (or for a
+     * measure it hasn't learned) the global reference maps to 1.
+     * @param {string} measure
+     * @param {number} value - Raw measurement (px/s, cuts per 10 s, ...)
+     * @param {number} reference - Global level that counts as high
+     */
+    scale(measure, value, reference) {
+        const B = this.C.BASELINE;
+        const learned = this.profile.measures[measure];
+        if (!this.isReady() || !learned) return PersonalBaseline.clamp(value / reference);
+
+        // Floors keep a user who is always calm, or never varies, from
+        // being scaled to extremes
+        const mean = Math.max(learned.mean, reference * B.MIN_MEAN);
+        const spread = Math.max(learned.std, reference * B.MIN_STD) * B.HIGH_DEVIATIONS;
+        const N = B.NEUTRAL_VALUE;
+        return PersonalBaseline.clamp(value <= mean
+            ? value * (N / mean)
+            : N + (value - mean) * ((1 - N) / spread));
+    }
+
+    static clamp(value) {
+        return Math.max(0, Math.min(Number(value) || 0, 1));
+    }
+
+    /**
+     * Accumulate a raw measurement for the current session
+     * @param {Object} signal - The signal measuring it ({ name, label })
+     */
+    record(measure, value, signal) {
+        if (!Number.isFinite(value)) return;
+        const entry = this.session.measures[measure] || (this.session.measures[measure] =
+            { signal: signal.name, label: signal.label, sum: 0, sumSquares: 0, count: 0 });
+        entry.sum += value;
+        entry.sumSquares += value * value;
+        entry.count++;
+    }
+
+    /**
+     * Count a score update of the current session
+     */
+    countUpdate() {
+        this.session.updates++;
+    }
+
+    /**
+     * Fold the current session into the stored baseline
+     * Sessions too short to be representative keep accumulating instead.
+     */
+    async commit() {
+        const B = this.C.BASELINE;
+        if (this.session.updates < B.MIN_SESSION_SAMPLES ||
+            Object.keys(this.session.measures).length === 0) return false;
+
+        const session = this.session;
+        this.session = PersonalBaseline._emptySession();
+
+        if (!this.persist) {
+            PersonalBaseline.fold(this.profile, session, B);
+            return true;
+        }
+
+        try {
+            const profile = await chrome.runtime.sendMessage({
+                type: this.C.MESSAGES.BASELINE_COMMIT,
+                platform: this.platformName,
+                session
+            });
+            if (!profile) return false;
+            this.setProfile(profile);
+            return true;
+        } catch (e) {
+            console.debug('[Neuro-Fade] Baseline commit failed:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Blend one session's measurement means and variances into a profile
+     * The mean rises slower than it falls, so a binge doesn't quickly
+     * become the new normal.
+     * @param {Object} B - BASELINE constants
+     */
+    static fold(profile, session, B) {
+        for (const [measure, { signal, label, sum, sumSquares, count }] of Object.entries(session.measures)) {
+            if (count === 0) continue;
+            const sessionMean = sum / count;
+            const sessionVariance = Math.max(sumSquares / count - sessionMean * sessionMean, 0);
+            const learned = profile.measures[measure];
+            if (!learned) {
+                profile.measures[measure] = {
+                    signal, label, mean: sessionMean, std: Math.sqrt(sessionVariance), samples: count
+                };
+                continue;
+            }
+            const alpha = sessionMean > learned.mean ? B.ALPHA_UP : B.ALPHA_DOWN;
+            const variance = learned.std ** 2 + (sessionVariance - learned.std ** 2) * alpha;
+            learned.mean += (sessionMean - learned.mean) * alpha;
+            learned.std = Math.sqrt(variance);
+            learned.samples += count;
+        }
+        profile.sessions++;
+    }
+}
+
+// Export for content script and service worker (self is window in the former)
+self.PersonalBaseline = PersonalBaseline;
@@ -0,0 +1,157 @@
+/**
+ * Neuro-Fade Caption Tracker
+ * Reads captions / subtitles of the active video to measure speech rate
+ */
+
+class CaptionTracker {
+    constructor(platform, { clock = Date } = {}) {
+        const C = window.NEURO_FADE_CONSTANTS;
+        this.C = C;
+        this.platform = platform;
+        this.clock = clock;
+
+        this.video = null;      // Video the last caption text belongs to
+        this.lastText = '';
+        this.changes = [];      // Caption changes: { time, words }
+        this.firstSeen = null;  // When captions were first seen in the window
+        this.source = null;     // 'textTrack' | 'dom'
+    }
+
+    /**
+     * Sample the current caption text of a video
+     * @returns {Object|null} { text, source } as ingested, null without captions
+     */
+    sample(video) {
+        let text = this._readTextTracks(video);
+        let source = 'textTrack';
+        if (text === null) {
+            text = this._readCaptionDOM();
+            source = 'dom';
+        }
+        if (text !== null) {
+            text = text.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+        }
+
+        this.ingest(video, text, source);
+        return text === null ? null : { text, source };
+    }
+
+    /**
+     * Fold normalized caption text into the speech-rate window
+     * (text is null when the video has no captions at all)
+     */
+    ingest(video, text, source) {
+        const now = this.clock.now();
+        if (video !== this.video) {
+            this.video = video;
+            this.lastText = '';
+        }
+        if (text === null) return;
+
+        this.source = source;
+        if (this.firstSeen === null) this.firstSeen = now;
+
+        if (text && text !== this.lastText) {
+            const words = this._countNewWords(this.lastText, text);
+            if (words > 0) this.changes.push({ time: now, words });
+        }
+        this.lastText = text;
+        this._prune(now);
+    }
+
+    /**
+     * Active cue text from the video's caption / subtitle tracks
+     * @returns {string|null} '' between cues, null when there are no tracks
+     */
+    _readTextTracks(video) {
+        const tracks = video.textTracks;
+        if (!tracks || tracks.length === 0) return null;
+
+        let hasTrack = false;
+        for (const track of tracks) {
+            if (track.kind !== 'captions' && track.kind !== 'subtitles') continue;
+            hasTrack = true;
+            // Hidden tracks still load cues without rendering them
+            if (track.mode === 'disabled') track.mode = 'hidden';
+            const cues = track.activeCues;
+            if (cues && cues.length > 0) {
+                return Array.from(cues, cue => cue.text).join(' ');
+            }
+        }
+        return hasTrack ? '' : null;
+    }
+
+    /**
+     * Caption text rendered by the platform's own player
+     * @returns {string|null} null when no caption elements are on the page
+     */
+    _readCaptionDOM() {
+        const selector = this.platform?.captionSelector;
+        if (!selector) return null;
+        const segments = document.querySelectorAll(selector);
+        if (segments.length === 0) return null;
+        return Array.from(segments, el => el.textContent).join(' ');
+    }
+
+    /**
+     * Words added since the previous caption text. Rolling captions append
+     * to the previous line, so only the non-overlapping tail counts.
+     */
+    _countNewWords(previous, current) {
+        const prev = previous ? previous.split(' ') : [];
+        const next = current.split(' ');
+
+        for (let k = Math.min(prev.length, next.length); k > 0; k--) {
+            let overlaps = true;
+            for (let i = 0; i < k; i++) {
+                if (prev[prev.length - k + i] !== next[i]) {
+                    overlaps = false;
+                    break;
+                }
+            }
+            if (overlaps) return next.length - k;
+        }
+        return next.length;
+    }
+
+    _prune(now) {
+        const windowMs = this.C.CAPTIONS.WINDOW;
+        this.changes = this.changes.filter(c => now - c.time < windowMs);
+        if (this.changes.length === 0 && this.firstSeen !== null && now - this.firstSeen > windowMs) {
+            // Captions went quiet for a whole window — start over
+            this.firstSeen = this.lastText ? now : null;
+        }
+    }
+
+    /**
+     * Speech rate over the recent window
+     * @returns {Object|null} { wpm, changesPerMin, changedAt, source } or null without captions
+     */
+    getMetrics() {
+        const now = this.clock.now();
+        this._prune(now);
+        if (this.firstSeen === null || this.changes.length === 0) return null;
+
+        // Measure over the time captions were actually observed
+        const minutes = Math.min(now - this.firstSeen, this.C.CAPTIONS.WINDOW) / 60000;
+        if (minutes * 60000 < this.C.CAPTIONS.MIN_OBSERVED) return null;
+
+        const words = this.changes.reduce((sum, c) => sum + c.words, 0);
+        return {
+            wpm: words / minutes,
+            changesPerMin: this.changes.length / minutes,
+            changedAt: this.changes[this.changes.length - 1].time,
+            source: this.source
+        };
+    }
+
+    reset() {
+        this.video = null;
+        this.lastText = '';
+        this.changes = [];
+        this.firstSeen = null;
+        this.source = null;
+    }
+}
+
+window.CaptionTracker = CaptionTracker;
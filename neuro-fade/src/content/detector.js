@@ -4,34 +4,99 @@
  */
 
 class NeuroFadeDetector {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.clock] - Time source with now() (virtual during replay)
+     * @param {string} [options.hostname] - Host to detect the platform from (default: this page)
+     * @param {boolean} [options.headless] - Trace replay: never touch the DOM; inputs
+     *   arrive through the _on*() handlers instead of live listeners
+     */
+    constructor({ clock = Date, hostname = null, headless = false } = {}) {
         const C = window.NEURO_FADE_CONSTANTS;
         this.C = C;
-        this.platform = this._detectPlatform();
-        this.frameAnalyzer = new window.FrameAnalyzer();
+        this.clock = clock;
+        this.headless = headless;
+        this.platform = this._detectPlatform(hostname || window.location.hostname);
+        this.frameAnalyzer = new window.FrameAnalyzer({ clock, headless });
+        // Frames are analyzed in a worker — record each result as it lands
+        this.frameAnalyzer.onFrame = (frame, capturedAt, video) => {
+            if (!this.recorder) return;
+            const event = {
+                video: this.recorder.idFor(video),
+                isSceneCut: frame.isSceneCut,
+                motionScore: frame.motionScore,
+                latency: this.clock.now() - capturedAt
+            };
+            // Flash transitions are rare — only record them when present
+            if (frame.luminanceTransition) event.luminance = frame.luminanceTransition;
+            if (frame.redTransition) event.red = frame.redTransition;
+            this.recorder.record('frame', event);
+        };
+        this.frameAnalyzer.onContent = (classification, capturedAt, video) => {
+            this.recorder?.record('content', {
+                video: this.recorder.idFor(video),
+                ...classification,
+                latency: this.clock.now() - capturedAt
+            });
+        };
+        this.frameAnalyzer.onFlash = (flagged, video, details) => {
+            if (this.onFlash) this.onFlash(flagged, video, details);
+        };
+        this.audioProcessor = null; // Set by main.js (FadeEngine's AudioProcessor)
+        this.captionTracker = new window.CaptionTracker(this.platform, { clock });
+
+        // Score signals (per-platform and per-feed-mode overrides)
+        this.signals = window.SignalRegistry.withDefaults(C);
+        this.feedMode = 'longForm'; // 'longForm' | 'shortForm'
+        this._applyScoringProfile();
+
+        // Personal baseline (signals relative to this user's history)
+        this.baseline = new window.PersonalBaseline(this.platform?.name || 'Unknown', { persist: !headless });
+        this.signals.baseline = this.baseline;
 
         // State
         this.enabled = true;
         this.sensitivity = 0.5; // 0-1
         this.dopamineScore = 0;
+        this.lastDetails = null; // Per-signal breakdown from the last update
         this.isActive = false;
-        this.startTime = Date.now();
+        this.startTime = clock.now();
+        this.route = { type: 'other', path: headless ? '/' : window.location.pathname };
         this.videos = new Set();
 
+        // Per-video dwell tracking
+        this.videoDwell = new WeakMap(); // video → { viewStart, views, totalDwell, played }
+        this.currentView = null;         // Video whose view is in progress
+        this.dwellHistory = [];          // Completed views: { time, dwell }
+
         // Scroll tracking
+        const page = this._readPage();
         this.scrollEvents = [];
-        this.lastScrollY = window.scrollY;
-        this.lastScrollTime = Date.now();
+        this.lastScrollY = page.scrollY;
+        this.lastScrollTime = clock.now();
         this.domHeightChanges = [];
-        this.lastDOMHeight = document.body.scrollHeight;
+        this.lastDOMHeight = page.height;
+
+        // Feed advancement (snap-scroll feeds that never move window.scrollY)
+        this.feedAdvances = [];          // Items advanced: { time, source }
+        this.lastAdvanceTime = 0;
+        this.lastViewedVideo = null;
+        this.containerScroll = new WeakMap(); // element → { top, time, travelled }
+        this.touchStart = null;
 
         // Intervals
         this._intervals = [];
+        this._frameTimer = null;        // Adaptive frame sampling (setTimeout chain)
         this._observers = [];
+        this._listeners = [];
+
+        // Trace recording (a TraceRecorder attaches itself here)
+        this.recorder = null;
 
         // Callbacks
         this.onScoreUpdate = null;
         this.onVideoDetected = null;
+        this.onFlash = null;         // (flagged, video, { kind, flashes }) — photosensitive flashing
     }
 
     /**
@@ -40,7 +105,8 @@ class NeuroFadeDetector {
     start() {
         if (!this.platform) return;
         this.isActive = true;
-        this.startTime = Date.now();
+        this.startTime = this.clock.now();
+        this.baseline.load();
 
         // Observe DOM for video elements
         this._observeVideos();
@@ -50,6 +116,7 @@ class NeuroFadeDetector {
 
         // Start scroll monitoring
         this._startScrollMonitoring();
+        this._startFeedAdvanceMonitoring();
 
         // Start periodic score calculation
         const scoreInterval = setInterval(() => {
@@ -57,24 +124,34 @@ class NeuroFadeDetector {
         }, this.C.TIMING.SCORE_UPDATE_INTERVAL);
         this._intervals.push(scoreInterval);
 
-        // Start frame analysis on active videos
-        const frameInterval = setInterval(() => {
+        // Start frame analysis on active videos — the analyzer adapts the interval
+        const sampleFrame = () => {
             if (this.enabled) this._analyzeActiveVideo();
-        }, this.C.TIMING.FRAME_SAMPLE_INTERVAL);
-        this._intervals.push(frameInterval);
+            this._frameTimer = setTimeout(sampleFrame, this.frameAnalyzer.getSampleInterval());
+        };
+        this._frameTimer = setTimeout(sampleFrame, this.C.TIMING.FRAME_SAMPLE_INTERVAL);
+
+        // Long tasks mean the page is already struggling — sample less
+        if (typeof PerformanceObserver !== 'undefined' &&
+            PerformanceObserver.supportedEntryTypes?.includes('longtask')) {
+            const longTasks = new PerformanceObserver((list) => {
+                list.getEntries().forEach(entry => this.frameAnalyzer.noteLongTask(entry.duration));
+            });
+            longTasks.observe({ type: 'longtask' });
+            this._observers.push(longTasks);
+        }
+
+        // Sample audio stimulation on the video in view
+        const audioInterval = setInterval(() => {
+            if (this.enabled && this.audioProcessor && this.currentView) {
+                this.audioProcessor.analyze(this.currentView);
+            }
+        }, this.C.TIMING.AUDIO_SAMPLE_INTERVAL);
+        this._intervals.push(audioInterval);
 
         // Monitor DOM height changes (infinite scroll detection)
         const domInterval = setInterval(() => {
-            const currentHeight = document.body.scrollHeight;
-            if (currentHeight !== this.lastDOMHeight) {
-                this.domHeightChanges.push(Date.now());
-                this.lastDOMHeight = currentHeight;
-                // Clean old
-                const now = Date.now();
-                this.domHeightChanges = this.domHeightChanges.filter(
-                    t => now - t < this.C.SCROLL.RAPID_SCROLL_WINDOW
-                );
-            }
+            this._onDOMHeight(document.body.scrollHeight);
         }, 500);
         this._intervals.push(domInterval);
     }
@@ -86,22 +163,189 @@ class NeuroFadeDetector {
         this.isActive = false;
         this._intervals.forEach(id => clearInterval(id));
         this._intervals = [];
+        clearTimeout(this._frameTimer);
         this._observers.forEach(obs => obs.disconnect());
         this._observers = [];
-        window.removeEventListener('scroll', this._scrollHandler);
+        this._listeners.forEach(([target, type, handler, options]) => {
+            target.removeEventListener(type, handler, options);
+        });
+        this._listeners = [];
+    }
+
+    /**
+     * Add an event listener that stop() removes
+     */
+    _listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this._listeners.push([target, type, handler, options]);
+    }
+
+    /**
+     * Handle an in-app route change (SPA navigation)
+     * Resets the state groups named in ROUTES.POLICIES for the new route type;
+     * staying on the same route type (e.g. next watch page) only resets frames.
+     * @param {Object} [page] - { scrollY, height } at navigation (recorded for replay)
+     */
+    setRoute(route, previous = null, page = this._readPage()) {
+        this.route = route;
+        if (!previous) return;
+        this.recorder?.record('route', { route, previous, page });
+
+        const resets = route.type === previous.type
+            ? ['frames']
+            : this.C.ROUTES.POLICIES[route.type] || [];
+        const now = this.clock.now();
+
+        if (resets.includes('frames')) {
+            this.frameAnalyzer.reset();
+            this.captionTracker.reset();
+        }
+        if (resets.includes('scroll')) {
+            this.scrollEvents = [];
+            this.lastScrollY = page.scrollY;
+            this.lastScrollTime = now;
+            this.domHeightChanges = [];
+            this.lastDOMHeight = page.height;
+            this.feedAdvances = [];
+            this.containerScroll = new WeakMap();
+        }
+        if (resets.includes('dwell')) {
+            if (this.currentView) this._endView(this.currentView, now);
+            this.dwellHistory = [];
+            this.lastViewedVideo = null;
+        }
+        if (resets.includes('time')) {
+            // New session: fold the previous one into the baseline
+            this.baseline.commit();
+            this.startTime = now;
+        }
+
+        // Drop videos the SPA removed and pick up the new page's
+        if (!this.headless) {
+            for (const video of this.videos) {
+                if (!video.isConnected) this.videos.delete(video);
+            }
+            if (this.isActive) this._findVideos();
+            this._updateFeedMode();
+        }
+
+        console.log(`[Neuro-Fade] Route ${previous.type} → ${route.type}, reset:`, resets.join(', ') || 'none');
+    }
+
+    /**
+     * Change scoring sensitivity (0-1)
+     */
+    setSensitivity(value) {
+        this.recorder?.record('sensitivity', { value });
+        this.sensitivity = value;
+    }
+
+    /**
+     * Pause or resume scoring
+     */
+    setEnabled(enabled) {
+        this.recorder?.record('enabled', { value: enabled });
+        this.enabled = enabled;
+        if (!enabled) this.frameAnalyzer.clearFlash(); // No frames to lift it later
+    }
+
+    /**
+     * Turn photosensitive flash detection on or off
+     */
+    setFlashProtection(enabled) {
+        this.recorder?.record('flashProtection', { value: enabled });
+        this.frameAnalyzer.setFlashDetection(enabled);
+    }
+
+    /**
+     * Fold the current session into the personal baseline
+     */
+    commitBaseline() {
+        this.recorder?.record('commit');
+        return this.baseline.commit();
+    }
+
+    /**
+     * Reload the personal baseline after it changed elsewhere (e.g. dashboard reset)
+     */
+    async reloadBaseline() {
+        await this.baseline.load();
+        this.recorder?.record('baseline', { profile: this.baseline.profile });
+    }
+
+    /**
+     * Scroll position and document height, read together
+     */
+    _readPage() {
+        if (this.headless) return { scrollY: 0, height: 0 };
+        return { scrollY: window.scrollY, height: document.body.scrollHeight };
     }
 
     /**
      * Detect current platform
      */
-    _detectPlatform() {
-        const host = window.location.hostname.replace('www.', '');
+    _detectPlatform(hostname) {
+        const host = hostname.replace('www.', '');
         for (const [domain, config] of Object.entries(this.C.PLATFORMS)) {
             if (host.includes(domain)) return config;
         }
         return null;
     }
 
+    /**
+     * Detect whether the user is inside a vertical short-form feed
+     * (YouTube Shorts, Instagram Reels, TikTok For You) or on a long-form page
+     */
+    _detectFeedMode() {
+        const P = this.platform;
+        if (!P) return 'longForm';
+
+        const path = window.location.pathname;
+        if (P.shortFormPaths?.some(re => re.test(path))) return 'shortForm';
+
+        const selector = P.shortsSelector || P.reelsSelector;
+        const activeVideo = this._getActiveVideo();
+        if (selector && activeVideo?.matches(selector)) return 'shortForm';
+
+        return 'longForm';
+    }
+
+    /**
+     * Switch scoring profile when the feed mode changes
+     */
+    _updateFeedMode() {
+        if (this.headless) return; // Replay feeds recorded modes to _setFeedMode()
+        this._setFeedMode(this._detectFeedMode());
+    }
+
+    /**
+     * Apply a detected (or replayed) feed mode
+     */
+    _setFeedMode(mode) {
+        if (mode === this.feedMode) return;
+        this.recorder?.record('feedMode', { mode });
+        this.feedMode = mode;
+        this._applyScoringProfile();
+        console.log('[Neuro-Fade] Feed mode:', mode);
+    }
+
+    /**
+     * Re-apply signal overrides: registered defaults → platform → feed mode
+     */
+    _applyScoringProfile() {
+        const profile = this.C.SCORING_PROFILES[this.feedMode];
+        this.signals.resetOverrides();
+        if (this.platform?.signals) this.signals.configure(this.platform.signals);
+        this.signals.configure(profile.signals);
+    }
+
+    /**
+     * Intervention thresholds for the current feed mode
+     */
+    getThresholds() {
+        return this.C.SCORING_PROFILES[this.feedMode].thresholds || this.C.THRESHOLDS;
+    }
+
     /**
      * Observe DOM for new video elements
      */
@@ -141,9 +385,25 @@ class NeuroFadeDetector {
     _registerVideo(video) {
         if (this.videos.has(video)) return;
         this.videos.add(video);
+        // HAVE_FUTURE_DATA and not paused: already playing when found
+        const playing = !video.paused && video.readyState >= 3;
+        this.videoDwell.set(video, { viewStart: null, views: 0, totalDwell: 0, played: playing });
+        if (!playing) video.addEventListener('playing', () => this._onPlaying(video), { once: true });
         if (this.onVideoDetected) this.onVideoDetected(video);
     }
 
+    /**
+     * A video played for the first time — its view starts now if it is the
+     * one in view (autoplay that is blocked or still buffering isn't dwell)
+     */
+    _onPlaying(video) {
+        const dwell = this.videoDwell.get(video);
+        if (!dwell || dwell.played) return;
+        this.recorder?.record('playing', { video: this.recorder.idFor(video) });
+        dwell.played = true;
+        if (this.currentView === video && dwell.viewStart === null) dwell.viewStart = this.clock.now();
+    }
+
     /**
      * Get the most visible/active video
      */
@@ -153,12 +413,7 @@ class NeuroFadeDetector {
 
         for (const video of this.videos) {
             if (video.paused || video.ended || !video.offsetParent) continue;
-            const rect = video.getBoundingClientRect();
-            const visibleArea = Math.max(0,
-                Math.min(rect.bottom, window.innerHeight) - Math.max(rect.top, 0)
-            ) * Math.max(0,
-                Math.min(rect.right, window.innerWidth) - Math.max(rect.left, 0)
-            );
+            const visibleArea = this._getVisibleArea(video);
             if (visibleArea > bestArea) {
                 bestArea = visibleArea;
                 bestVideo = video;
@@ -167,12 +422,83 @@ class NeuroFadeDetector {
         return bestVideo;
     }
 
+    /**
+     * Visible area of a video within the viewport (px²)
+     */
+    _getVisibleArea(video) {
+        const rect = video.getBoundingClientRect();
+        return Math.max(0,
+            Math.min(rect.bottom, window.innerHeight) - Math.max(rect.top, 0)
+        ) * Math.max(0,
+            Math.min(rect.right, window.innerWidth) - Math.max(rect.left, 0)
+        );
+    }
+
+    /**
+     * Track dwell time of the video in view (first play → leaving view)
+     * A view ends when another video takes over, or when the current one
+     * scrolls out or is removed. Pausing in place keeps the view open.
+     * Dwell is only counted from the video's first `playing` event.
+     * @param {boolean} currentInView - Whether the in-progress view's video is still on screen
+     */
+    _trackDwell(activeVideo, currentInView) {
+        this.recorder?.recordChange('view', {
+            video: this.recorder.idFor(activeVideo),
+            inView: currentInView
+        });
+        const now = this.clock.now();
+        const current = this.currentView;
+
+        if (current && current !== activeVideo && (activeVideo || !currentInView)) {
+            this._endView(current, now);
+        }
+
+        if (activeVideo && this.currentView !== activeVideo) {
+            if (this.lastViewedVideo && this.lastViewedVideo !== activeVideo) {
+                this._recordAdvance('video');
+            }
+            this.currentView = activeVideo;
+            this.lastViewedVideo = activeVideo;
+            const dwell = this.videoDwell.get(activeVideo);
+            dwell.viewStart = dwell.played ? now : null; // Otherwise _onPlaying starts it
+        }
+    }
+
+    /**
+     * Close the in-progress view of a video and record its dwell time
+     */
+    _endView(video, now) {
+        const dwell = this.videoDwell.get(video);
+        if (dwell && dwell.viewStart !== null) {
+            const duration = now - dwell.viewStart;
+            dwell.views++;
+            dwell.totalDwell += duration;
+            dwell.viewStart = null;
+
+            this.dwellHistory.push({ time: now, dwell: duration });
+            this.dwellHistory = this.dwellHistory.filter(
+                v => now - v.time < this.C.DWELL.HISTORY_WINDOW
+            );
+        }
+        if (this.currentView === video) this.currentView = null;
+    }
+
     /**
      * Analyze the currently active video frame
      */
     _analyzeActiveVideo() {
         const video = this._getActiveVideo();
+        const current = this.currentView;
+        this._trackDwell(video, !!current && current.isConnected && this._getVisibleArea(current) > 0);
         if (!video) return;
+
+        const caption = this.captionTracker.sample(video);
+        this.recorder?.recordChange('caption', {
+            video: this.recorder.idFor(video),
+            text: caption ? caption.text : null,
+            source: caption ? caption.source : null
+        });
+
         this.frameAnalyzer.analyzeFrame(video);
     }
 
@@ -180,91 +506,199 @@ class NeuroFadeDetector {
      * Start scroll monitoring
      */
     _startScrollMonitoring() {
-        this._scrollHandler = () => {
-            const now = Date.now();
-            const dy = Math.abs(window.scrollY - this.lastScrollY);
-            const dt = (now - this.lastScrollTime) / 1000 || 0.001;
-            const velocity = dy / dt;
+        this._scrollHandler = () => this._onWindowScroll(window.scrollY);
+        this._listen(window, 'scroll', this._scrollHandler, { passive: true });
+    }
 
-            this.scrollEvents.push({ time: now, velocity, dy });
+    /**
+     * Detect feed advancement on layouts where the window never scrolls:
+     * inner scroll containers, wheel / key / touch swipes and video switches
+     */
+    _startFeedAdvanceMonitoring() {
+        const containerSelector = this.platform.scrollContainer;
+
+        // Inner container scrolls (scroll doesn't bubble — listen in capture)
+        this._listen(document, 'scroll', (e) => {
+            const el = e.target;
+            if (el === document || !el.closest || !el.closest(containerSelector)) return;
+            this._onContainerScroll(el, el.scrollTop, el.clientHeight);
+        }, { capture: true, passive: true });
+
+        this._listen(window, 'wheel', (e) => this._onWheel(e.deltaY), { passive: true });
+
+        this._listen(window, 'keydown', (e) => {
+            const t = e.target;
+            if (t && (t.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(t.tagName))) return;
+            this._onKey(e.key);
+        }, { passive: true });
+
+        this._listen(window, 'touchstart', (e) => {
+            const touch = e.touches[0];
+            if (touch) this.touchStart = { x: touch.clientX, y: touch.clientY };
+        }, { passive: true });
+
+        this._listen(window, 'touchend', (e) => {
+            const start = this.touchStart;
+            const touch = e.changedTouches[0];
+            this.touchStart = null;
+            if (start && touch) this._onSwipe(touch.clientX - start.x, touch.clientY - start.y);
+        }, { passive: true });
+    }
 
-            // Clean old events
-            this.scrollEvents = this.scrollEvents.filter(
-                e => now - e.time < this.C.SCROLL.RAPID_SCROLL_WINDOW
-            );
+    /**
+     * Window scrolled to y
+     * Like the other _on*() handlers, this is shared by the live listeners
+     * and trace replay, and records its input while a trace is running.
+     */
+    _onWindowScroll(y) {
+        this.recorder?.record('scroll', { y });
+        const now = this.clock.now();
+        const dy = Math.abs(y - this.lastScrollY);
+        const dt = (now - this.lastScrollTime) / 1000 || 0.001;
+        const velocity = dy / dt;
 
-            this.lastScrollY = window.scrollY;
-            this.lastScrollTime = now;
-        };
+        this._recordScroll(now, velocity, dy);
 
-        window.addEventListener('scroll', this._scrollHandler, { passive: true });
+        this.lastScrollY = y;
+        this.lastScrollTime = now;
     }
 
     /**
-     * Calculate the composite dopamine score (0-100)
+     * Inner scroll container moved (el is the container or a replay stand-in)
      */
-    _updateDopamineScore() {
-        const W = this.C.SCORE_WEIGHTS;
-        const now = Date.now();
-        const elapsed = (now - this.startTime) / 1000; // seconds
-
-        // 1. Scene-cut score (from frame analyzer)
-        const metrics = this.frameAnalyzer.getMetrics();
-        const cutRateNorm = Math.min(metrics.cutRate / this.C.SCENE_CUT.HIGH_CUT_RATE, 1);
-        const motionNorm = Math.min(metrics.avgMotion / this.C.SCENE_CUT.MOTION_THRESHOLD, 1);
-        const sceneCutScore = (cutRateNorm * 0.7 + motionNorm * 0.3) * 100;
-
-        // 2. Scroll velocity score
-        const fastScrolls = this.scrollEvents.filter(
-            e => e.velocity > this.C.SCROLL.VELOCITY_THRESHOLD
-        ).length;
-        const scrollScore = Math.min(
-            fastScrolls / this.C.SCROLL.RAPID_SCROLL_COUNT, 1
-        ) * 100;
-
-        // 3. Time-on-page score (logarithmic increase)
-        const timeScore = Math.min(Math.log10(1 + elapsed / 60) * 50, 100);
-
-        // 4. Content changes (infinite scroll detection)
-        const contentChangeScore = Math.min(
-            this.domHeightChanges.length / this.C.SCROLL.INFINITE_SCROLL_THRESHOLD, 1
-        ) * 100;
-
-        // 5. Active video count
-        let activeVideos = 0;
-        for (const v of this.videos) {
-            if (!v.paused && !v.ended) activeVideos++;
+    _onContainerScroll(el, top, height) {
+        this.recorder?.record('containerScroll', { el: this.recorder.idFor(el), top, height });
+        const now = this.clock.now();
+        const last = this.containerScroll.get(el);
+        if (last) {
+            const dy = Math.abs(top - last.top);
+            const dt = (now - last.time) / 1000 || 0.001;
+            this._recordScroll(now, dy / dt, dy);
+
+            // One container height travelled ≈ one item advanced
+            last.travelled += dy;
+            if (last.travelled >= height * this.C.FEED_ADVANCE.PAGE_FRACTION) {
+                last.travelled = 0;
+                this._recordAdvance('container');
+            }
+            last.top = top;
+            last.time = now;
+        } else {
+            this.containerScroll.set(el, { top, time: now, travelled: 0 });
+        }
+    }
+
+    /**
+     * Wheel gesture. Gestures only count as advancing inside short-form feeds —
+     * elsewhere they are ordinary scrolling, already covered by scroll velocity.
+     */
+    _onWheel(deltaY) {
+        if (this.feedMode !== 'shortForm') return;
+        this.recorder?.record('wheel', { deltaY });
+        if (Math.abs(deltaY) >= this.C.FEED_ADVANCE.WHEEL_MIN_DELTA) this._recordAdvance('wheel');
+    }
+
+    /**
+     * Key press outside text inputs (only advance keys are recorded, never typed text)
+     */
+    _onKey(key) {
+        if (this.feedMode !== 'shortForm' || !this.C.FEED_ADVANCE.ADVANCE_KEYS.includes(key)) return;
+        this.recorder?.record('key', { key });
+        this._recordAdvance('key');
+    }
+
+    /**
+     * Completed touch swipe
+     */
+    _onSwipe(dx, dy) {
+        if (this.feedMode !== 'shortForm') return;
+        this.recorder?.record('swipe', { dx, dy });
+        if (Math.abs(dy) >= this.C.FEED_ADVANCE.SWIPE_MIN_DISTANCE && Math.abs(dy) > Math.abs(dx)) {
+            this._recordAdvance('touch');
         }
-        const videoScore = Math.min(activeVideos / 3, 1) * 100;
-
-        // Weighted composite
-        let rawScore = (
-            sceneCutScore * W.SCENE_CUTS +
-            scrollScore * W.SCROLL_VELOCITY +
-            timeScore * W.TIME_ON_PAGE +
-            contentChangeScore * W.CONTENT_CHANGES +
-            videoScore * W.VIDEO_COUNT
+    }
+
+    /**
+     * Document height sampled (infinite scroll appends content)
+     */
+    _onDOMHeight(height) {
+        if (height === this.lastDOMHeight) return;
+        this.recorder?.record('domHeight', { height });
+        const now = this.clock.now();
+        this.domHeightChanges.push(now);
+        this.lastDOMHeight = height;
+        // Clean old
+        this.domHeightChanges = this.domHeightChanges.filter(
+            t => now - t < this.C.SCROLL.RAPID_SCROLL_WINDOW
+        );
+    }
+
+    /**
+     * Record a scroll sample from the window or an inner container
+     */
+    _recordScroll(now, velocity, dy) {
+        this.scrollEvents.push({ time: now, velocity, dy });
+        this.scrollEvents = this.scrollEvents.filter(
+            e => now - e.time < this.C.SCROLL.RAPID_SCROLL_WINDOW
         );
+    }
+
+    /**
+     * Record one feed item advanced. Sources that fire together for the same
+     * swipe (wheel + container scroll + video switch) are debounced into one.
+     */
+    _recordAdvance(source) {
+        const now = this.clock.now();
+        const F = this.C.FEED_ADVANCE;
+        if (now - this.lastAdvanceTime < F.DEBOUNCE) return;
+        this.lastAdvanceTime = now;
+        this.feedAdvances.push({ time: now, source });
+        this.feedAdvances = this.feedAdvances.filter(a => now - a.time < F.WINDOW);
+    }
+
+    /**
+     * Calculate the composite dopamine score (0-100)
+     */
+    _updateDopamineScore() {
+        this._updateFeedMode();
+        if (this.recorder) this._recordTick();
+
+        // Weighted composite of all registered signals
+        const { rawScore: signalScore, signals } = this.signals.evaluate(this);
 
         // Apply sensitivity multiplier (0.5 sensitivity = 1x, 1.0 = 2x)
-        rawScore *= (0.5 + this.sensitivity * 1.5);
+        const rawScore = signalScore * (0.5 + this.sensitivity * 1.5);
 
         // Smooth transition (EMA)
         const alpha = 0.15;
         this.dopamineScore = alpha * Math.min(rawScore, 100) + (1 - alpha) * this.dopamineScore;
 
+        this.lastDetails = {
+            signals,
+            rawScore,
+            wpm: signals.speechRate?.meta?.wpm ?? null,
+            metrics: this.frameAnalyzer.getMetrics()
+        };
+
         // Notify
         if (this.onScoreUpdate) {
-            this.onScoreUpdate(this.dopamineScore, {
-                sceneCutScore,
-                scrollScore,
-                timeScore,
-                contentChangeScore,
-                videoScore,
-                rawScore,
-                metrics
-            });
+            this.onScoreUpdate(this.dopamineScore, this.lastDetails);
+        }
+    }
+
+    /**
+     * Record the inputs that signals sample at score time, then the tick itself
+     */
+    _recordTick() {
+        let playing = 0;
+        for (const v of this.videos) {
+            if (!v.paused && !v.ended) playing++;
         }
+        this.recorder.recordChange('videos', { total: this.videos.size, playing });
+
+        const audio = this.currentView && this.audioProcessor?.getStimulation(this.currentView);
+        this.recorder.recordChange('audio', { stimulation: audio || null });
+        this.recorder.record('tick');
     }
 
     /**
@@ -274,10 +708,14 @@ class NeuroFadeDetector {
         return {
             enabled: this.enabled,
             platform: this.platform?.name || 'Unknown',
+            feedMode: this.feedMode,
+            route: this.route.type,
             dopamineScore: Math.round(this.dopamineScore),
             videoCount: this.videos.size,
-            activeTime: Math.round((Date.now() - this.startTime) / 1000),
-            sensitivity: this.sensitivity
+            activeTime: Math.round((this.clock.now() - this.startTime) / 1000),
+            sensitivity: this.sensitivity,
+            flashProtection: this.frameAnalyzer.flashDetection,
+            flashing: this.frameAnalyzer.isFlashing()
         };
     }
 }
@@ -1,37 +1,90 @@
 /**
  * Neuro-Fade Frame Analyzer
  * Captures and analyzes video frames for scene-cut detection
+ * Pixel work runs in a dedicated worker (frame-worker.js); frames are
+ * captured as ImageBitmaps and transferred to it, results come back async.
+ * The sampling rate adapts to cut/motion activity within a per-tab CPU
+ * budget (ms of analysis per second); the detector asks for the next interval.
+ * Also flags photosensitive flashing (WCAG 2.3.1) in the video being analyzed.
+ * Each video element gets its own stream of analyzer state, so switching
+ * between videos never compares unrelated frames; getMetrics() aggregates
+ * across them.
  * Integrates with AMD NPU via WebNN API when available
  */
 
 class FrameAnalyzer {
-    constructor() {
-        this.canvas = new OffscreenCanvas(160, 90); // Small for perf
-        this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
-        this.previousHistogram = null;
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.clock] - Time source with now() (virtual during replay)
+     * @param {boolean} [options.headless] - No capture, worker or NPU; results come from ingest()
+     */
+    constructor({ clock = Date, headless = false } = {}) {
+        this.clock = clock;
+        this.headless = headless;
+
+        // Aggregated across videos — kept here so dropping a video's
+        // stream never rewrites history
         this.sceneCuts = [];
         this.motionScores = [];
         this.frameCount = 0;
-        this.lastFrameData = null;
+        this.lastFrameAt = null;
+
+        // Per-video state: video element → stream (see _createStream)
+        this.streams = new Map();
+        this._nextStreamId = 1;
 
         const C = window.NEURO_FADE_CONSTANTS;
-        this.BINS = C.SCENE_CUT.HISTOGRAM_BINS;
-        this.DIFF_THRESHOLD = C.SCENE_CUT.DIFF_THRESHOLD;
+        this.C = C;
         this.MOTION_THRESHOLD = C.SCENE_CUT.MOTION_THRESHOLD;
         this.CUT_WINDOW = C.TIMING.SCENE_CUT_WINDOW;
 
+        // Frame pipeline — every capture gets a sequence number so results
+        // that come back late or out of order can be recognized
+        this.worker = null;
+        this.seq = 0;               // Last frame captured
+        this.inFlight = new Map();  // seq → { capturedAt, cost, stream }, until the worker answers
+        this.mainThread = null;     // { canvas, ctx } when no worker is available
+
+        this.flashDetection = true;
+
+        // Accelerated boundary decisions (see _decide)
+        this.inference = { inFlight: 0, accelerated: 0, late: 0, busy: 0, failed: 0, stale: 0 };
+        this.distanceWeights = FrameAnalyzer._distanceWeights(C.SCENE_CUT);
+
+        // Callbacks
+        this.onFrame = null;    // (frame, capturedAt, video) for each frame folded in
+        this.onFlash = null;    // (flagged, video, { kind, flashes }) when flagging starts/ends
+        this.onContent = null;  // (classification, capturedAt, video) for each classified frame
+
+        // Adaptive sampling
+        const F = C.FRAME_SAMPLING;
+        this.budget = F.CPU_BUDGET;         // ms of analysis per second
+        this.sampleInterval = C.TIMING.FRAME_SAMPLE_INTERVAL;
+        this.backoff = 1;
+        this.costPerFrame = 0;              // Smoothed ms of analysis per frame
+        this.frameCosts = [];               // { time, cost } per analyzed frame
+        this.longTasks = [];                // { time, blocking } per page long task
+
         // Initialize AMD NPU bridge for accelerated histogram comparison
         this.npuBridge = null;
-        this._initNPU();
+        if (!headless) {
+            this._initWorker();
+            this._initNPU();
+        }
     }
 
     /**
-     * Initialize AMD NPU for accelerated processing
+     * Initialize AMD NPU for accelerated processing and content classification
      */
     async _initNPU() {
         try {
             if (window.NPUBridge) {
-                this.npuBridge = new window.NPUBridge();
+                // Capability probing waits for the page to go idle
+                this.npuBridge = new window.NPUBridge({ detection: 'idle' });
+                this.npuBridge.configureBatching({
+                    maxSize: this.C.INFERENCE.BATCH_SIZE,
+                    maxLatency: this.C.INFERENCE.BATCH_MAX_LATENCY
+                });
                 await this.npuBridge.init();
                 console.log('[Neuro-Fade] FrameAnalyzer NPU:', this.npuBridge.getStatusString());
             }
@@ -41,136 +94,690 @@ class FrameAnalyzer {
     }
 
     /**
-     * Analyze a single video frame
-     * Returns: { isSceneCut, motionScore, histogram, cutRate }
+     * Start the frame worker
+     * Content scripts can't start workers from extension URLs, so the worker
+     * sources are fetched and run from a blob URL. Until the worker reports
+     * ready — or for good, if the page's CSP blocks it — frames are
+     * analyzed on the main thread.
+     */
+    async _initWorker() {
+        const S = this.C.SCENE_CUT;
+        try {
+            const sources = await Promise.all(
+                ['src/content/frame-processor.js', 'src/content/frame-worker.js'].map(async (path) => {
+                    const response = await fetch(chrome.runtime.getURL(path));
+                    return response.text();
+                })
+            );
+            const url = URL.createObjectURL(new Blob(sources, { type: 'text/javascript' }));
+            const worker = new Worker(url);
+
+            worker.onmessage = (e) => {
+                const msg = e.data;
+                if (msg.type === 'ready') {
+                    URL.revokeObjectURL(url);
+                    this.worker = worker;
+                    console.log('[Neuro-Fade] Frame analysis running in a worker');
+                } else {
+                    this._onWorkerMessage(msg);
+                }
+            };
+            worker.onerror = (e) => {
+                URL.revokeObjectURL(url);
+                worker.terminate();
+                this.worker = null;
+                this.inFlight.clear();
+                console.debug('[Neuro-Fade] Frame worker failed, using main thread:', e.message);
+            };
+            worker.postMessage({
+                type: 'init',
+                width: S.FRAME_WIDTH,
+                height: S.FRAME_HEIGHT,
+                sceneCut: S,
+                flash: this.C.FLASH
+            });
+        } catch (e) {
+            console.debug('[Neuro-Fade] Frame worker unavailable, using main thread:', e);
+        }
+    }
+
+    /**
+     * Analyze the current frame of a video
+     * Metrics update asynchronously once the worker answers; subscribe
+     * with onFrame to see each analyzed frame.
      */
     analyzeFrame(videoElement) {
+        if (this.headless) return;
+        this.prune();
         if (!videoElement || videoElement.paused || videoElement.ended ||
             videoElement.readyState < 2 || videoElement.videoWidth === 0) {
-            return null;
+            return;
+        }
+
+        const stream = this._getStream(videoElement);
+        if (this.worker) {
+            this._captureFrame(stream);
+        } else {
+            this._analyzeOnMainThread(stream);
         }
+    }
 
+    /**
+     * Analyzer state for one video element
+     */
+    _createStream(video) {
+        return {
+            id: this._nextStreamId++,   // Names the video's FrameProcessor in the worker
+            video,
+            processor: null,            // Main-thread FrameProcessor (fallback only)
+            appliedSeq: 0,              // Newest frame processed
+            queue: [],                  // Processed frames waiting to be folded, in capture order
+            sceneCuts: [],              // Capture times, within CUT_WINDOW
+            motionScores: [],           // Last 20
+            frameCount: 0,
+            lastFrameAt: this.clock.now(),
+            flash: { luminance: [], red: [], flagged: false, lastFlashing: 0 }, // Transitions in the last second
+            content: { scores: null, backend: null, classifiedAt: null, samples: 0, // Smoothed category confidences
+                requestedAt: -Infinity, pending: false,                           // Throttled classification
+                features: null }                                                  // featureVector of the last classified frame
+        };
+    }
+
+    _getStream(video) {
+        let stream = this.streams.get(video);
+        if (!stream) {
+            stream = this._createStream(video);
+            this.streams.set(video, stream);
+        }
+        return stream;
+    }
+
+    /**
+     * Drop the state of videos that left the page, or went without frames
+     * for STREAM_IDLE (unless flagged for flashing — the dim stays until it
+     * is seen calm)
+     */
+    prune() {
+        const now = this.clock.now();
+        for (const stream of this.streams.values()) {
+            const gone = stream.video && stream.video.isConnected === false;
+            const idle = now - stream.lastFrameAt > this.C.SCENE_CUT.STREAM_IDLE && !stream.flash.flagged;
+            if (gone || idle) this._release(stream);
+        }
+    }
+
+    _release(stream) {
+        this._dropQueue(stream);
+        this._clearFlash(stream);
+        this.streams.delete(stream.video);
+        if (this.worker) this.worker.postMessage({ type: 'release', stream: stream.id });
+    }
+
+    /**
+     * Grab a downscaled ImageBitmap and hand it to the worker
+     */
+    async _captureFrame(stream) {
+        const S = this.C.SCENE_CUT;
+        if (this.inFlight.size >= S.MAX_FRAMES_IN_FLIGHT) return; // Worker is behind — skip
+
+        const seq = ++this.seq;
+        const pending = { capturedAt: this.clock.now(), cost: 0, stream };
+        this.inFlight.set(seq, pending);
         try {
-            // Draw scaled frame
-            this.ctx.drawImage(videoElement, 0, 0, this.canvas.width, this.canvas.height);
-            const imageData = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
-            const data = imageData.data;
-
-            // Compute color histogram
-            const histogram = this._computeHistogram(data);
-
-            // Compute motion score
-            const motionScore = this._computeMotion(data);
-
-            // Detect scene cut (use NPU-accelerated comparison when available)
-            let isSceneCut = false;
-            if (this.previousHistogram) {
-                let diff;
-                if (this.npuBridge && this.npuBridge.available) {
-                    // AMD NPU-accelerated histogram comparison
-                    this.npuBridge.computeHistogramDistance(this.previousHistogram, histogram)
-                        .then(d => { /* async update handled by next frame */ });
-                    // Use sync fallback for immediate result
-                    diff = this._histogramDiff(this.previousHistogram, histogram);
-                } else {
-                    diff = this._histogramDiff(this.previousHistogram, histogram);
-                }
-                isSceneCut = diff > this.DIFF_THRESHOLD;
+            const start = performance.now();
+            const capture = createImageBitmap(stream.video, {
+                resizeWidth: S.FRAME_WIDTH,
+                resizeHeight: S.FRAME_HEIGHT,
+                resizeQuality: 'low'
+            });
+            pending.cost = performance.now() - start; // Main-thread share; decoding is off-thread
+            const bitmap = await capture;
+            if (!this.worker || !this.inFlight.has(seq)) {
+                // Worker failed or analyzer reset while capturing
+                bitmap.close();
+                this.inFlight.delete(seq);
+                return;
             }
+            this.worker.postMessage({ type: 'frame', seq, stream: stream.id, bitmap }, [bitmap]);
+        } catch (e) {
+            // Frame unavailable (video emptied or not decodable)
+            this.inFlight.delete(seq);
+        }
+    }
 
-            // Track scene cuts in time window
-            const now = Date.now();
-            if (isSceneCut) {
-                this.sceneCuts.push(now);
-            }
-            // Clean old cuts outside window
-            this.sceneCuts = this.sceneCuts.filter(t => now - t < this.CUT_WINDOW);
-
-            // Compute cut rate (cuts per 10 seconds)
-            const windowSeconds = this.CUT_WINDOW / 1000;
-            const cutRate = (this.sceneCuts.length / windowSeconds) * 10;
-
-            // Store for next comparison
-            this.previousHistogram = histogram;
-            this.lastFrameData = data.slice(0); // Copy
-            this.frameCount++;
-
-            // Track motion scores (keep last 20)
-            this.motionScores.push(motionScore);
-            if (this.motionScores.length > 20) this.motionScores.shift();
-
-            return {
-                isSceneCut,
-                motionScore,
-                cutRate,
-                avgMotion: this._average(this.motionScores),
-                frameCount: this.frameCount,
-                histogram
+    _onWorkerMessage(msg) {
+        const pending = this.inFlight.get(msg.seq);
+        this.inFlight.delete(msg.seq);
+        if (msg.type !== 'result') return;
+
+        // Captured before a reset, or overtaken by a newer frame of the same video
+        if (pending === undefined || msg.seq <= pending.stream.appliedSeq) return;
+        const stream = pending.stream;
+        if (this.streams.get(stream.video) !== stream) {
+            // Released while in flight — the worker recreated its processor
+            this.worker.postMessage({ type: 'release', stream: stream.id });
+            return;
+        }
+        stream.appliedSeq = msg.seq;
+
+        this._decide(stream, msg, msg.seq, pending.capturedAt, pending.cost + msg.cost);
+    }
+
+    /**
+     * Fallback when no worker is available (blocked by CSP, or still starting)
+     */
+    _analyzeOnMainThread(stream) {
+        const S = this.C.SCENE_CUT;
+        if (!this.mainThread) {
+            const canvas = new OffscreenCanvas(S.FRAME_WIDTH, S.FRAME_HEIGHT); // Small for perf
+            this.mainThread = {
+                canvas,
+                ctx: canvas.getContext('2d', { willReadFrequently: true })
             };
+        }
+        if (!stream.processor) {
+            stream.processor = new window.FrameProcessor({
+                width: S.FRAME_WIDTH,
+                height: S.FRAME_HEIGHT,
+                sceneCut: S,
+                flash: this.C.FLASH
+            });
+        }
+
+        const { canvas, ctx } = this.mainThread;
+        try {
+            const capturedAt = this.clock.now();
+            const start = performance.now();
+            ctx.drawImage(stream.video, 0, 0, canvas.width, canvas.height);
+            const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+            const result = { ...stream.processor.process(data), pixels: data };
+            this._decide(stream, result, ++this.seq, capturedAt, performance.now() - start);
         } catch (e) {
             // Cross-origin or unavailable frame
+        }
+    }
+
+    /**
+     * Queue a processed frame to be folded in, in capture order
+     * Frames that judged a shot boundary wait for the histogram distance of
+     * the compared pair from the accelerator (AMD NPU / GPU / CPU via WebNN),
+     * which then decides the cut. If it can't take more work, or the result
+     * misses INFERENCE.DEADLINE, the worker's JS decision stands.
+     * @param {number} seq - The frame's capture sequence number
+     * @param {number} cost - Main-thread ms spent on the frame so far
+     */
+    _decide(stream, result, seq, capturedAt, cost) {
+        const I = this.C.INFERENCE;
+        const entry = { result, seq, capturedAt, cost, ready: true, deadline: null };
+        stream.queue.push(entry);
+
+        if (result.boundary && this._accelerated()) {
+            if (this.inference.inFlight < I.MAX_IN_FLIGHT) {
+                entry.ready = false;
+                entry.deadline = setTimeout(() => {
+                    entry.ready = true;
+                    this.inference.late++;
+                    this._flush(stream);
+                }, I.DEADLINE);
+                this._infer(stream, result, seq);
+            } else {
+                this.inference.busy++;
+            }
+        }
+        this._flush(stream);
+    }
+
+    _accelerated() {
+        return this.npuBridge !== null && this.npuBridge.available && this.npuBridge.graph !== null;
+    }
+
+    /**
+     * Compute a judged pair's histogram distance on the accelerator and
+     * match the result back to its frame by sequence number
+     */
+    async _infer(stream, result, seq) {
+        this.inference.inFlight++;
+        let distance = null;
+        try {
+            distance = await this.npuBridge.computeHistogramDistance(
+                result.boundary.anchor, result.histogram, this.distanceWeights);
+        } catch (e) {
+            this.inference.failed++;
+        } finally {
+            this.inference.inFlight--;
+        }
+
+        const entry = stream.queue.find(e => e.seq === seq);
+        if (!entry || entry.ready) {
+            // Folded on the JS decision already, or the video was released
+            if (distance !== null) this.inference.stale++;
+            return;
+        }
+        clearTimeout(entry.deadline);
+        entry.ready = true;
+        if (distance !== null) {
+            const S = this.C.SCENE_CUT;
+            const change = window.FrameProcessor.change(S, distance, result.boundary.ecr);
+            entry.result = { ...result, isSceneCut: window.FrameProcessor.isBoundary(S, change) };
+            this.inference.accelerated++;
+        }
+        this._flush(stream);
+    }
+
+    /**
+     * Fold the frames at the head of a stream's queue that are decided
+     */
+    _flush(stream) {
+        if (this.streams.get(stream.video) !== stream) return; // Released meanwhile
+        while (stream.queue.length > 0 && stream.queue[0].ready) {
+            const entry = stream.queue.shift();
+            const start = performance.now();
+            this._fold(stream, entry.result, entry.capturedAt);
+            this._recordCost(entry.cost + performance.now() - start);
+        }
+    }
+
+    _dropQueue(stream) {
+        for (const entry of stream.queue) clearTimeout(entry.deadline);
+        stream.queue = [];
+    }
+
+    /**
+     * Per-bin weights that make NPUBridge's chi-squared distance equal
+     * FrameProcessor's weighted HSV histogram distance
+     */
+    static _distanceWeights(S) {
+        const bins = S.HISTOGRAM_BINS;
+        const weights = new Float32Array(bins * 3);
+        S.HSV_WEIGHTS.forEach((w, channel) => weights.fill(w / 2, channel * bins, (channel + 1) * bins));
+        return weights;
+    }
+
+    /**
+     * Accelerated boundary decisions and per-backend latency, for the dashboard
+     */
+    getInferenceStats() {
+        const { inFlight, ...counts } = this.inference;
+        return {
+            backend: this.npuBridge ? this.npuBridge.backend : null,
+            accelerated: this._accelerated(),
+            ...counts,
+            latency: this.npuBridge ? this.npuBridge.getLatencyStats() : {},
+            batching: this.npuBridge ? this.npuBridge.getBatchStats() : null
+        };
+    }
+
+    /**
+     * Fold a processed frame (see FrameProcessor.process) into the metrics
+     */
+    _fold(stream, result, capturedAt) {
+        const frame = this.ingest(stream.video, result.isSceneCut, result.motionScore, capturedAt);
+        frame.luminanceTransition = result.luminanceTransition;
+        frame.redTransition = result.redTransition;
+        if (this.onFrame) this.onFrame(frame, capturedAt, stream.video);
+
+        this.ingestFlash(stream.video, result.luminanceTransition, result.redTransition, capturedAt);
+
+        if (result.pixels && this._classifyDue(stream)) {
+            this._classify(stream, result.pixels, capturedAt);
+        }
+    }
+
+    _classifyDue(stream) {
+        return this.npuBridge !== null && !stream.content.pending &&
+            this.clock.now() - stream.content.requestedAt >= this.C.CONTENT_CLASSIFY.INTERVAL;
+    }
+
+    /**
+     * Classify a frame's content on whichever backend NPUBridge has active
+     * (ONNX model on NPU / GPU / CPU, or its heuristic), through NPUBridge's
+     * queue — one frame per run, see INFERENCE.BATCH_SIZE.
+     */
+    async _classify(stream, data, capturedAt) {
+        const S = this.C.SCENE_CUT;
+        stream.content.pending = true;
+        stream.content.requestedAt = this.clock.now();
+        try {
+            const result = await this.npuBridge.classifyBatched({
+                data,
+                width: S.FRAME_WIDTH,
+                height: S.FRAME_HEIGHT
+            });
+            // Video released, or analyzer reset, while classifying
+            if (this.streams.get(stream.video) !== stream) return;
+
+            const classification = {
+                category: result.category,
+                confidence: result.confidence,
+                backend: result.backend
+            };
+            stream.content.features = Array.from(result.features.featureVector);
+            this.ingestContent(stream.video, classification, capturedAt);
+            if (this.onContent) this.onContent(classification, capturedAt, stream.video);
+        } catch (e) {
+            console.debug('[Neuro-Fade] Content classification failed:', e);
+        } finally {
+            stream.content.pending = false;
+        }
+    }
+
+    /**
+     * Fold one content classification of a video into its smoothed category
+     * confidences — an EMA over time, so one odd frame doesn't swing the signal.
+     * Called for classified frames, and directly with recorded results on replay.
+     * @param {Object} classification - { category, confidence, backend }
+     * @param {number} [time] - When the frame was captured
+     */
+    ingestContent(video, { category, confidence, backend }, time = this.clock.now()) {
+        const K = this.C.CONTENT_CLASSIFY;
+        const content = this._getStream(video).content;
+        if (!(category in K.INTENSITY)) return;
+
+        const alpha = content.classifiedAt === null
+            ? 1
+            : 1 - Math.exp(-Math.max(time - content.classifiedAt, 0) / K.SMOOTHING);
+        if (!content.scores) content.scores = {};
+        for (const name of Object.keys(K.INTENSITY)) {
+            // The other categories share what the winner's confidence leaves
+            const target = name === category ? confidence : (1 - confidence) / 2;
+            content.scores[name] = (content.scores[name] ?? target) * (1 - alpha) + target * alpha;
+        }
+        content.backend = backend;
+        content.classifiedAt = time;
+        content.samples++;
+    }
+
+    /**
+     * Smoothed visual intensity (0-1) of a video, or by default of the video
+     * classified last; null when nothing was classified within STALE_AFTER
+     * @returns {Object|null} { intensity, category, confidence, backend, samples, classifiedAt }
+     */
+    getVisualIntensity(video = undefined) {
+        const K = this.C.CONTENT_CLASSIFY;
+        const content = this._latestContent(video);
+        if (!content) return null;
+
+        let total = 0;
+        let intensity = 0;
+        let category = null;
+        for (const [name, score] of Object.entries(content.scores)) {
+            total += score;
+            intensity += score * K.INTENSITY[name];
+            if (category === null || score > content.scores[category]) category = name;
+        }
+        return {
+            intensity: total > 0 ? intensity / total : 0,
+            category,
+            confidence: total > 0 ? content.scores[category] / total : 0,
+            backend: content.backend,
+            samples: content.samples,
+            classifiedAt: content.classifiedAt
+        };
+    }
+
+    /**
+     * Content features of the last frame classified (of a video, or of any),
+     * for labelling the moment; null when nothing was classified within
+     * STALE_AFTER or the classification was replayed
+     * @returns {Object|null} { featureVector, category, backend, classifiedAt }
+     */
+    getContentFeatures(video = undefined) {
+        const content = this._latestContent(video);
+        if (!content || !content.features) return null;
+
+        const intensity = this.getVisualIntensity(video);
+        return {
+            featureVector: content.features.slice(),
+            category: intensity.category,
+            backend: content.backend,
+            classifiedAt: content.classifiedAt
+        };
+    }
+
+    /**
+     * Content state of a video, or by default of the video classified last;
+     * null when it has no classification within STALE_AFTER
+     */
+    _latestContent(video) {
+        let content = null;
+        if (video !== undefined) {
+            content = this.streams.get(video)?.content || null;
+        } else {
+            for (const stream of this.streams.values()) {
+                if (stream.content.classifiedAt !== null &&
+                    (!content || stream.content.classifiedAt > content.classifiedAt)) {
+                    content = stream.content;
+                }
+            }
+        }
+        if (!content || content.classifiedAt === null ||
+            this.clock.now() - content.classifiedAt > this.C.CONTENT_CLASSIFY.STALE_AFTER) {
             return null;
         }
+        return content;
     }
 
     /**
-     * Compute RGB color histogram with N bins per channel
+     * Fold one analyzed frame of a video into its own and the aggregated metrics
+     * Called for every analyzed frame, and directly with recorded results on replay.
+     * @param {number} [time] - When the frame was captured
      */
-    _computeHistogram(data) {
-        const bins = this.BINS;
-        const histogram = new Float32Array(bins * 3); // R, G, B
-        const binSize = 256 / bins;
-        const pixelCount = data.length / 4;
+    ingest(video, isSceneCut, motionScore, time = this.clock.now()) {
+        const stream = this._getStream(video);
+        stream.lastFrameAt = this.lastFrameAt = this.clock.now();
+        stream.frameCount++;
+        this.frameCount++;
 
-        for (let i = 0; i < data.length; i += 4) {
-            const r = Math.floor(data[i] / binSize);
-            const g = Math.floor(data[i + 1] / binSize);
-            const b = Math.floor(data[i + 2] / binSize);
-            histogram[r]++;
-            histogram[bins + g]++;
-            histogram[bins * 2 + b]++;
+        // Track scene cuts in time window
+        if (isSceneCut) {
+            stream.sceneCuts.push(time);
+            this.sceneCuts.push(time);
         }
+        this._pruneCuts(stream);
 
-        // Normalize
-        for (let i = 0; i < histogram.length; i++) {
-            histogram[i] /= pixelCount;
+        // Track motion scores (keep last 20)
+        for (const scores of [stream.motionScores, this.motionScores]) {
+            scores.push(motionScore);
+            if (scores.length > 20) scores.shift();
         }
 
-        return histogram;
+        return {
+            isSceneCut,
+            motionScore,
+            cutRate: this._cutRate(this.sceneCuts),
+            avgMotion: this._average(this.motionScores),
+            frameCount: this.frameCount
+        };
+    }
+
+    /**
+     * Clean old cuts outside window
+     */
+    _pruneCuts(stream = null) {
+        const now = this.clock.now();
+        this.sceneCuts = this.sceneCuts.filter(t => now - t < this.CUT_WINDOW);
+        if (stream) stream.sceneCuts = stream.sceneCuts.filter(t => now - t < this.CUT_WINDOW);
     }
 
     /**
-     * Compare two histograms using chi-squared distance
+     * Cuts per 10 seconds
      */
-    _histogramDiff(h1, h2) {
-        let diff = 0;
-        for (let i = 0; i < h1.length; i++) {
-            const sum = h1[i] + h2[i];
-            if (sum > 0) {
-                diff += ((h1[i] - h2[i]) ** 2) / sum;
+    _cutRate(sceneCuts) {
+        return (sceneCuts.length / (this.CUT_WINDOW / 1000)) * 10;
+    }
+
+    /**
+     * Track WCAG flash transitions for a video
+     * A flash is a pair of opposing transitions; more than MAX_FLASHES in any
+     * one second flags the video until it has stayed calm for HOLD ms.
+     * @param {number} luminance - Luminance transition (-1 / 0 / 1)
+     * @param {number} red - Saturated-red transition (-1 / 0 / 1)
+     */
+    ingestFlash(video, luminance, red, time = this.clock.now()) {
+        if (!this.flashDetection) return;
+        const F = this.C.FLASH;
+        const flash = this._getStream(video).flash;
+
+        if (luminance) flash.luminance.push({ time, direction: luminance });
+        if (red) flash.red.push({ time, direction: red });
+
+        const now = this.clock.now();
+        flash.luminance = flash.luminance.filter(t => now - t.time < F.WINDOW);
+        flash.red = flash.red.filter(t => now - t.time < F.WINDOW);
+
+        const luminanceFlashes = FrameAnalyzer._countFlashes(flash.luminance);
+        const redFlashes = FrameAnalyzer._countFlashes(flash.red);
+        const flashes = Math.max(luminanceFlashes, redFlashes);
+
+        if (flashes > F.MAX_FLASHES) {
+            flash.lastFlashing = now;
+            if (!flash.flagged) {
+                flash.flagged = true;
+                const kind = redFlashes > F.MAX_FLASHES ? 'red' : 'luminance';
+                console.log(`[Neuro-Fade] Flashing detected: ${flashes} ${kind} flashes/s`);
+                if (this.onFlash) this.onFlash(true, video, { kind, flashes });
+            }
+        } else if (flash.flagged && now - flash.lastFlashing > F.HOLD) {
+            this._clearFlash(this.streams.get(video));
+        }
+    }
+
+    /**
+     * Count flashes — non-overlapping pairs of opposing transitions
+     */
+    static _countFlashes(transitions) {
+        let flashes = 0;
+        let open = 0; // Direction of an unpaired transition
+        for (const { direction } of transitions) {
+            if (open === -direction) {
+                flashes++;
+                open = 0;
+            } else {
+                open = direction;
             }
         }
-        return diff / h1.length;
+        return flashes;
+    }
+
+    /**
+     * Forget the flash state of every video, lifting any flags
+     */
+    clearFlash() {
+        for (const stream of this.streams.values()) this._clearFlash(stream);
+    }
+
+    _clearFlash(stream) {
+        const flash = stream.flash;
+        const wasFlagged = flash.flagged;
+        flash.luminance = [];
+        flash.red = [];
+        flash.flagged = false;
+        if (wasFlagged && this.onFlash) this.onFlash(false, stream.video, null);
+    }
+
+    isFlashing() {
+        for (const stream of this.streams.values()) {
+            if (stream.flash.flagged) return true;
+        }
+        return false;
+    }
+
+    setFlashDetection(enabled) {
+        this.flashDetection = enabled;
+        if (!enabled) this.clearFlash();
+    }
+
+    /**
+     * Set the CPU budget in ms of analysis per second
+     */
+    setBudget(ms) {
+        if (ms > 0) this.budget = ms;
+    }
+
+    /**
+     * Note a long task on the page (from a PerformanceObserver)
+     */
+    noteLongTask(duration) {
+        const blocking = duration - this.C.FRAME_SAMPLING.LONG_TASK_THRESHOLD;
+        if (blocking > 0) this.longTasks.push({ time: this.clock.now(), blocking });
     }
 
     /**
-     * Compute frame motion by comparing pixel differences
+     * Pick the delay before the next sample
+     * Faster while cuts and motion are high, slower on static video, never
+     * faster than the budget pays for at the measured cost per frame, and
+     * backed off while analysis or the page's long tasks exceed the budget.
+     * While a video may be flashing, FLASH.SAMPLE_INTERVAL applies instead,
+     * up to FLASH.BUDGET_FACTOR times the budget: sampled slower, a video
+     * flashing past MAX_FLASHES per second would go uncounted.
      */
-    _computeMotion(currentData) {
-        if (!this.lastFrameData) return 0;
+    getSampleInterval() {
+        const F = this.C.FRAME_SAMPLING;
+        const S = this.C.SCENE_CUT;
+        const FL = this.C.FLASH;
 
-        let diffSum = 0;
-        const pixelCount = currentData.length / 4;
-        const step = 16; // Sample every 16th pixel for speed
+        // Counting flashes needs several samples per flash
+        if (this.flashDetection && this._flashSuspected()) {
+            const ceiling = (this.costPerFrame / (this.budget * FL.BUDGET_FACTOR)) * 1000;
+            this.sampleInterval = Math.max(FL.SAMPLE_INTERVAL, ceiling);
+            return this.sampleInterval;
+        }
+
+        const { cutRate, avgMotion } = this.getMetrics();
 
-        for (let i = 0; i < currentData.length; i += 4 * step) {
-            const dr = Math.abs(currentData[i] - this.lastFrameData[i]);
-            const dg = Math.abs(currentData[i + 1] - this.lastFrameData[i + 1]);
-            const db = Math.abs(currentData[i + 2] - this.lastFrameData[i + 2]);
-            diffSum += (dr + dg + db) / (3 * 255);
+        // 0 for a static shot, 1 at a high cut rate or heavy motion
+        const activity = Math.min(1, Math.max(cutRate / S.HIGH_CUT_RATE, avgMotion / this.MOTION_THRESHOLD));
+        let interval = F.MAX_INTERVAL - activity * (F.MAX_INTERVAL - F.MIN_INTERVAL);
+
+        if (this.costPerFrame > 0) {
+            interval = Math.max(interval, (this.costPerFrame / this.budget) * 1000);
         }
 
-        return diffSum / (pixelCount / step);
+        const load = this._getLoad();
+        if (load.analysis > this.budget || load.blocking > this.budget) {
+            this.backoff = Math.min(F.MAX_BACKOFF, this.backoff * 2);
+        } else {
+            this.backoff = Math.max(1, this.backoff * F.BACKOFF_RECOVERY);
+        }
+
+        this.sampleInterval = Math.min(interval * this.backoff, F.MAX_INTERVAL * F.MAX_BACKOFF);
+        return this.sampleInterval;
+    }
+
+    /**
+     * Whether any video had a flash (an opposing pair of transitions) within
+     * the flash window — a lone transition is just a cut
+     */
+    _flashSuspected() {
+        const now = this.clock.now();
+        const recent = transitions => transitions.filter(t => now - t.time < this.C.FLASH.WINDOW);
+        for (const { flash } of this.streams.values()) {
+            if (FrameAnalyzer._countFlashes(recent(flash.luminance)) > 0 ||
+                FrameAnalyzer._countFlashes(recent(flash.red)) > 0) return true;
+        }
+        return false;
+    }
+
+    _recordCost(cost) {
+        this.frameCosts.push({ time: this.clock.now(), cost });
+        this.costPerFrame = this.costPerFrame > 0 ? this.costPerFrame * 0.8 + cost * 0.2 : cost;
+    }
+
+    /**
+     * Analysis and long-task time over the budget window, in ms per second
+     */
+    _getLoad() {
+        const windowMs = this.C.FRAME_SAMPLING.BUDGET_WINDOW;
+        const now = this.clock.now();
+        this.frameCosts = this.frameCosts.filter(f => now - f.time < windowMs);
+        this.longTasks = this.longTasks.filter(t => now - t.time < windowMs);
+
+        const perSecond = 1000 / windowMs;
+        return {
+            frames: this.frameCosts.length * perSecond,
+            analysis: this.frameCosts.reduce((sum, f) => sum + f.cost, 0) * perSecond,
+            blocking: this.longTasks.reduce((sum, t) => sum + t.blocking, 0) * perSecond
+        };
     }
 
     _average(arr) {
@@ -179,25 +786,58 @@ class FrameAnalyzer {
     }
 
     /**
-     * Get the current stimulation metrics
+     * Stimulation metrics of one video, or null if it has no analyzer state
+     */
+    getVideoMetrics(video) {
+        const stream = this.streams.get(video);
+        if (!stream) return null;
+        this._pruneCuts(stream);
+        return {
+            cutRate: this._cutRate(stream.sceneCuts),
+            avgMotion: this._average(stream.motionScores),
+            totalFrames: stream.frameCount,
+            recentCuts: stream.sceneCuts.length,
+            flashing: stream.flash.flagged
+        };
+    }
+
+    /**
+     * Get the current stimulation metrics, aggregated across videos:
+     * cuts in the window and the last 20 motion samples of whichever videos
+     * were analyzed (one at a time — the one in view)
      */
     getMetrics() {
+        const load = this._getLoad();
+        this._pruneCuts();
         return {
-            cutRate: this.sceneCuts.length > 0
-                ? (this.sceneCuts.length / (this.CUT_WINDOW / 1000)) * 10
-                : 0,
+            cutRate: this._cutRate(this.sceneCuts),
             avgMotion: this._average(this.motionScores),
             totalFrames: this.frameCount,
-            recentCuts: this.sceneCuts.length
+            recentCuts: this.sceneCuts.length,
+            videos: this.streams.size,              // Videos with analyzer state
+            sampleRate: load.frames,                // Frames analyzed per second
+            sampleInterval: this.sampleInterval,
+            cpuBudget: this.budget,                 // ms per second
+            cpuTime: load.analysis,                 // ms per second
+            budgetUsage: load.analysis / this.budget,
+            backoff: this.backoff,
+            flashing: this.isFlashing()
         };
     }
 
     reset() {
-        this.previousHistogram = null;
         this.sceneCuts = [];
         this.motionScores = [];
         this.frameCount = 0;
-        this.lastFrameData = null;
+        this.lastFrameAt = null;
+        this.sampleInterval = this.C.TIMING.FRAME_SAMPLE_INTERVAL;
+
+        // Anything captured so far belongs to the previous page
+        this.clearFlash();
+        for (const stream of this.streams.values()) this._dropQueue(stream);
+        this.streams.clear();
+        this.inFlight.clear();
+        if (this.worker) this.worker.postMessage({ type: 'reset', seq: this.seq });
     }
 }
 
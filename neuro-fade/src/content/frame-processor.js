@@ -0,0 +1,526 @@
+/**
+ * Neuro-Fade Frame Processor
+ * Pixel math for one stream of frames — shot boundaries, motion and WCAG 2.3.1
+ * flash transitions. Runs inside the frame worker, or on the main thread as a
+ * fallback.
+ *
+ * Shot boundaries compare an HSV histogram and the edge change ratio (ECR) of
+ * the letterbox-cropped frame, ignoring overlays that survive shot changes.
+ * A change opens a transition that is only judged once the picture settles,
+ * comparing the shot before it with the shot after it: dissolves and fades
+ * are caught as one boundary, and flashes or blank frames that return to the
+ * same shot are rejected.
+ */
+
+class FrameProcessor {
+    /**
+     * @param {Object} options - width/height of the scaled frame and the
+     *   SCENE_CUT and FLASH constants
+     */
+    constructor({ width, height, sceneCut, flash }) {
+        this.width = width;
+        this.height = height;
+        this.S = sceneCut;
+        this.FLASH = flash;
+
+        // sRGB → linear, for relative luminance
+        this.linear = new Float32Array(256);
+        for (let i = 0; i < 256; i++) {
+            const c = i / 255;
+            this.linear[i] = c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+        }
+
+        this.survived = new Uint8Array(width * height); // Shot changes each pixel came through unchanged
+        this.reset();
+    }
+
+    /**
+     * Analyze the RGBA pixels of one scaled frame against the previous ones
+     * Returns: { isSceneCut, motionScore, histogram, boundary, luminanceTransition, redTransition }
+     * (transitions are -1 darker / 0 none / 1 brighter). A boundary is reported
+     * on the frame where the transition settles, usually one frame after it.
+     * boundary is set on frames that judged one: { anchor, ecr } — the
+     * histogram of the frame this one was compared with, and the edge change
+     * ratio (null when there were too few edges), so the histogram distance
+     * can be recomputed on an accelerator and the boundary re-judged.
+     */
+    process(data) {
+        this.judged = null;
+        const luma = this._computeLuma(data);
+        if (this._updateCrop(luma)) this._resetShots(); // Framing changed — start over
+
+        const overlay = this._overlayActive();
+        const frame = this._describe(data, luma, overlay);
+        const motionScore = this._computeMotion(luma);
+
+        let isSceneCut = false;
+        let change = null;
+        if (this.previousFrame) {
+            change = this._dissimilarity(this.previousFrame, frame);
+            isSceneCut = this._trackBoundary(frame, change);
+        }
+        this._updateOverlay(luma, change);
+        this.recentFrames.push(frame);
+        if (this.recentFrames.length > this.S.GRADUAL_WINDOW) this.recentFrames.shift();
+
+        // Detect flash transitions
+        const cells = this._computeCells(data);
+        let luminanceTransition = 0;
+        let redTransition = 0;
+        if (this.previousCells) {
+            ({ luminanceTransition, redTransition } = this._flashTransitions(this.previousCells, cells));
+        }
+
+        // Store for next comparison
+        this.previousFrame = frame;
+        this.lastLuma = luma;
+        this.previousCells = cells;
+
+        const judged = this.judged;
+        const boundary = judged && {
+            anchor: judged.from.histogram,
+            ecr: judged.change.edgeBased ? judged.change.ecr : null
+        };
+
+        return { isSceneCut, motionScore, histogram: frame.histogram, boundary, luminanceTransition, redTransition };
+    }
+
+    /**
+     * Judge the transition the current frame belongs to
+     * An abrupt change opens a transition at once; a slow one (dissolve, fade)
+     * only shows over the GRADUAL_WINDOW frames and settles when that window
+     * stops drifting.
+     * @returns {boolean} Whether a shot boundary completed on this frame
+     */
+    _trackBoundary(frame, change) {
+        const S = this.S;
+        const windowStart = this.recentFrames[0] || this.previousFrame;
+        const drift = windowStart !== this.previousFrame ? this._dissimilarity(windowStart, frame) : change;
+
+        if (!this.anchor) {
+            if (change.value > S.GRADUAL_THRESHOLD) {
+                this.anchor = this.previousFrame; // Last frame of the shot before the change
+                this.anchorAbrupt = this._isBoundary(change);
+                this.gradual = false;
+            } else if (drift.value > S.GRADUAL_THRESHOLD) {
+                this.anchor = windowStart;
+                this.anchorAbrupt = false;
+                this.gradual = true;
+            } else {
+                return false;
+            }
+            this.transitionFrames = 1;
+            return false;
+        }
+        this.transitionFrames++;
+
+        const fromAnchor = this._dissimilarity(this.anchor, frame);
+        if (fromAnchor.value <= S.GRADUAL_THRESHOLD) {
+            // Back to the same shot — a flash, blank frame or brief occlusion
+            this._endTransition();
+            return false;
+        }
+
+        // Two abrupt changes in a row: the frame between them was a shot of
+        // its own (rapid jump cuts), unless it was a blank frame
+        if (this.anchorAbrupt && this._isBoundary(change) && !this.previousFrame.uniform) {
+            this.judged = { from: this.previousFrame, change };
+            this.anchor = this.previousFrame;
+            this.transitionFrames = 1;
+            this.recentFrames = [];
+            return true;
+        }
+
+        const settled = !frame.uniform && change.value <= S.GRADUAL_THRESHOLD &&
+            (!this.gradual || drift.value <= S.GRADUAL_THRESHOLD);
+        if (!settled && this.transitionFrames < S.MAX_TRANSITION_FRAMES) return false;
+
+        this.judged = { from: this.anchor, change: fromAnchor };
+        this._endTransition();
+        return this._isBoundary(fromAnchor);
+    }
+
+    /**
+     * Close the open transition; slow drift is measured afresh from here
+     */
+    _endTransition() {
+        this.anchor = null;
+        this.recentFrames = [];
+    }
+
+    _isBoundary(change) {
+        return FrameProcessor.isBoundary(this.S, change);
+    }
+
+    /**
+     * The shot-boundary rule: boundaries must change colors, not just edges
+     * (camera motion does that). FrameAnalyzer re-judges boundaries with it,
+     * using the histogram distance from an accelerator.
+     * @param {Object} S - SCENE_CUT constants
+     * @param {Object} change - See FrameProcessor.change
+     */
+    static isBoundary(S, change) {
+        return change.histogram >= S.MIN_HISTOGRAM_DIFF && change.value > S.CUT_THRESHOLD;
+    }
+
+    /**
+     * How different two frames are, from their histogram distance and edge
+     * change ratio (null when either frame has too few edges, and the
+     * histogram distance stands in for it)
+     * Returns: { histogram, ecr, edgeBased, value } — value 0 (same) to 1
+     */
+    static change(S, histogram, ecr = null) {
+        const edgeBased = ecr !== null;
+        const edges = edgeBased ? ecr : histogram;
+        return {
+            histogram,
+            ecr: edges,
+            edgeBased,
+            value: S.HISTOGRAM_WEIGHT * histogram + (1 - S.HISTOGRAM_WEIGHT) * edges
+        };
+    }
+
+    /**
+     * Rec. 601 luma (0-255) per pixel
+     */
+    _computeLuma(data) {
+        const luma = new Uint8Array(data.length / 4);
+        for (let p = 0, i = 0; p < luma.length; p++, i += 4) {
+            luma[p] = (77 * data[i] + 150 * data[i + 1] + 29 * data[i + 2]) >> 8;
+        }
+        return luma;
+    }
+
+    /**
+     * Track letterbox / pillarbox bars: dark rows and columns at the edges
+     * A new crop is adopted once it has held for CROP_STABLE_FRAMES frames.
+     * @returns {boolean} Whether the crop changed
+     */
+    _updateCrop(luma) {
+        const S = this.S;
+        const { width, height } = this;
+        const rowIsBar = (y) => {
+            for (let x = 0; x < width; x++) if (luma[y * width + x] > S.BAR_LUMA) return false;
+            return true;
+        };
+
+        let y0 = 0, y1 = height;
+        while (y0 < y1 && rowIsBar(y0)) y0++;
+        while (y1 > y0 && rowIsBar(y1 - 1)) y1--;
+
+        const columnIsBar = (x) => {
+            for (let y = y0; y < y1; y++) if (luma[y * width + x] > S.BAR_LUMA) return false;
+            return true;
+        };
+        let x0 = 0, x1 = width;
+        while (x0 < x1 && columnIsBar(x0)) x0++;
+        while (x1 > x0 && columnIsBar(x1 - 1)) x1--;
+
+        // Mostly dark frame (night scene, fade to black) — can't tell bars apart
+        if ((x1 - x0) * (y1 - y0) < S.MIN_CONTENT_AREA * width * height) return false;
+
+        const candidate = { x0, y0, x1, y1 };
+        const near = (a, b) => a && ['x0', 'y0', 'x1', 'y1'].every(k => Math.abs(a[k] - b[k]) <= 2);
+        if (near(this.crop, candidate)) {
+            this.cropCandidate = null;
+            return false;
+        }
+
+        if (near(this.cropCandidate, candidate)) {
+            this.cropVotes++;
+        } else {
+            this.cropCandidate = candidate;
+            this.cropVotes = 1;
+        }
+        if (this.cropVotes < S.CROP_STABLE_FRAMES) return false;
+
+        this.crop = candidate;
+        this.cropCandidate = null;
+        return true;
+    }
+
+    /**
+     * Static overlays (logos, captions, UI) are masked out once enough of them
+     * is known — but never more than MAX_OVERLAY_AREA of the picture
+     */
+    _overlayActive() {
+        const S = this.S;
+        const { x0, y0, x1, y1 } = this.crop;
+        let count = 0;
+        for (let y = y0; y < y1; y++) {
+            for (let x = x0; x < x1; x++) {
+                if (this.survived[y * this.width + x] >= S.OVERLAY_SURVIVALS) count++;
+            }
+        }
+        return count > 0 && count <= S.MAX_OVERLAY_AREA * (x1 - x0) * (y1 - y0);
+    }
+
+    /**
+     * Count, per pixel, the content changes it came through unchanged
+     */
+    _updateOverlay(luma, change) {
+        if (!this.lastLuma) return;
+        const S = this.S;
+        const contentChanged = change && change.value > S.GRADUAL_THRESHOLD;
+        const survived = this.survived;
+
+        for (let p = 0; p < luma.length; p++) {
+            if (Math.abs(luma[p] - this.lastLuma[p]) > S.STATIC_DELTA) {
+                survived[p] = 0;
+            } else if (contentChanged && survived[p] < 255) {
+                survived[p]++;
+            }
+        }
+    }
+
+    /**
+     * Describe the cropped, overlay-masked frame for shot comparison:
+     * HSV histogram (hue, saturation, value), edge maps and whether it is blank
+     */
+    _describe(data, luma, overlay) {
+        const S = this.S;
+        const bins = S.HISTOGRAM_BINS;
+        const { width } = this;
+        const { x0, y0, x1, y1 } = this.crop;
+        const masked = (p) => overlay && this.survived[p] >= S.OVERLAY_SURVIVALS;
+
+        const histogram = new Float32Array(bins * 3); // H, S, V
+        let pixels = 0, hued = 0, lumaSum = 0, lumaSquares = 0;
+
+        for (let y = y0; y < y1; y++) {
+            for (let x = x0; x < x1; x++) {
+                const p = y * width + x;
+                if (masked(p)) continue;
+                const i = p * 4;
+                const r = data[i], g = data[i + 1], b = data[i + 2];
+                const max = Math.max(r, g, b);
+                const delta = max - Math.min(r, g, b);
+                const sat = max > 0 ? delta / max : 0;
+
+                // Hue only means something for colored, non-dark pixels
+                if (sat >= 0.1 && max >= 26) {
+                    let hue;
+                    if (max === r) hue = ((g - b) / delta + 6) % 6;
+                    else if (max === g) hue = (b - r) / delta + 2;
+                    else hue = (r - g) / delta + 4;
+                    histogram[Math.min(bins - 1, Math.floor(hue / 6 * bins))]++;
+                    hued++;
+                }
+                histogram[bins + Math.min(bins - 1, Math.floor(sat * bins))]++;
+                histogram[bins * 2 + Math.floor(max * bins / 256)]++;
+
+                lumaSum += luma[p];
+                lumaSquares += luma[p] * luma[p];
+                pixels++;
+            }
+        }
+
+        // Normalize each channel
+        for (let i = 0; i < bins; i++) {
+            if (hued > 0) histogram[i] /= hued;
+            if (pixels > 0) {
+                histogram[bins + i] /= pixels;
+                histogram[bins * 2 + i] /= pixels;
+            }
+        }
+
+        const mean = pixels > 0 ? lumaSum / pixels : 0;
+        const stddev = pixels > 0 ? Math.sqrt(Math.max(0, lumaSquares / pixels - mean * mean)) : 0;
+
+        return {
+            histogram,
+            ...this._computeEdges(luma, masked),
+            pixels,
+            uniform: stddev < S.UNIFORM_STDDEV
+        };
+    }
+
+    /**
+     * Edge pixels (luma gradient) and the same map dilated by EDGE_DILATION,
+     * so edges that only moved a little still match
+     */
+    _computeEdges(luma, masked) {
+        const S = this.S;
+        const { width } = this;
+        const { x0, y0, x1, y1 } = this.crop;
+        const edges = new Uint8Array(luma.length);
+        const dilated = new Uint8Array(luma.length);
+        const r = S.EDGE_DILATION;
+        let edgeCount = 0;
+
+        for (let y = y0 + 1; y < y1 - 1; y++) {
+            for (let x = x0 + 1; x < x1 - 1; x++) {
+                const p = y * width + x;
+                if (masked(p)) continue;
+                const gx = luma[p + 1] - luma[p - 1];
+                const gy = luma[p + width] - luma[p - width];
+                if (Math.abs(gx) + Math.abs(gy) < S.EDGE_THRESHOLD) continue;
+
+                edges[p] = 1;
+                edgeCount++;
+                for (let dy = Math.max(y0, y - r); dy <= Math.min(y1 - 1, y + r); dy++) {
+                    for (let dx = Math.max(x0, x - r); dx <= Math.min(x1 - 1, x + r); dx++) {
+                        dilated[dy * width + dx] = 1;
+                    }
+                }
+            }
+        }
+        return { edges, dilated, edgeCount };
+    }
+
+    /**
+     * How different two frames are (see FrameProcessor.change) — ECR falls
+     * back to the histogram distance when either frame has too few edges
+     * (blank or blurry frames)
+     */
+    _dissimilarity(a, b) {
+        const S = this.S;
+        const bins = S.HISTOGRAM_BINS;
+        const [hueWeight, satWeight, valueWeight] = S.HSV_WEIGHTS;
+        const histogram =
+            hueWeight * this._histogramDiff(a.histogram, b.histogram, 0, bins) +
+            satWeight * this._histogramDiff(a.histogram, b.histogram, bins, bins * 2) +
+            valueWeight * this._histogramDiff(a.histogram, b.histogram, bins * 2, bins * 3);
+
+        let ecr = null;
+        const minEdges = S.MIN_EDGES * Math.min(a.pixels, b.pixels);
+        if (a.edgeCount >= minEdges && b.edgeCount >= minEdges && minEdges > 0) {
+            let exiting = 0, entering = 0;
+            for (let p = 0; p < a.edges.length; p++) {
+                if (a.edges[p] && !b.dilated[p]) exiting++;
+                if (b.edges[p] && !a.dilated[p]) entering++;
+            }
+            ecr = Math.max(exiting / a.edgeCount, entering / b.edgeCount);
+        }
+        return FrameProcessor.change(S, histogram, ecr);
+    }
+
+    /**
+     * Chi-squared distance over one normalized channel, 0 (same) to 1
+     */
+    _histogramDiff(h1, h2, from, to) {
+        let diff = 0;
+        for (let i = from; i < to; i++) {
+            const sum = h1[i] + h2[i];
+            if (sum > 0) {
+                diff += ((h1[i] - h2[i]) ** 2) / sum;
+            }
+        }
+        return diff / 2;
+    }
+
+    /**
+     * Frame motion — mean luma change over the cropped picture
+     */
+    _computeMotion(luma) {
+        if (!this.lastLuma) return 0;
+
+        const { width } = this;
+        const { x0, y0, x1, y1 } = this.crop;
+        let diffSum = 0;
+        let count = 0;
+
+        // Sample every 4th pixel of every 2nd row for speed
+        for (let y = y0; y < y1; y += 2) {
+            for (let x = x0; x < x1; x += 4) {
+                const p = y * width + x;
+                diffSum += Math.abs(luma[p] - this.lastLuma[p]);
+                count++;
+            }
+        }
+
+        return count > 0 ? diffSum / (count * 255) : 0;
+    }
+
+    /**
+     * Mean relative luminance and saturated-red value per grid cell
+     * Red follows WCAG: (R - G - B) × 320 where R / (R + G + B) ≥ 0.8, on sRGB values
+     */
+    _computeCells(data) {
+        const grid = this.FLASH.GRID;
+        const cellCount = grid * grid;
+        const luminance = new Float32Array(cellCount);
+        const red = new Float32Array(cellCount);
+        const pixels = new Uint32Array(cellCount);
+        const { width, height, linear } = this;
+
+        for (let y = 0; y < height; y++) {
+            const row = Math.floor(y * grid / height) * grid;
+            for (let x = 0; x < width; x++) {
+                const cell = row + Math.floor(x * grid / width);
+                const i = (y * width + x) * 4;
+                const r = data[i], g = data[i + 1], b = data[i + 2];
+
+                luminance[cell] += 0.2126 * linear[r] + 0.7152 * linear[g] + 0.0722 * linear[b];
+                const sum = r + g + b;
+                if (sum > 0 && r / sum >= this.FLASH.RED_RATIO) {
+                    red[cell] += Math.max(0, (r - g - b) / 255) * 320;
+                }
+                pixels[cell]++;
+            }
+        }
+
+        for (let c = 0; c < cellCount; c++) {
+            if (pixels[c] > 0) {
+                luminance[c] /= pixels[c];
+                red[c] /= pixels[c];
+            }
+        }
+        return { luminance, red };
+    }
+
+    /**
+     * WCAG transitions between two frames, where enough of the screen changes
+     * together: luminance changes by ≥ 10% with the darker state below 0.8, or
+     * the saturated-red value changes by more than 20
+     */
+    _flashTransitions(previous, current) {
+        const F = this.FLASH;
+        const cellCount = current.luminance.length;
+        let brighter = 0, darker = 0, redUp = 0, redDown = 0;
+
+        for (let c = 0; c < cellCount; c++) {
+            const from = previous.luminance[c];
+            const to = current.luminance[c];
+            if (Math.abs(to - from) >= F.LUMINANCE_DELTA && Math.min(from, to) < F.DARK_LUMINANCE) {
+                if (to > from) brighter++; else darker++;
+            }
+
+            const redDelta = current.red[c] - previous.red[c];
+            if (Math.abs(redDelta) > F.RED_DELTA) {
+                if (redDelta > 0) redUp++; else redDown++;
+            }
+        }
+
+        const direction = (up, down) => {
+            if (Math.max(up, down) / cellCount < F.AREA_THRESHOLD) return 0;
+            return up >= down ? 1 : -1;
+        };
+        return {
+            luminanceTransition: direction(brighter, darker),
+            redTransition: direction(redUp, redDown)
+        };
+    }
+
+    _resetShots() {
+        this.previousFrame = null;
+        this.recentFrames = [];
+        this.anchor = null;
+        this.anchorAbrupt = false;
+        this.gradual = false;
+        this.transitionFrames = 0;
+        this.survived.fill(0);
+    }
+
+    reset() {
+        this.crop = { x0: 0, y0: 0, x1: this.width, y1: this.height };
+        this.cropCandidate = null;
+        this.cropVotes = 0;
+        this.lastLuma = null;
+        this.previousCells = null;
+        this._resetShots();
+    }
+}
+
+// Export for content script and frame worker (self is window in the former)
+self.FrameProcessor = FrameProcessor;
@@ -0,0 +1,81 @@
+/**
+ * Neuro-Fade Frame Worker
+ * Owns the OffscreenCanvas: reads the pixels of ImageBitmap frames
+ * transferred from FrameAnalyzer and runs FrameProcessor off the page's
+ * main thread. Loaded together with frame-processor.js from a blob URL.
+ *
+ * Keeps one FrameProcessor per video stream, so frames of different videos
+ * are never compared with each other.
+ *
+ * In:  { type: 'init', width, height, sceneCut, flash }
+ *      { type: 'frame', seq, stream, bitmap }
+ *      { type: 'release', stream }  — the video is gone; drop its state
+ *      { type: 'reset', seq }  — forget all state; frames up to seq are stale
+ * Out: { type: 'ready' }
+ *      { type: 'result', seq, stream, isSceneCut, motionScore, histogram, pixels, cost }
+ *        pixels: the frame's RGBA data (transferred), for content classification
+ *      { type: 'dropped', seq, stream, reason }
+ */
+
+let canvas = null;
+let ctx = null;
+let config = null;
+const streams = new Map(); // stream id → { processor, lastSeq }
+let resetSeq = 0;          // Frames up to here were captured before the last reset
+
+self.onmessage = (e) => {
+    const msg = e.data;
+    switch (msg.type) {
+        case 'init':
+            canvas = new OffscreenCanvas(msg.width, msg.height);
+            ctx = canvas.getContext('2d', { willReadFrequently: true });
+            config = msg;
+            self.postMessage({ type: 'ready' });
+            break;
+
+        case 'release':
+            streams.delete(msg.stream);
+            break;
+
+        case 'reset':
+            streams.clear();
+            resetSeq = Math.max(resetSeq, msg.seq);
+            break;
+
+        case 'frame':
+            processFrame(msg.seq, msg.stream, msg.bitmap);
+            break;
+    }
+};
+
+function processFrame(seq, id, bitmap) {
+    let stream = streams.get(id);
+
+    // Bitmaps are created asynchronously, so an older capture can arrive
+    // after a newer one — comparing it with the newer frame would fake a cut
+    const stale = seq <= resetSeq || (stream && seq <= stream.lastSeq);
+    if (!config || stale) {
+        bitmap.close();
+        self.postMessage({ type: 'dropped', seq, stream: id, reason: config ? 'stale' : 'not ready' });
+        return;
+    }
+    if (!stream) {
+        stream = { processor: new FrameProcessor(config), lastSeq: 0 };
+        streams.set(id, stream);
+    }
+    stream.lastSeq = seq;
+
+    try {
+        const start = performance.now();
+        ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+        const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        const result = stream.processor.process(data);
+        const cost = performance.now() - start;
+        self.postMessage({ type: 'result', seq, stream: id, ...result, pixels: data, cost }, [data.buffer]);
+    } catch (e) {
+        // Cross-origin frame (tainted bitmap)
+        self.postMessage({ type: 'dropped', seq, stream: id, reason: 'unreadable' });
+    } finally {
+        bitmap.close();
+    }
+}
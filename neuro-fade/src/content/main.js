@@ -9,8 +9,12 @@
     const C = window.NEURO_FADE_CONSTANTS;
     let detector = null;
     let fadeEngine = null;
+    let routeWatcher = null;
+    let recorder = null; // TraceRecorder while the dashboard records this tab
     let indicator = null;
+    let labelMenu = null; // Junk / fine buttons, opened by right-clicking the indicator
     let enabled = true;
+    let globalScore = 0; // Cross-tab fragmentation score from the service worker
 
     /**
      * Initialize Neuro-Fade
@@ -20,7 +24,9 @@
         try {
             const result = await chrome.storage.local.get([
                 C.STORAGE_KEYS.ENABLED,
-                C.STORAGE_KEYS.SENSITIVITY
+                C.STORAGE_KEYS.SENSITIVITY,
+                C.STORAGE_KEYS.FRAME_BUDGET,
+                C.STORAGE_KEYS.FLASH_PROTECTION
             ]);
             enabled = result[C.STORAGE_KEYS.ENABLED] !== false; // Default true
             const sensitivity = result[C.STORAGE_KEYS.SENSITIVITY] ?? 0.5;
@@ -32,17 +38,39 @@
             fadeEngine = new window.FadeEngine();
 
             detector.sensitivity = sensitivity;
+            detector.frameAnalyzer.setBudget(result[C.STORAGE_KEYS.FRAME_BUDGET] ?? C.FRAME_SAMPLING.CPU_BUDGET);
+            detector.setFlashProtection(result[C.STORAGE_KEYS.FLASH_PROTECTION] !== false); // Default true
+            detector.audioProcessor = fadeEngine.audioProcessor;
 
             // Wire up video detection
             detector.onVideoDetected = (video) => {
                 fadeEngine.registerVideo(video);
             };
 
+            // Photosensitive flashing — dim the video at once
+            detector.onFlash = (flagged, video, details) => {
+                if (flagged) {
+                    fadeEngine.protect(video);
+                    logFlash(video, details);
+                } else {
+                    fadeEngine.unprotect(video);
+                }
+            };
+
             // Wire up score updates
             detector.onScoreUpdate = (score, details) => {
-                fadeEngine.update(score);
-                updateIndicator(score);
+                const thresholds = detector.getThresholds();
+                fadeEngine.update(score, thresholds, globalScore);
+                updateIndicator(score, thresholds);
                 sendStateUpdate(score, details);
+                saveInferenceStats();
+            };
+
+            // Track SPA navigation (YouTube, Reddit, X never reload the page)
+            routeWatcher = new window.RouteWatcher(detector.platform);
+            detector.setRoute(routeWatcher.route);
+            routeWatcher.onChange = (route, previous) => {
+                detector.setRoute(route, previous);
             };
 
             // Create on-page indicator
@@ -50,6 +78,7 @@
 
             // Start!
             detector.start();
+            routeWatcher.start();
 
             // Wait minimum time before analysis
             setTimeout(() => {
@@ -75,7 +104,7 @@
         indicator.addEventListener('click', () => {
             if (detector) {
                 enabled = !enabled;
-                detector.enabled = enabled;
+                detector.setEnabled(enabled);
                 if (!enabled) {
                     fadeEngine.reset();
                     indicator.className = 'neuro-fade-indicator';
@@ -88,14 +117,37 @@
                 chrome.storage.local.set({ [C.STORAGE_KEYS.ENABLED]: enabled });
             }
         });
+
+        // Right-click to label the moment for the personal model
+        labelMenu = document.createElement('div');
+        labelMenu.className = 'neuro-fade-labels';
+        for (const [label, text] of [['junk', '👎 Junk'], ['fine', '👍 Fine']]) {
+            const button = document.createElement('button');
+            button.textContent = text;
+            button.addEventListener('click', async () => {
+                const result = await labelMoment(label);
+                button.textContent = result.ok ? '✓ Saved' : '✗ ' + result.error;
+                setTimeout(() => {
+                    labelMenu.classList.remove('open');
+                    button.textContent = text;
+                }, result.ok ? 800 : 2500);
+            });
+            labelMenu.appendChild(button);
+        }
+        document.body.appendChild(labelMenu);
+
+        indicator.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            labelMenu.classList.toggle('open');
+        });
     }
 
     /**
      * Update indicator based on dopamine score
      */
-    function updateIndicator(score) {
+    function updateIndicator(score, thresholds = C.THRESHOLDS) {
         if (!indicator) return;
-        const T = C.THRESHOLDS;
+        const T = thresholds;
         let level, label;
 
         if (score < T.LOW) {
@@ -116,6 +168,91 @@
         indicator.dataset.tooltip = label;
     }
 
+    /**
+     * Add a flagged video to the flash log shown in the dashboard
+     */
+    async function logFlash(video, details) {
+        try {
+            const key = C.STORAGE_KEYS.FLASH_LOG;
+            const result = await chrome.storage.local.get(key);
+            const log = result[key] || [];
+            log.unshift({
+                time: Date.now(),
+                platform: detector.platform?.name || 'Unknown',
+                title: document.title,
+                url: window.location.href,
+                position: Math.round(video.currentTime || 0), // Seconds into the video
+                kind: details.kind,
+                flashes: details.flashes
+            });
+            await chrome.storage.local.set({ [key]: log.slice(0, C.FLASH.LOG_SIZE) });
+        } catch (e) {
+            // Extension context invalidated
+        }
+    }
+
+    /**
+     * Store the current moment — the last classified frame's featureVector and
+     * the detector's signal snapshot — labelled junk or fine, for training a
+     * personal content model (exported from the dashboard)
+     * @returns {Promise<Object>} { ok, count } or { ok: false, error }
+     */
+    async function labelMoment(label) {
+        if (!detector) return { ok: false, error: 'Neuro-Fade is not active on this page' };
+        if (!C.TRAINING.LABELS.includes(label)) return { ok: false, error: `Unknown label "${label}"` };
+
+        const content = detector.frameAnalyzer.getContentFeatures();
+        if (!content) return { ok: false, error: 'No video frame classified yet' };
+
+        const signals = {};
+        for (const [name, signal] of Object.entries(detector.lastDetails?.signals || {})) {
+            signals[name] = { value: signal.value, rawValue: signal.rawValue, hasData: signal.hasData };
+        }
+        const sample = {
+            time: Date.now(),
+            label,
+            platform: detector.platform?.name || 'Unknown',
+            route: detector.route.type,
+            features: content.featureVector,
+            classification: { category: content.category, backend: content.backend },
+            score: Math.round(detector.dopamineScore),
+            signals
+        };
+
+        try {
+            const key = C.STORAGE_KEYS.TRAINING_SAMPLES;
+            const result = await chrome.storage.local.get(key);
+            const samples = result[key] || [];
+            samples.push(sample);
+            await chrome.storage.local.set({ [key]: samples.slice(-C.TRAINING.MAX_SAMPLES) });
+            return { ok: true, count: Math.min(samples.length, C.TRAINING.MAX_SAMPLES) };
+        } catch (e) {
+            return { ok: false, error: 'Could not save the label' }; // Extension context invalidated
+        }
+    }
+
+    /**
+     * Save this tab's accelerated inference stats for the dashboard (throttled)
+     */
+    let inferenceSavedAt = 0;
+    async function saveInferenceStats() {
+        const now = Date.now();
+        if (now - inferenceSavedAt < C.INFERENCE.STATS_INTERVAL) return;
+        inferenceSavedAt = now;
+
+        const stats = detector.frameAnalyzer.getInferenceStats();
+        if (Object.keys(stats.latency).length === 0 && !stats.batching?.batches) return; // Nothing run yet
+        try {
+            const key = C.STORAGE_KEYS.INFERENCE_STATS;
+            const result = await chrome.storage.local.get(key);
+            const all = result[key] || {};
+            all[detector.platform?.name || 'Unknown'] = { ...stats, updatedAt: now };
+            await chrome.storage.local.set({ [key]: all });
+        } catch (e) {
+            // Extension context invalidated
+        }
+    }
+
     /**
      * Send state updates to background/popup
      */
@@ -127,7 +264,9 @@
                     score: Math.round(score),
                     effects: fadeEngine.getState(),
                     detector: detector.getState(),
-                    details
+                    details,
+                    globalScore: Math.round(globalScore),
+                    npu: detector.frameAnalyzer.npuBridge?.getMetrics() || null // Live telemetry for the dashboard
                 }
             });
         } catch (e) {
@@ -135,6 +274,32 @@
         }
     }
 
+    /**
+     * Fold the session into the personal baseline when the tab is left
+     */
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden' && detector) {
+            detector.commitBaseline();
+        }
+    });
+
+    /**
+     * Reload the baseline when it changes elsewhere (e.g. dashboard reset),
+     * and pick up frame analysis settings from the dashboard
+     */
+    chrome.storage.onChanged.addListener((changes, area) => {
+        if (area !== 'local' || !detector) return;
+        if (changes[C.STORAGE_KEYS.BASELINE]) {
+            detector.reloadBaseline();
+        }
+        if (changes[C.STORAGE_KEYS.FRAME_BUDGET]) {
+            detector.frameAnalyzer.setBudget(changes[C.STORAGE_KEYS.FRAME_BUDGET].newValue ?? C.FRAME_SAMPLING.CPU_BUDGET);
+        }
+        if (changes[C.STORAGE_KEYS.FLASH_PROTECTION]) {
+            detector.setFlashProtection(changes[C.STORAGE_KEYS.FLASH_PROTECTION].newValue !== false);
+        }
+    });
+
     /**
      * Handle messages from popup/background
      */
@@ -145,13 +310,15 @@
                     score: detector ? Math.round(detector.dopamineScore) : 0,
                     effects: fadeEngine ? fadeEngine.getState() : {},
                     detector: detector ? detector.getState() : {},
+                    details: detector ? detector.lastDetails : null,
+                    globalScore: Math.round(globalScore),
                     enabled
                 });
                 return true;
 
             case C.MESSAGES.TOGGLE:
                 enabled = !enabled;
-                if (detector) detector.enabled = enabled;
+                if (detector) detector.setEnabled(enabled);
                 if (!enabled && fadeEngine) fadeEngine.reset();
                 if (indicator) {
                     if (enabled) {
@@ -168,16 +335,45 @@
 
             case C.MESSAGES.SET_SENSITIVITY:
                 if (detector) {
-                    detector.sensitivity = msg.value;
+                    detector.setSensitivity(msg.value);
                     chrome.storage.local.set({ [C.STORAGE_KEYS.SENSITIVITY]: msg.value });
                 }
                 sendResponse({ sensitivity: msg.value });
                 return true;
 
+            case C.MESSAGES.GLOBAL_SCORE:
+                globalScore = msg.score || 0;
+                detector?.recorder?.record('globalScore', { score: globalScore });
+                return false;
+
+            case C.MESSAGES.TRACE_START:
+                if (!detector) {
+                    sendResponse({ ok: false, error: 'Neuro-Fade is not active on this page' });
+                    return true;
+                }
+                if (recorder) recorder.stop();
+                recorder = new window.TraceRecorder(detector);
+                recorder.start();
+                sendResponse({ ok: true });
+                return true;
+
+            case C.MESSAGES.TRACE_STOP:
+                sendResponse({ trace: recorder ? recorder.stop() : null });
+                recorder = null;
+                return true;
+
+            case C.MESSAGES.TRACE_STATUS:
+                sendResponse(recorder ? recorder.getStatus() : { recording: false });
+                return true;
+
             case C.MESSAGES.BREATHE:
                 if (fadeEngine) fadeEngine.breathe();
                 sendResponse({ ok: true });
                 return true;
+
+            case C.MESSAGES.LABEL_MOMENT:
+                labelMoment(msg.label).then(sendResponse);
+                return true;
         }
     });
 
@@ -0,0 +1,84 @@
+/**
+ * Neuro-Fade Route Watcher
+ * Detects in-app navigation on single-page apps and classifies the route
+ */
+
+class RouteWatcher {
+    constructor(platform) {
+        const C = window.NEURO_FADE_CONSTANTS;
+        this.C = C;
+        this.platform = platform;
+        this.route = this.classify(window.location);
+
+        this._listeners = [];
+        this._pollInterval = null;
+
+        // Callback: (route, previousRoute) => void
+        this.onChange = null;
+    }
+
+    /**
+     * Start watching for route changes
+     * History API calls made by the page are invisible to the content
+     * script's isolated world, so we rely on events the page dispatches
+     * plus URL polling as a fallback.
+     */
+    start() {
+        const check = () => this._check();
+
+        this._listen(window, 'popstate', check);
+        for (const type of this.C.ROUTES.NAVIGATION_EVENTS) {
+            this._listen(document, type, check);
+        }
+        if (window.navigation) {
+            this._listen(window.navigation, 'navigatesuccess', check);
+        }
+
+        this._pollInterval = setInterval(check, this.C.TIMING.ROUTE_POLL_INTERVAL);
+    }
+
+    stop() {
+        this._listeners.forEach(([target, type, handler]) => {
+            target.removeEventListener(type, handler);
+        });
+        this._listeners = [];
+        clearInterval(this._pollInterval);
+        this._pollInterval = null;
+    }
+
+    _listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        this._listeners.push([target, type, handler]);
+    }
+
+    /**
+     * Compare the current URL against the last known route
+     */
+    _check() {
+        const route = this.classify(window.location);
+        if (route.path === this.route.path) return;
+
+        const previous = this.route;
+        this.route = route;
+        if (this.onChange) this.onChange(route, previous);
+    }
+
+    /**
+     * Classify a location as feed, watch, search, profile or other
+     * Patterns are checked in ROUTES.TYPES order against the pathname.
+     * @returns {Object} { type, path }
+     */
+    classify(location) {
+        const path = location.pathname + location.search;
+        const patterns = this.platform?.routes || {};
+
+        for (const type of this.C.ROUTES.TYPES) {
+            if (patterns[type]?.some(re => re.test(location.pathname))) {
+                return { type, path };
+            }
+        }
+        return { type: 'other', path };
+    }
+}
+
+window.RouteWatcher = RouteWatcher;
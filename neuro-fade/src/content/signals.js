@@ -0,0 +1,420 @@
+/**
+ * Neuro-Fade Signal Registry
+ * Pluggable providers that feed the composite dopamine score
+ */
+
+class SignalRegistry {
+    constructor() {
+        this.signals = new Map();
+        this.baseline = null; // Optional PersonalBaseline
+        this.lastObserved = null; // Clock time measurements were last recorded for it
+    }
+
+    /**
+     * Register a signal provider
+     * @param {Object} signal - { name, label, weight, enabled?, adaptive?, compute(detector, scale), observe? }
+     *   compute() returns a normalized 0-100 value, or { value, meta } to
+     *   attach extra data to the score details. Returning null means "no
+     *   data yet" and leaves the signal out of the weighted average.
+     *   scale(measure, value, reference) normalizes a raw measurement to
+     *   0-1: value / reference, or against the user's own statistics of the
+     *   measure once the personal baseline has learned them.
+     *   observe(detector, record, since) feeds the baseline: it calls
+     *   record(measure, value) once per measurement produced after `since`
+     *   (the clock time of the previous call, null on the first).
+     *   adaptive: false opts the signal out of the personal baseline.
+     */
+    register(signal) {
+        if (!signal || !signal.name || typeof signal.compute !== 'function') {
+            throw new Error('[Neuro-Fade] Signal provider needs a name and a compute() function');
+        }
+        const entry = {
+            label: signal.name,
+            weight: 0,
+            enabled: true,
+            ...signal
+        };
+        // Registered values, restored by resetOverrides()
+        entry.baseWeight = entry.weight;
+        entry.baseEnabled = entry.enabled;
+        this.signals.set(signal.name, entry);
+        return this;
+    }
+
+    unregister(name) {
+        return this.signals.delete(name);
+    }
+
+    get(name) {
+        return this.signals.get(name) || null;
+    }
+
+    setEnabled(name, enabled) {
+        const signal = this.signals.get(name);
+        if (signal) signal.enabled = !!enabled;
+    }
+
+    setWeight(name, weight) {
+        const signal = this.signals.get(name);
+        if (signal) signal.weight = Math.max(0, Number(weight) || 0);
+    }
+
+    /**
+     * Apply overrides (per-platform, per-profile): { [name]: { weight?, enabled? } }
+     */
+    configure(overrides = {}) {
+        for (const [name, override] of Object.entries(overrides)) {
+            if (override.weight !== undefined) this.setWeight(name, override.weight);
+            if (override.enabled !== undefined) this.setEnabled(name, override.enabled);
+        }
+    }
+
+    /**
+     * Restore every signal to the weight / enabled state it was registered with
+     */
+    resetOverrides() {
+        for (const signal of this.signals.values()) {
+            signal.weight = signal.baseWeight;
+            signal.enabled = signal.baseEnabled;
+        }
+    }
+
+    /**
+     * Compute every signal and the weighted composite (0-100)
+     * Weights are normalized over the enabled signals that have data, so
+     * disabling one does not deflate the score. With a baseline attached,
+     * new raw measurements are recorded for it and, once it is ready,
+     * normalized against the user's own history (rawValue keeps the value
+     * on the global references).
+     */
+    evaluate(detector) {
+        const signals = {};
+        let weightedSum = 0;
+        let totalWeight = 0;
+        if (this.baseline) {
+            this.baseline.countUpdate();
+            this._observe(detector);
+        }
+
+        for (const signal of this.signals.values()) {
+            let value = 0;
+            let rawValue = 0;
+            let meta;
+            let hasData = false;
+
+            if (signal.enabled) {
+                const adaptive = this.baseline !== null && signal.adaptive !== false;
+                try {
+                    ({ value, meta } = SignalRegistry._compute(signal, detector,
+                        (measure, value, reference) => Math.min(Math.max(value / reference, 0), 1)));
+                    hasData = value !== null && value !== undefined;
+                    rawValue = value;
+                    if (hasData && adaptive && this.baseline.isReady()) {
+                        ({ value, meta } = SignalRegistry._compute(signal, detector,
+                            (measure, value, reference) => this.baseline.scale(measure, value, reference)));
+                    }
+                } catch (e) {
+                    console.debug(`[Neuro-Fade] Signal "${signal.name}" failed:`, e);
+                }
+                value = Math.max(0, Math.min(Number(value) || 0, 100));
+                rawValue = Math.max(0, Math.min(Number(rawValue) || 0, 100));
+                if (hasData) {
+                    weightedSum += value * signal.weight;
+                    totalWeight += signal.weight;
+                }
+            }
+
+            signals[signal.name] = {
+                label: signal.label,
+                value,
+                rawValue,
+                weight: signal.weight,
+                enabled: signal.enabled,
+                hasData,
+                ...(meta !== undefined && { meta })
+            };
+        }
+
+        return {
+            rawScore: totalWeight > 0 ? weightedSum / totalWeight : 0,
+            signals
+        };
+    }
+
+    /**
+     * Record the measurements the adaptive signals produced since the last
+     * score update into the baseline
+     */
+    _observe(detector) {
+        const now = detector.clock.now();
+        for (const signal of this.signals.values()) {
+            if (!signal.enabled || signal.adaptive === false || typeof signal.observe !== 'function') continue;
+            try {
+                signal.observe(detector, (measure, value) => this.baseline.record(measure, value, signal), this.lastObserved);
+            } catch (e) {
+                console.debug(`[Neuro-Fade] Signal "${signal.name}" observe failed:`, e);
+            }
+        }
+        this.lastObserved = now;
+    }
+
+    /**
+     * Run a signal's compute() with the given scale: { value, meta }
+     */
+    static _compute(signal, detector, scale) {
+        const result = signal.compute(detector, scale);
+        return result && typeof result === 'object' ? result : { value: result, meta: undefined };
+    }
+
+    /**
+     * Register the built-in behavioral signals with weights from SCORE_WEIGHTS
+     * Each normalizes its raw measurements with scale(), so the personal
+     * baseline replaces the global references once it has learned the
+     * user's own levels. Measurements over a window (cut rate, skip rate,
+     * ...) are observed when new data changed them; levels with no events
+     * (playing videos, audio) once per score update.
+     */
+    static withDefaults(C) {
+        const registry = new SignalRegistry();
+        const W = C.SCORE_WEIGHTS;
+        const isNew = (time, since) => since === null || time > since;
+
+        // 1. Scene-cut score (from frame analyzer)
+        registry.register({
+            name: 'sceneCuts',
+            label: 'Scene Cuts',
+            weight: W.SCENE_CUTS,
+            compute(detector, scale) {
+                const metrics = detector.frameAnalyzer.getMetrics();
+                const cutRateNorm = scale('cutRate', metrics.cutRate, C.SCENE_CUT.HIGH_CUT_RATE);
+                const motionNorm = scale('motion', metrics.avgMotion, C.SCENE_CUT.MOTION_THRESHOLD);
+                return (cutRateNorm * 0.7 + motionNorm * 0.3) * 100;
+            },
+            observe(detector, record, since) {
+                const analyzer = detector.frameAnalyzer;
+                if (analyzer.lastFrameAt === null || !isNew(analyzer.lastFrameAt, since)) return;
+                const metrics = analyzer.getMetrics();
+                record('cutRate', metrics.cutRate);
+                record('motion', metrics.avgMotion);
+            }
+        });
+
+        // 2. Scroll velocity score
+        registry.register({
+            name: 'scrollVelocity',
+            label: 'Scroll Velocity',
+            weight: W.SCROLL_VELOCITY,
+            compute(detector, scale) {
+                // Fast for this user, once the baseline knows their usual velocity
+                const fastScrolls = detector.scrollEvents.filter(
+                    e => scale('scrollVelocity', e.velocity, C.SCROLL.VELOCITY_THRESHOLD) >= 1
+                ).length;
+                return Math.min(fastScrolls / C.SCROLL.RAPID_SCROLL_COUNT, 1) * 100;
+            },
+            observe(detector, record, since) {
+                for (const e of detector.scrollEvents) {
+                    if (isNew(e.time, since)) record('scrollVelocity', e.velocity);
+                }
+            }
+        });
+
+        // 3. Time-on-page score (logarithmic increase)
+        registry.register({
+            name: 'timeOnPage',
+            label: 'Time on Page',
+            weight: W.TIME_ON_PAGE,
+            adaptive: false, // Session length is curbed in absolute terms
+            compute(detector) {
+                const elapsed = (detector.clock.now() - detector.startTime) / 1000;
+                return Math.min(Math.log10(1 + elapsed / 60) * 50, 100);
+            }
+        });
+
+        // 4. Content changes (infinite scroll detection)
+        registry.register({
+            name: 'contentChanges',
+            label: 'Content Changes',
+            weight: W.CONTENT_CHANGES,
+            compute(detector, scale) {
+                return scale('contentChanges', detector.domHeightChanges.length,
+                    C.SCROLL.INFINITE_SCROLL_THRESHOLD) * 100;
+            },
+            observe(detector, record, since) {
+                const changes = detector.domHeightChanges;
+                if (changes.length > 0 && isNew(changes[changes.length - 1], since)) {
+                    record('contentChanges', changes.length);
+                }
+            }
+        });
+
+        // 5. Active video count
+        registry.register({
+            name: 'videoCount',
+            label: 'Active Videos',
+            weight: W.VIDEO_COUNT,
+            compute(detector, scale) {
+                let activeVideos = 0;
+                for (const v of detector.videos) {
+                    if (!v.paused && !v.ended) activeVideos++;
+                }
+                return scale('activeVideos', activeVideos, 3) * 100;
+            },
+            observe(detector, record) {
+                let activeVideos = 0;
+                for (const v of detector.videos) {
+                    if (!v.paused && !v.ended) activeVideos++;
+                }
+                record('activeVideos', activeVideos);
+            }
+        });
+
+        // 6. Swipe-skip rate / median dwell (short-form feeds)
+        registry.register({
+            name: 'swipeSkips',
+            label: 'Swipe Skips',
+            weight: W.SWIPE_SKIPS,
+            compute(detector, scale) {
+                const D = C.DWELL;
+                const now = detector.clock.now();
+                const views = detector.dwellHistory.filter(v => now - v.time < D.HISTORY_WINDOW);
+                if (views.length < D.MIN_VIEWS) return null;
+
+                const skips = views.filter(v => v.dwell < D.SKIP_THRESHOLD).length;
+                const skipRate = skips / views.length;
+                const medianDwell = SignalRegistry._median(views.map(v => v.dwell));
+                // How far the median dwell falls short of a calm one (ms)
+                const dwellNorm = scale('dwellShortfall', D.CALM_DWELL - medianDwell, D.CALM_DWELL);
+
+                return {
+                    value: (scale('skipRate', skipRate, 1) * 0.6 + dwellNorm * 0.4) * 100,
+                    meta: { skipRate, medianDwell, views: views.length }
+                };
+            },
+            observe(detector, record, since) {
+                const D = C.DWELL;
+                const now = detector.clock.now();
+                const views = detector.dwellHistory.filter(v => now - v.time < D.HISTORY_WINDOW);
+                if (views.length < D.MIN_VIEWS || !isNew(views[views.length - 1].time, since)) return;
+                record('skipRate', views.filter(v => v.dwell < D.SKIP_THRESHOLD).length / views.length);
+                record('dwellShortfall', D.CALM_DWELL - SignalRegistry._median(views.map(v => v.dwell)));
+            }
+        });
+
+        // 7. Feed items advanced per minute (snap-scroll feeds)
+        registry.register({
+            name: 'feedAdvance',
+            label: 'Feed Advance',
+            weight: W.FEED_ADVANCE,
+            compute(detector, scale) {
+                const F = C.FEED_ADVANCE;
+                const now = detector.clock.now();
+                const advances = detector.feedAdvances.filter(a => now - a.time < F.WINDOW);
+                if (advances.length === 0) return null;
+
+                const perMinute = advances.length / (F.WINDOW / 60000);
+                const sources = {};
+                for (const a of advances) sources[a.source] = (sources[a.source] || 0) + 1;
+
+                return {
+                    value: scale('feedAdvanceRate', perMinute, F.HIGH_RATE) * 100,
+                    meta: { perMinute, sources }
+                };
+            },
+            observe(detector, record, since) {
+                const F = C.FEED_ADVANCE;
+                const now = detector.clock.now();
+                const advances = detector.feedAdvances.filter(a => now - a.time < F.WINDOW);
+                if (advances.length === 0 || !isNew(advances[advances.length - 1].time, since)) return;
+                record('feedAdvanceRate', advances.length / (F.WINDOW / 60000));
+            }
+        });
+
+        // 8. Audio stimulation (loudness, dynamics, onsets, spikes)
+        registry.register({
+            name: 'audioStimulation',
+            label: 'Audio Stimulation',
+            weight: W.AUDIO_STIMULATION,
+            compute(detector, scale) {
+                const A = C.AUDIO;
+                const video = detector.currentView;
+                const audio = video && detector.audioProcessor?.getStimulation(video);
+                if (!audio) return null;
+
+                // Loudness in dB above QUIET_DB
+                const loudNorm = scale('loudness', audio.loudness - A.QUIET_DB, A.LOUD_DB - A.QUIET_DB);
+                const dynamicsNorm = scale('loudnessStd', audio.loudnessStd, A.HIGH_LOUDNESS_STD);
+                const onsetNorm = scale('onsetRate', audio.onsetRate, A.HIGH_ONSET_RATE);
+                const spikeNorm = scale('spikeRate', audio.spikeRate, A.HIGH_SPIKE_RATE);
+
+                return {
+                    value: (loudNorm * 0.2 + dynamicsNorm * 0.25 + onsetNorm * 0.35 + spikeNorm * 0.2) * 100,
+                    meta: audio
+                };
+            },
+            observe(detector, record) {
+                const A = C.AUDIO;
+                const video = detector.currentView;
+                const audio = video && detector.audioProcessor?.getStimulation(video);
+                if (!audio) return;
+                record('loudness', audio.loudness - A.QUIET_DB);
+                record('loudnessStd', audio.loudnessStd);
+                record('onsetRate', audio.onsetRate);
+                record('spikeRate', audio.spikeRate);
+            }
+        });
+
+        // 9. Caption speech rate (words per minute, caption change rate)
+        registry.register({
+            name: 'speechRate',
+            label: 'Speech Rate',
+            weight: W.SPEECH_RATE,
+            compute(detector, scale) {
+                const S = C.CAPTIONS;
+                const captions = detector.captionTracker.getMetrics();
+                if (!captions) return null;
+
+                // Words per minute above CALM_WPM
+                const wpmNorm = scale('wpm', captions.wpm - S.CALM_WPM, S.HIGH_WPM - S.CALM_WPM);
+                const changeNorm = scale('captionChanges', captions.changesPerMin, S.HIGH_CHANGE_RATE);
+
+                return {
+                    value: (wpmNorm * 0.6 + changeNorm * 0.4) * 100,
+                    meta: captions
+                };
+            },
+            observe(detector, record, since) {
+                const captions = detector.captionTracker.getMetrics();
+                if (!captions || !isNew(captions.changedAt, since)) return;
+                record('wpm', captions.wpm - C.CAPTIONS.CALM_WPM);
+                record('captionChanges', captions.changesPerMin);
+            }
+        });
+
+        // 10. Visual intensity (content classification of sampled frames)
+        registry.register({
+            name: 'visualIntensity',
+            label: 'Visual Intensity',
+            weight: W.VISUAL_INTENSITY,
+            compute(detector, scale) {
+                const content = detector.frameAnalyzer.getVisualIntensity();
+                if (!content) return null;
+                return { value: scale('visualIntensity', content.intensity, 1) * 100, meta: content };
+            },
+            observe(detector, record, since) {
+                const content = detector.frameAnalyzer.getVisualIntensity();
+                if (content && isNew(content.classifiedAt, since)) record('visualIntensity', content.intensity);
+            }
+        });
+
+        return registry;
+    }
+
+    static _median(values) {
+        if (values.length === 0) return 0;
+        const sorted = [...values].sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    }
+}
+
+window.SignalRegistry = SignalRegistry;
@@ -0,0 +1,149 @@
+/**
+ * Neuro-Fade Trace Recorder
+ * Captures every detector input with timestamps into a versioned JSON trace
+ * that TraceReplay can feed back through the detector offline
+ */
+
+class TraceRecorder {
+    constructor(detector) {
+        const C = window.NEURO_FADE_CONSTANTS;
+        this.C = C;
+        this.detector = detector;
+
+        this.events = [];        // { t, type, ...data } — t is ms since start
+        this.startedAt = null;
+        this.stoppedAt = null;
+        this.header = null;      // Detector state when recording started
+        this.truncated = false;  // Stopped early at TRACE.MAX_EVENTS
+
+        this._ids = new WeakMap(); // Element → stable numeric id
+        this._nextId = 1;
+        this._last = {};           // Last serialized data per change-only event type
+    }
+
+    get recording() {
+        return this.detector.recorder === this;
+    }
+
+    /**
+     * Snapshot the detector state and start receiving its inputs
+     * Windowed state (recent scrolls, frames, views) is not snapshotted,
+     * so a replay needs a minute or two to warm up.
+     */
+    start() {
+        const d = this.detector;
+        this.startedAt = d.clock.now();
+
+        let extensionVersion = null;
+        try {
+            extensionVersion = chrome.runtime.getManifest().version;
+        } catch (e) {
+            // Extension context invalidated
+        }
+
+        this.header = {
+            extensionVersion,
+            host: window.location.hostname,
+            platform: d.platform?.name || 'Unknown',
+            route: d.route,
+            feedMode: d.feedMode,
+            sensitivity: d.sensitivity,
+            flashProtection: d.frameAnalyzer.flashDetection,
+            score: d.dopamineScore,
+            sessionTime: this.startedAt - d.startTime,
+            page: {
+                scrollY: d.lastScrollY,
+                height: d.lastDOMHeight,
+                scrolledAt: d.lastScrollTime - this.startedAt // ≤ 0
+            },
+            baseline: JSON.parse(JSON.stringify(d.baseline.profile))
+        };
+
+        d.recorder = this;
+        console.log('[Neuro-Fade] Trace recording started');
+    }
+
+    /**
+     * Stop recording and return the trace
+     */
+    stop() {
+        if (this.recording) {
+            this.detector.recorder = null;
+            this.stoppedAt = this.detector.clock.now();
+            console.log(`[Neuro-Fade] Trace recording stopped (${this.events.length} events)`);
+        }
+        return this.getTrace();
+    }
+
+    /**
+     * Append an input event at the detector's current time
+     */
+    record(type, data = {}) {
+        if (this.events.length >= this.C.TRACE.MAX_EVENTS) {
+            this.truncated = true;
+            this.stop();
+            return;
+        }
+        this.events.push({ t: this.detector.clock.now() - this.startedAt, type, ...data });
+
+        // Route changes reset detector state, after which repeating a polled
+        // input is no longer a no-op — send each one again on its next poll
+        if (type === 'route') this._last = {};
+    }
+
+    /**
+     * Append an event only when its data differs from the last one of that type
+     * (for inputs that are polled rather than event-driven)
+     */
+    recordChange(type, data) {
+        const serialized = JSON.stringify(data);
+        if (this._last[type] === serialized) return;
+        this._last[type] = serialized;
+        this.record(type, data);
+    }
+
+    /**
+     * Stable id for an element (videos, scroll containers) within this trace
+     */
+    idFor(element) {
+        if (!element) return null;
+        let id = this._ids.get(element);
+        if (id === undefined) {
+            id = this._nextId++;
+            this._ids.set(element, id);
+        }
+        return id;
+    }
+
+    /**
+     * Milliseconds recorded so far (or in total, once stopped)
+     */
+    getDuration() {
+        if (this.startedAt === null) return 0;
+        return (this.stoppedAt ?? this.detector.clock.now()) - this.startedAt;
+    }
+
+    getTrace() {
+        return {
+            format: this.C.TRACE.FORMAT,
+            version: this.C.TRACE.VERSION,
+            recordedAt: new Date(this.startedAt).toISOString(),
+            startedAt: this.startedAt,
+            duration: this.getDuration(),
+            truncated: this.truncated,
+            ...this.header,
+            events: this.events
+        };
+    }
+
+    getStatus() {
+        return {
+            recording: this.recording,
+            events: this.events.length,
+            duration: this.getDuration(),
+            truncated: this.truncated
+        };
+    }
+}
+
+window.TraceRecorder = TraceRecorder;
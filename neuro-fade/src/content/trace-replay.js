@@ -0,0 +1,262 @@
+/**
+ * Neuro-Fade Trace Replay
+ * Feeds a recorded trace through a headless NeuroFadeDetector and FadeEngine
+ * on a virtual clock, producing the score / effect timeline it leads to.
+ * Runs in the dashboard and under Node (scripts/replay-trace.js).
+ */
+
+class TraceReplay {
+    constructor(trace) {
+        const C = window.NEURO_FADE_CONSTANTS;
+        this.C = C;
+        TraceReplay.validate(trace);
+        this.trace = trace;
+    }
+
+    /**
+     * Throw if the trace is not one this build can replay
+     */
+    static validate(trace) {
+        const C = window.NEURO_FADE_CONSTANTS;
+        const T = C.TRACE;
+        if (!trace || trace.format !== T.FORMAT) {
+            throw new Error('[Neuro-Fade] Not a Neuro-Fade trace');
+        }
+        if (trace.version !== T.VERSION) {
+            // Older traces lack fields replay relies on (see TRACE.VERSION) — record them again
+            const hint = trace.version < T.VERSION ? ', recorded by an older build — record it again' : '';
+            throw new Error(`[Neuro-Fade] Unsupported trace version ${trace.version} (expected ${T.VERSION})${hint}`);
+        }
+        if (!Array.isArray(trace.events) || !trace.host) {
+            throw new Error('[Neuro-Fade] Trace is missing its host or events');
+        }
+
+        // Settings the detector is driven with, in the header and in events
+        const feedModes = [trace.feedMode];
+        const sensitivities = [trace.sensitivity];
+        for (const event of trace.events) {
+            if (event?.type === 'feedMode') feedModes.push(event.mode);
+            if (event?.type === 'sensitivity') sensitivities.push(event.value);
+        }
+        const unknownMode = feedModes.find(mode => !Object.hasOwn(C.SCORING_PROFILES, mode));
+        if (unknownMode !== undefined) {
+            throw new Error(`[Neuro-Fade] Trace has an unknown feed mode: ${String(unknownMode)}`);
+        }
+        if (!sensitivities.every(value => typeof value === 'number' && value >= 0 && value <= 1)) {
+            throw new Error('[Neuro-Fade] Trace sensitivity must be a number from 0 to 1');
+        }
+    }
+
+    /**
+     * Replay every event in order
+     * @returns {Object} { timeline, summary } — one timeline entry per score update
+     */
+    run() {
+        const trace = this.trace;
+        const frameMs = 1000 / this.C.TRACE.REPLAY_FPS;
+
+        const clock = { time: trace.startedAt, now() { return this.time; } };
+        const detector = new window.NeuroFadeDetector({ clock, hostname: trace.host, headless: true });
+        const fadeEngine = new window.FadeEngine({ headless: true });
+
+        // Restore the state the recording started from
+        detector.sensitivity = trace.sensitivity;
+        detector.frameAnalyzer.setFlashDetection(trace.flashProtection ?? true);
+        detector.dopamineScore = trace.score;
+        detector.startTime = trace.startedAt - trace.sessionTime;
+        detector.lastScrollY = trace.page.scrollY;
+        detector.lastScrollTime = trace.startedAt + trace.page.scrolledAt;
+        detector.lastDOMHeight = trace.page.height;
+        detector.baseline.setProfile(TraceReplay._clone(trace.baseline));
+        detector.route = trace.route;
+        detector._setFeedMode(trace.feedMode);
+
+        let audio = null;
+        let globalScore = 0;
+        detector.audioProcessor = { getStimulation: () => audio };
+
+        // Stand-ins for the recorded videos and scroll containers
+        const elements = new Map();
+        const element = (id) => {
+            if (id === null) return null;
+            if (!elements.has(id)) elements.set(id, { traceId: id });
+            return elements.get(id);
+        };
+        // Recorded videos are registered when first seen, not yet played
+        const trackedVideo = (id) => {
+            const el = element(id);
+            if (el && !detector.videoDwell.has(el)) {
+                detector.videoDwell.set(el, { viewStart: null, views: 0, totalDwell: 0, played: false });
+            }
+            return el;
+        };
+
+        detector.onFlash = (flagged, video) => {
+            if (flagged) fadeEngine.protect(video); else fadeEngine.unprotect(video);
+        };
+
+        const timeline = [];
+        detector.onScoreUpdate = (score, details) => {
+            const thresholds = detector.getThresholds();
+            fadeEngine.update(score, thresholds, globalScore);
+
+            const signals = {};
+            for (const [name, s] of Object.entries(details.signals)) {
+                if (s.hasData) signals[name] = s.value;
+            }
+            timeline.push({
+                t: clock.time - trace.startedAt,
+                score,
+                rawScore: details.rawScore,
+                level: TraceReplay._level(Math.max(score, globalScore), thresholds),
+                feedMode: detector.feedMode,
+                route: detector.route.type,
+                globalScore,
+                flashing: fadeEngine.protectedVideos.size > 0,
+                signals,
+                target: { ...fadeEngine.targetEffects },
+                effects: { ...fadeEngine.currentEffects }
+            });
+        };
+
+        const counts = {};
+        const skipped = {};
+        let animatedTo = trace.startedAt;
+
+        for (const event of trace.events) {
+            const time = trace.startedAt + event.t;
+
+            // Effects keep animating between inputs, one step per display frame
+            while (animatedTo + frameMs <= time) {
+                animatedTo += frameMs;
+                fadeEngine.step();
+            }
+            clock.time = time;
+            counts[event.type] = (counts[event.type] || 0) + 1;
+
+            switch (event.type) {
+                case 'scroll':
+                    detector._onWindowScroll(event.y);
+                    break;
+                case 'containerScroll':
+                    detector._onContainerScroll(element(event.el), event.top, event.height);
+                    break;
+                case 'wheel':
+                    detector._onWheel(event.deltaY);
+                    break;
+                case 'key':
+                    detector._onKey(event.key);
+                    break;
+                case 'swipe':
+                    detector._onSwipe(event.dx, event.dy);
+                    break;
+                case 'domHeight':
+                    detector._onDOMHeight(event.height);
+                    break;
+                case 'frame': {
+                    // Results arrive from the worker a little after capture
+                    const capturedAt = time - (event.latency || 0);
+                    const video = element(event.video);
+                    detector.frameAnalyzer.ingest(video, event.isSceneCut, event.motionScore, capturedAt);
+                    detector.frameAnalyzer.ingestFlash(video, event.luminance || 0, event.red || 0, capturedAt);
+                    break;
+                }
+                case 'content':
+                    detector.frameAnalyzer.ingestContent(element(event.video), event,
+                        time - (event.latency || 0));
+                    break;
+                case 'view':
+                    detector._trackDwell(trackedVideo(event.video), event.inView);
+                    break;
+                case 'playing':
+                    detector._onPlaying(trackedVideo(event.video));
+                    break;
+                case 'caption':
+                    detector.captionTracker.ingest(element(event.video), event.text, event.source);
+                    break;
+                case 'videos':
+                    detector.videos = new Set(Array.from({ length: event.total },
+                        (_, i) => ({ paused: i >= event.playing, ended: false })));
+                    break;
+                case 'audio':
+                    audio = event.stimulation;
+                    break;
+                case 'route':
+                    detector.setRoute(event.route, event.previous, event.page);
+                    break;
+                case 'feedMode':
+                    detector._setFeedMode(event.mode);
+                    break;
+                case 'sensitivity':
+                    detector.setSensitivity(event.value);
+                    break;
+                case 'flashProtection':
+                    detector.setFlashProtection(event.value);
+                    break;
+                case 'enabled':
+                    detector.setEnabled(event.value);
+                    if (!event.value) fadeEngine.reset();
+                    break;
+                case 'globalScore':
+                    globalScore = event.score;
+                    break;
+                case 'baseline':
+                    detector.baseline.setProfile(TraceReplay._clone(event.profile));
+                    break;
+                case 'commit':
+                    detector.commitBaseline();
+                    break;
+                case 'tick':
+                    detector._updateDopamineScore();
+                    break;
+                default:
+                    skipped[event.type] = (skipped[event.type] || 0) + 1;
+            }
+        }
+
+        return { timeline, summary: TraceReplay._summarize(trace, timeline, counts, skipped) };
+    }
+
+    /**
+     * Intervention level for a score, matching the on-page indicator
+     */
+    static _level(score, T) {
+        if (score < T.LOW) return 'low';
+        if (score < T.MODERATE) return 'moderate';
+        if (score < T.HIGH) return 'high';
+        return 'critical';
+    }
+
+    // Committing folds sessions into the profile — keep the trace itself untouched
+    static _clone(profile) {
+        return JSON.parse(JSON.stringify(profile));
+    }
+
+    static _summarize(trace, timeline, counts, skipped) {
+        const timeAtLevel = { low: 0, moderate: 0, high: 0, critical: 0 };
+        let peakScore = 0;
+        let scoreSum = 0;
+
+        timeline.forEach((entry, i) => {
+            const next = timeline[i + 1];
+            timeAtLevel[entry.level] += (next ? next.t : trace.duration) - entry.t;
+            peakScore = Math.max(peakScore, entry.score);
+            scoreSum += entry.score;
+        });
+
+        return {
+            platform: trace.platform,
+            duration: trace.duration,
+            truncated: trace.truncated,
+            updates: timeline.length,
+            peakScore,
+            meanScore: timeline.length > 0 ? scoreSum / timeline.length : 0,
+            finalScore: timeline.length > 0 ? timeline[timeline.length - 1].score : trace.score,
+            timeAtLevel,
+            events: counts,
+            skipped
+        };
+    }
+}
+
+window.TraceReplay = TraceReplay;
@@ -317,6 +317,437 @@ function buildSitesList() {
     }
 }
 
+// Personal baseline (learned per platform by the content script)
+async function loadBaselines() {
+    const list = document.getElementById('baselineList');
+    const result = await chrome.storage.local.get('nf_baseline');
+    const baselines = result.nf_baseline || {};
+
+    list.innerHTML = '';
+    const platforms = Object.entries(baselines);
+    if (platforms.length === 0) {
+        list.innerHTML = '<p class="bench-placeholder">No sessions learned yet — keep browsing and your baseline will appear here.</p>';
+        return;
+    }
+
+    const number = value => Number(value.toPrecision(3));
+    for (const [platform, stored] of platforms) {
+        // Profiles learned on 0-100 signal values (before measures) start over
+        const profile = stored.measures ? stored : { measures: {}, sessions: 0 };
+        const ready = profile.sessions >= window.NEURO_FADE_CONSTANTS.BASELINE.MIN_SESSIONS;
+        const block = document.createElement('div');
+        block.className = 'baseline-platform';
+        block.innerHTML = `
+      <div class="baseline-platform-header">
+        <div>
+          <div class="site-name">${platform}</div>
+          <div class="baseline-meta">${profile.sessions} session${profile.sessions === 1 ? '' : 's'} · ${ready ? 'Active' : 'Learning'}</div>
+        </div>
+        <button class="btn-bench" data-platform="${platform}">Reset</button>
+      </div>
+    `;
+
+        // Mean ± standard deviation of each raw measurement, in its own units
+        for (const [measure, learned] of Object.entries(profile.measures)) {
+            const row = document.createElement('div');
+            row.className = 'hw-row';
+            row.innerHTML = `<span class="hw-label">${learned.label} · ${measure}</span>` +
+                `<span class="hw-value">${number(learned.mean)} ± ${number(learned.std)}</span>`;
+            block.appendChild(row);
+        }
+
+        block.querySelector('button').addEventListener('click', () => resetBaseline(platform));
+        list.appendChild(block);
+    }
+}
+
+// Resets go through the service worker, which serializes every baseline write
+async function resetBaseline(platform = null) {
+    await chrome.runtime.sendMessage({ type: window.NEURO_FADE_CONSTANTS.MESSAGES.BASELINE_RESET, platform });
+    loadBaselines();
+}
+
+document.getElementById('resetAllBaselines').addEventListener('click', () => resetBaseline());
+
+// Frame analysis CPU budget (ms per second, per tab)
+async function loadFrameBudget() {
+    const result = await chrome.storage.local.get('nf_frame_budget');
+    const budget = result.nf_frame_budget ?? window.NEURO_FADE_CONSTANTS.FRAME_SAMPLING.CPU_BUDGET;
+    document.getElementById('frameBudget').value = budget;
+    document.getElementById('frameBudgetValue').textContent = budget + ' ms/s';
+}
+
+document.getElementById('frameBudget').addEventListener('input', function () {
+    document.getElementById('frameBudgetValue').textContent = this.value + ' ms/s';
+});
+
+document.getElementById('frameBudget').addEventListener('change', function () {
+    chrome.storage.local.set({ nf_frame_budget: Number(this.value) });
+});
+
+// Photosensitive flash protection — toggle and log of flagged videos
+async function loadFlashProtection() {
+    const result = await chrome.storage.local.get(['nf_flash_protection', 'nf_flash_log']);
+    document.getElementById('flashProtection').checked = result.nf_flash_protection !== false;
+
+    const list = document.getElementById('flashLog');
+    const log = result.nf_flash_log || [];
+    list.innerHTML = '';
+    if (log.length === 0) {
+        list.innerHTML = '<p class="bench-placeholder">No flashing videos flagged.</p>';
+        return;
+    }
+
+    for (const entry of log) {
+        const minutes = Math.floor(entry.position / 60);
+        const seconds = String(entry.position % 60).padStart(2, '0');
+        const block = document.createElement('div');
+        block.className = 'baseline-platform';
+        block.innerHTML = `
+      <div class="site-name"></div>
+      <div class="baseline-meta"></div>
+    `;
+        // Page titles and URLs come from the sites themselves — never as HTML
+        const title = document.createElement('a');
+        title.href = entry.url;
+        title.target = '_blank';
+        title.textContent = entry.title || entry.url;
+        block.querySelector('.site-name').appendChild(title);
+        block.querySelector('.baseline-meta').textContent =
+            `${entry.platform} · ${new Date(entry.time).toLocaleString()} · at ${minutes}:${seconds} · ` +
+            `${entry.flashes} ${entry.kind === 'red' ? 'red ' : ''}flashes/s`;
+        list.appendChild(block);
+    }
+}
+
+document.getElementById('flashProtection').addEventListener('change', function () {
+    chrome.storage.local.set({ nf_flash_protection: this.checked });
+});
+
+document.getElementById('clearFlashLog').addEventListener('click', () => {
+    chrome.storage.local.set({ nf_flash_log: [] });
+});
+
+// Videos flagged while the dashboard is open
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.nf_flash_log) loadFlashProtection();
+});
+
+// Training data — moments labelled junk / fine in the popup or on the page
+// indicator, and the personal model trained from them
+async function loadTrainingData() {
+    const result = await chrome.storage.local.get(['nf_training_samples', 'nf_personal_model']);
+    const samples = result.nf_training_samples || [];
+    const list = document.getElementById('trainingList');
+    document.getElementById('trainingExport').disabled = samples.length === 0;
+    document.getElementById('trainingClear').disabled = samples.length === 0;
+
+    const personal = result.nf_personal_model;
+    document.getElementById('personalRemove').disabled = !personal;
+    document.getElementById('personalStatus').textContent = personal
+        ? `Personal model trained ${new Date(personal.trainedAt).toLocaleString()} on ${personal.training.samples} labels ` +
+        `(${Math.round(personal.training.accuracy * 100)}% accurate) is classifying content.`
+        : 'No personal model — content is classified by the packaged model.';
+
+    list.innerHTML = '';
+    if (samples.length === 0) {
+        list.innerHTML = '<p class="bench-placeholder">No labelled moments yet — use 👎 Junk / 👍 Fine in the popup, or right-click the page indicator.</p>';
+        return;
+    }
+
+    const counts = {};
+    for (const sample of samples) {
+        counts[sample.platform] = counts[sample.platform] || { junk: 0, fine: 0 };
+        counts[sample.platform][sample.label]++;
+    }
+    for (const [platform, c] of Object.entries(counts)) {
+        const row = document.createElement('div');
+        row.className = 'hw-row';
+        row.innerHTML = `<span class="hw-label">${platform}</span><span class="hw-value">👎 ${c.junk} · 👍 ${c.fine}</span>`;
+        list.appendChild(row);
+    }
+}
+
+document.getElementById('trainingExport').addEventListener('click', async () => {
+    const result = await chrome.storage.local.get('nf_training_samples');
+    downloadJSON({
+        format: 1,
+        exportedAt: Date.now(),
+        features: window.NEURO_FADE_CONSTANTS.CONTENT_CLASSIFY.FEATURES,
+        labels: window.NEURO_FADE_CONSTANTS.TRAINING.LABELS,
+        samples: result.nf_training_samples || []
+    }, `neuro-fade-labels-${new Date().toISOString().slice(0, 10)}.json`);
+});
+
+document.getElementById('trainingClear').addEventListener('click', () => {
+    chrome.storage.local.set({ nf_training_samples: [] });
+});
+
+document.getElementById('personalImport').addEventListener('click', () => {
+    document.getElementById('personalFile').click();
+});
+
+document.getElementById('personalFile').addEventListener('change', async function () {
+    const file = this.files[0];
+    this.value = '';
+    if (!file) return;
+
+    try {
+        await NPUBridge.setPersonalModel(JSON.parse(await file.text()));
+    } catch (e) {
+        document.getElementById('personalStatus').textContent = `❌ ${file.name}: ${e.message}`;
+    }
+});
+
+document.getElementById('personalRemove').addEventListener('click', () => {
+    NPUBridge.setPersonalModel(null);
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && (changes.nf_training_samples || changes.nf_personal_model)) loadTrainingData();
+});
+
+// Trace recorder (detector inputs from a tab) and offline replay
+let traceTabId = null;       // Tab that is recording
+let traceStatusTimer = null;
+let replayResult = null;     // { timeline, summary } of the last replay
+
+function platformForUrl(url) {
+    try {
+        const host = new URL(url).hostname.replace('www.', '');
+        for (const [domain, config] of Object.entries(PLATFORMS)) {
+            if (host === domain || host.endsWith('.' + domain)) return config;
+        }
+    } catch (e) {
+        // Tabs without a URL we can parse
+    }
+    return null;
+}
+
+async function loadTraceTabs() {
+    if (traceTabId !== null) return; // Keep the recording tab selected
+    const select = document.getElementById('traceTab');
+    const selected = select.value;
+    const tabs = await chrome.tabs.query({});
+
+    select.innerHTML = '';
+    for (const tab of tabs) {
+        const platform = platformForUrl(tab.url);
+        if (!platform) continue;
+        const option = document.createElement('option');
+        option.value = tab.id;
+        option.textContent = `${platform.icon} ${tab.title || platform.name}`;
+        select.appendChild(option);
+    }
+
+    const hasTabs = select.options.length > 0;
+    if (!hasTabs) {
+        select.innerHTML = '<option value="">Open a supported site to record</option>';
+    } else if ([...select.options].some(o => o.value === selected)) {
+        select.value = selected;
+    }
+    document.getElementById('traceRecord').disabled = !hasTabs;
+}
+
+document.getElementById('traceRecord').addEventListener('click', async function () {
+    const M = window.NEURO_FADE_CONSTANTS.MESSAGES;
+    const select = document.getElementById('traceTab');
+    const status = document.getElementById('traceStatus');
+
+    if (traceTabId !== null) {
+        await stopTrace();
+        return;
+    }
+
+    const tabId = Number(select.value);
+    try {
+        const response = await chrome.tabs.sendMessage(tabId, { type: M.TRACE_START });
+        if (!response?.ok) throw new Error(response?.error || 'no response from the tab');
+    } catch (e) {
+        status.textContent = `❌ Could not start recording: ${e.message}`;
+        return;
+    }
+
+    traceTabId = tabId;
+    select.disabled = true;
+    this.textContent = 'Stop & Download';
+    this.classList.add('running');
+    traceStatusTimer = setInterval(updateTraceStatus, 1000);
+    updateTraceStatus();
+});
+
+async function updateTraceStatus() {
+    const M = window.NEURO_FADE_CONSTANTS.MESSAGES;
+    const status = document.getElementById('traceStatus');
+    try {
+        const s = await chrome.tabs.sendMessage(traceTabId, { type: M.TRACE_STATUS });
+        const summary = `${s.events} events · ${Math.round(s.duration / 1000)}s`;
+        status.textContent = s.recording
+            ? `● Recording — ${summary}`
+            : `Event limit reached — ${summary}. Stop to download.`;
+    } catch (e) {
+        status.textContent = '❌ The tab was closed or reloaded — recording lost.';
+        resetTraceControls();
+    }
+}
+
+async function stopTrace() {
+    const M = window.NEURO_FADE_CONSTANTS.MESSAGES;
+    const status = document.getElementById('traceStatus');
+    clearInterval(traceStatusTimer);
+
+    try {
+        const { trace } = await chrome.tabs.sendMessage(traceTabId, { type: M.TRACE_STOP });
+        if (!trace) throw new Error('the tab has no recording');
+        const platform = trace.platform.toLowerCase().replace(/\W+/g, '-');
+        const date = trace.recordedAt.replace(/[:.]/g, '-');
+        downloadJSON(trace, `neuro-fade-trace-${platform}-${date}.json`);
+        status.textContent = `Saved ${trace.events.length} events (${Math.round(trace.duration / 1000)}s).`;
+    } catch (e) {
+        status.textContent = `❌ Could not stop recording: ${e.message}`;
+    }
+    resetTraceControls();
+}
+
+function resetTraceControls() {
+    clearInterval(traceStatusTimer);
+    traceTabId = null;
+    const btn = document.getElementById('traceRecord');
+    btn.textContent = 'Record';
+    btn.classList.remove('running');
+    document.getElementById('traceTab').disabled = false;
+    loadTraceTabs();
+}
+
+function downloadJSON(data, filename) {
+    const url = URL.createObjectURL(new Blob([JSON.stringify(data)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+document.getElementById('traceReplay').addEventListener('click', () => {
+    document.getElementById('traceFile').click();
+});
+
+document.getElementById('traceFile').addEventListener('change', async function () {
+    const file = this.files[0];
+    this.value = '';
+    if (!file) return;
+
+    const resultsDiv = document.getElementById('replayResults');
+    const chartContainer = document.getElementById('replayChartContainer');
+    const timelineBtn = document.getElementById('traceTimeline');
+
+    // Traces come from bug reports: their text is only ever set as text, never as HTML
+    try {
+        const trace = JSON.parse(await file.text());
+        replayResult = new TraceReplay(trace).run();
+    } catch (e) {
+        replayResult = null;
+        const message = document.createElement('p');
+        message.className = 'bench-placeholder';
+        message.textContent = `❌ Replay failed: ${e.message}`;
+        resultsDiv.replaceChildren(message);
+        chartContainer.style.display = 'none';
+        timelineBtn.disabled = true;
+        return;
+    }
+
+    const s = replayResult.summary;
+    const seconds = ms => Math.round(ms / 1000) + 's';
+    const rows = [
+        ['Trace', file.name],
+        ['Platform', s.platform + (s.truncated ? ' (truncated)' : '')],
+        ['Duration', `${seconds(s.duration)} · ${s.updates} updates`],
+        ['Score', `peak ${Math.round(s.peakScore)} · mean ${Math.round(s.meanScore)} · final ${Math.round(s.finalScore)}`],
+        ['Time at Level', Object.entries(s.timeAtLevel).map(([level, ms]) => `${level} ${seconds(ms)}`).join(' · ')]
+    ];
+    if (Object.keys(s.skipped).length > 0) {
+        rows.push(['Unknown Events', Object.entries(s.skipped).map(([type, n]) => `${type} ×${n}`).join(', ')]);
+    }
+    resultsDiv.replaceChildren(...rows.map(([label, value]) => {
+        const row = document.createElement('div');
+        row.className = 'hw-row';
+        for (const [className, text] of [['hw-label', label], ['hw-value', value]]) {
+            const span = document.createElement('span');
+            span.className = className;
+            span.textContent = text;
+            row.appendChild(span);
+        }
+        return row;
+    }));
+
+    chartContainer.style.display = 'block';
+    drawReplayChart(replayResult.timeline, s.duration);
+    timelineBtn.disabled = false;
+    timelineBtn.dataset.name = file.name.replace(/\.json$/i, '');
+});
+
+document.getElementById('traceTimeline').addEventListener('click', function () {
+    if (replayResult) downloadJSON(replayResult, `${this.dataset.name}-timeline.json`);
+});
+
+// Draw replayed score and fade intensity over time
+function drawReplayChart(timeline, duration) {
+    const canvas = document.getElementById('replayCanvas');
+    const ctx = canvas.getContext('2d');
+    const W = canvas.width;
+    const H = canvas.height;
+    const left = 30;
+    const top = 10;
+    const chartWidth = W - left - 10;
+    const chartHeight = H - 34;
+
+    ctx.clearRect(0, 0, W, H);
+
+    // Grid lines
+    for (let i = 0; i <= 4; i++) {
+        const y = top + (chartHeight / 4) * i;
+        ctx.beginPath();
+        ctx.moveTo(left, y);
+        ctx.lineTo(W - 10, y);
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.04)';
+        ctx.lineWidth = 1;
+        ctx.stroke();
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.2)';
+        ctx.font = '9px Inter';
+        ctx.textAlign = 'right';
+        ctx.fillText(100 - 25 * i, left - 4, y + 3);
+    }
+
+    const series = [
+        { color: '#a855f7', value: e => e.score },
+        { color: '#06b6d4', value: e => e.effects.audioIntensity * 100 }
+    ];
+    for (const { color, value } of series) {
+        ctx.beginPath();
+        timeline.forEach((entry, i) => {
+            const x = left + (entry.t / (duration || 1)) * chartWidth;
+            const y = top + chartHeight - (value(entry) / 100) * chartHeight;
+            if (i === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        });
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1.5;
+        ctx.stroke();
+    }
+
+    // Title
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.3)';
+    ctx.font = '9px Inter';
+    ctx.textAlign = 'center';
+    ctx.fillText(`Dopamine score (purple) and fade intensity (cyan) over ${Math.round(duration / 1000)}s`, W / 2, H - 8);
+}
+
+chrome.tabs.onUpdated.addListener((tabId, change) => {
+    if (change.url || change.title) loadTraceTabs();
+});
+chrome.tabs.onRemoved.addListener(() => loadTraceTabs());
+
 // NPU Detection & Hardware Info (using NPUBridge)
 const npuBridge = new NPUBridge();
 
@@ -326,10 +757,10 @@ async function detectAndDisplayHardware() {
     const label = badge.querySelector('span:last-child');
     const model = document.getElementById('npuModel');
     const desc = document.getElementById('npuDesc');
-    const backend = document.getElementById('npuBackend');
 
     // Initialize NPU Bridge (handles all detection)
     await npuBridge.init();
+    await npuBridge.loadModel(); // Pages load it on first use; the dashboard shows its status
     const status = npuBridge.getFullStatus();
     const hw = status.hardware;
     const rt = status.runtime;
@@ -337,9 +768,9 @@ async function detectAndDisplayHardware() {
     // Update nav badge
     if (rt.backend === 'npu') {
         indicator.className = 'npu-indicator active';
-        label.textContent = 'AMD NPU: Active ⚡';
-        model.textContent = 'AMD Ryzen AI NPU Detected';
-        desc.textContent = 'Hardware-accelerated frame analysis active via XDNA NPU. Scene-cut detection running at optimal performance with minimal power usage.';
+        label.textContent = 'NPU: Active ⚡';
+        model.textContent = 'WebNN NPU Device Active';
+        desc.textContent = 'Hardware-accelerated frame analysis active on the NPU. Scene-cut detection running at optimal performance with minimal power usage.';
     } else if (rt.backend === 'gpu') {
         indicator.className = 'npu-indicator fallback';
         label.textContent = 'WebNN: GPU';
@@ -348,125 +779,273 @@ async function detectAndDisplayHardware() {
     } else {
         indicator.className = 'npu-indicator';
         label.textContent = 'NPU: CPU Mode';
-        model.textContent = hw.detected ? hw.chipModel : 'CPU Processing Mode';
+        model.textContent = 'CPU Processing Mode';
         desc.textContent = 'Frame analysis runs on CPU using optimized JavaScript. All processing remains 100% local and private.';
     }
 
-    backend.textContent = rt.backend.toUpperCase();
+    if (rt.policy !== 'auto') {
+        desc.textContent += ` Backend policy: ${NPUBridge.POLICIES[rt.policy].label}.`;
+    }
 
-    // Populate hardware info rows
-    const hwChip = document.getElementById('hwChip');
-    const hwNPU = document.getElementById('hwNPU');
-    const hwTOPS = document.getElementById('hwTOPS');
-    const hwCores = document.getElementById('hwCores');
-    const hwGPU = document.getElementById('hwGPU');
+    // Backend policy — honored by every tab's NPUBridge
+    const policySelect = document.getElementById('backendPolicy');
+    if (policySelect.options.length === 0) {
+        for (const [key, policy] of Object.entries(NPUBridge.POLICIES)) {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = policy.label;
+            policySelect.appendChild(option);
+        }
+    }
+    policySelect.value = rt.policy;
+    policySelect.disabled = false;
+
+    // Measured capability profile — only what the browser reported or was timed
     const hwWebNN = document.getElementById('hwWebNN');
+    const hwGPU = document.getElementById('hwGPU');
+    const hwWebGPU = document.getElementById('hwWebGPU');
+    const hwCores = document.getElementById('hwCores');
+    const hwPlatform = document.getElementById('hwPlatform');
+    const hwThroughput = document.getElementById('hwThroughput');
     const hwONNX = document.getElementById('hwONNX');
 
-    hwChip.textContent = hw.chipModel;
-    if (hw.detected) hwChip.className = 'hw-value amd';
+    const devices = Object.entries(hw.webnn.devices).filter(([, works]) => works !== null);
+    hwWebNN.textContent = !hw.webnn.supported ? '❌ Not Available'
+        : devices.map(([device, works]) => `${device.toUpperCase()} ${works ? '✅' : '❌'}`).join(' · ') || '✅ Supported';
+    hwWebNN.className = devices.some(([, works]) => works) ? 'hw-value detected' : 'hw-value';
 
-    hwNPU.textContent = hw.npuModel;
-    if (hw.npuModel.includes('XDNA') || hw.npuModel.includes('AMD')) {
-        hwNPU.className = 'hw-value detected';
-    }
+    hwGPU.textContent = hw.gpuName || 'Not reported';
+    hwGPU.className = hw.gpuVendor === 'AMD' ? 'hw-value amd' : 'hw-value';
+    hwGPU.title = hw.webgl ? `WebGL: ${hw.webgl.vendor} / ${hw.webgl.renderer}` : '';
 
-    hwTOPS.textContent = hw.topsPerformance;
-    if (hw.topsPerformance !== '-') hwTOPS.className = 'hw-value detected';
+    const adapter = hw.webgpu.adapter;
+    hwWebGPU.textContent = !hw.webgpu.supported ? '❌ Not Available'
+        : !adapter ? '⬜ No adapter'
+            : [adapter.vendor, adapter.architecture].filter(Boolean).join(' · ') + (hw.webgpu.fallback ? ' (software)' : '') || '✅ Available';
+    hwWebGPU.className = adapter && !hw.webgpu.fallback ? 'hw-value detected' : 'hw-value';
 
-    hwCores.textContent = hw.cores + ' threads';
+    hwCores.textContent = hw.cores ? hw.cores + ' threads' : 'Not reported';
 
-    hwGPU.textContent = hw.gpuRenderer || hw.gpuModel || 'Not detected';
-    if (hw.gpuRenderer && hw.gpuRenderer.toLowerCase().includes('amd')) {
-        hwGPU.className = 'hw-value amd';
-    }
+    hwPlatform.textContent = hw.platform
+        ? [hw.platform.os, hw.platform.architecture, hw.platform.model].filter(Boolean).join(' · ') || 'Not reported'
+        : 'Not reported';
 
-    hwWebNN.textContent = hw.webnnSupported ? '✅ Supported' : '❌ Not Available';
-    hwWebNN.className = hw.webnnSupported ? 'hw-value detected' : 'hw-value';
+    const t = hw.throughput;
+    hwThroughput.textContent = t && t.framesPerSecond
+        ? `${Math.round(t.framesPerSecond)} frames/s (${t.width}×${t.height}, ${t.frameMs.toFixed(2)}ms)`
+        : '-';
 
     hwONNX.textContent = hw.onnxrtSupported ? '✅ Available' : '⬜ Not Loaded';
     hwONNX.className = hw.onnxrtSupported ? 'hw-value detected' : 'hw-value';
-}
 
-// Benchmark Runner
-document.getElementById('runBenchmark').addEventListener('click', async function () {
-    const btn = this;
-    const resultsDiv = document.getElementById('benchResults');
-    const chartContainer = document.getElementById('benchChartContainer');
+    // Content classifier — the personal model, the packaged ONNX model, or the heuristic it falls back to
+    const hwModel = document.getElementById('hwModel');
+    const contentModel = rt.model;
+    if (contentModel.personal) {
+        const p = contentModel.personal;
+        hwModel.textContent = `👤 Personal (${p.samples} labels, ${Math.round(p.accuracy * 100)}% accurate)`;
+        hwModel.className = 'hw-value detected';
+    } else if (contentModel.status === 'ready') {
+        hwModel.textContent = `✅ ONNX v${contentModel.version} (${contentModel.executionProviders.join(' → ')})`;
+        hwModel.className = 'hw-value detected';
+    } else if (contentModel.status === 'failed') {
+        hwModel.textContent = `❌ Heuristic — ${contentModel.error}`;
+        hwModel.className = 'hw-value';
+    } else if (contentModel.status === 'disabled') {
+        hwModel.textContent = `⬜ Heuristic — ${contentModel.error}`;
+        hwModel.className = 'hw-value';
+    } else {
+        hwModel.textContent = '⬜ Heuristic — ONNX Runtime not loaded';
+        hwModel.className = 'hw-value';
+    }
+    hwModel.title = contentModel.error || '';
+}
 
-    btn.disabled = true;
-    btn.classList.add('running');
-    btn.textContent = 'Running...';
-    resultsDiv.innerHTML = '<p class="bench-placeholder">⏳ Running 50 iterations across all backends...</p>';
+document.getElementById('backendPolicy').addEventListener('change', function () {
+    // npuBridge re-initializes itself on the storage change, then redraws
+    this.disabled = true;
+    NPUBridge.setPolicy(this.value);
+});
+npuBridge.onSettingsChange = () => detectAndDisplayHardware();
+
+// Last benchmark on this browser and extension version (capability cache)
+async function showCachedBenchmark() {
+    if (benchResults || !npuBridge.benchmarks.completed) return;
+    benchResults = npuBridge.benchmarks;
+    await loadBenchmarkHistory();
+    renderBenchmark();
+    document.getElementById('benchExportJson').disabled = false;
+    document.getElementById('benchExportCsv').disabled = false;
+}
 
-    try {
-        const results = await npuBridge.runBenchmarks(50);
-
-        // Build results table
-        let tableHTML = `
-            <table class="bench-table">
-                <thead>
-                    <tr>
-                        <th>Backend</th>
-                        <th>Avg (ms)</th>
-                        <th>Median (ms)</th>
-                        <th>P95 (ms)</th>
-                        <th>Min (ms)</th>
-                        <th>Max (ms)</th>
-                    </tr>
-                </thead>
-                <tbody>
-        `;
+// Live inference — accelerated shot-boundary decisions reported by open tabs
+const BACKEND_LABELS = {
+    npu: 'NPU (WebNN)',
+    gpu: 'GPU (WebNN)',
+    cpu: 'CPU (WebNN)',
+    js: 'JavaScript (fallback)',
+    heuristic: 'Heuristic (no model)',
+    personal: 'Personal model'
+};
 
-        const benchmarks = [];
-        if (results.webnn) {
-            benchmarks.push({ key: 'webnn', ...results.webnn });
-        }
-        if (results.js) {
-            benchmarks.push({ key: 'js', ...results.js });
-        }
-        if (results.classify) {
-            benchmarks.push({ key: 'classify', ...results.classify });
+async function loadInferenceStats() {
+    const result = await chrome.storage.local.get('nf_inference_stats');
+    const stats = result.nf_inference_stats || {};
+    const container = document.getElementById('inferenceStats');
+
+    let frames = 0;
+    let rows = '';
+    let decisions = '';
+    const batching = { items: 0, waitMs: 0, latencyMs: 0 };
+    for (const [platform, s] of Object.entries(stats)) {
+        // Content classification queue (NPUBridge.classifyBatched, one frame per run in tabs)
+        const b = s.batching;
+        if (b && b.batches > 0) {
+            batching.items += b.items;
+            batching.waitMs += b.avgQueueWaitMs * b.items;
+            batching.latencyMs += b.avgItemLatencyMs * b.items;
         }
 
-        // Find the fastest
-        const avgTimes = benchmarks.filter(b => b.key !== 'classify').map(b => b.avgMs);
-        const fastest = Math.min(...avgTimes);
-
-        for (const b of benchmarks) {
-            const isBest = b.avgMs === fastest && b.key !== 'classify';
-            tableHTML += `
-                <tr class="${isBest ? 'best' : ''}">
-                    <td>${isBest ? '🏆 ' : ''}${b.label}</td>
-                    <td>${b.avgMs.toFixed(3)}</td>
-                    <td>${b.medianMs.toFixed(3)}</td>
-                    <td>${b.p95Ms.toFixed(3)}</td>
-                    <td>${b.minMs.toFixed(3)}</td>
-                    <td>${b.maxMs.toFixed(3)}</td>
+        for (const [backend, l] of Object.entries(s.latency)) {
+            frames += l.count;
+            rows += `
+                <tr>
+                    <td>${platform} · ${BACKEND_LABELS[backend] || backend}</td>
+                    <td>${l.count}</td>
+                    <td>${l.avgMs.toFixed(3)}</td>
+                    <td>${l.p95Ms.toFixed(3)}</td>
+                    <td>${l.minMs.toFixed(3)}</td>
+                    <td>${l.maxMs.toFixed(3)}</td>
                 </tr>
             `;
         }
+        const fallbacks = s.late + s.busy + s.failed;
+        decisions += `<div class="bench-speedup">${platform}: ${s.accelerated} cuts decided on ${BACKEND_LABELS[s.backend] || s.backend}` +
+            ` · ${fallbacks} by JavaScript (${s.late} late, ${s.busy} busy, ${s.failed} failed) · ${s.stale} stale results dropped</div>`;
+    }
 
-        tableHTML += '</tbody></table>';
+    const batched = batching.items > 0;
+    document.getElementById('npuQueueWait').textContent = batched
+        ? (batching.waitMs / batching.items).toFixed(1) + 'ms' : '-';
+    document.getElementById('npuItemLatency').textContent = batched
+        ? (batching.latencyMs / batching.items).toFixed(1) + 'ms' : '-';
 
-        // Add speedup badge
-        if (results.speedup) {
-            const factor = results.speedup.factor;
-            if (factor > 1) {
-                tableHTML += `<div class="bench-speedup">⚡ WebNN is ${factor.toFixed(1)}x faster than pure JavaScript</div>`;
-            } else {
-                tableHTML += `<div class="bench-speedup">📊 JavaScript baseline: ${results.js.avgMs.toFixed(3)}ms avg per inference</div>`;
-            }
-        } else {
-            tableHTML += `<div class="bench-speedup">📊 JavaScript baseline: ${results.js.avgMs.toFixed(3)}ms avg per inference</div>`;
-        }
+    if (frames === 0) {
+        container.innerHTML = '<p class="bench-placeholder">No inferences yet — open a supported site with video.</p>';
+        return;
+    }
+    container.innerHTML = `
+        <table class="bench-table">
+            <thead>
+                <tr>
+                    <th>Backend</th>
+                    <th>Inferences</th>
+                    <th>Avg (ms)</th>
+                    <th>P95 (ms)</th>
+                    <th>Min (ms)</th>
+                    <th>Max (ms)</th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+        ${decisions}
+    `;
+}
 
-        resultsDiv.innerHTML = tableHTML;
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.nf_inference_stats) loadInferenceStats();
+});
 
-        // Draw benchmark chart
-        chartContainer.style.display = 'block';
-        drawBenchmarkChart(benchmarks);
+// Benchmark Runner
+// Live telemetry — each tab's NPUBridge.getMetrics(), relayed by the service worker
+async function loadTelemetry() {
+    let tabs = [];
+    try {
+        ({ tabs } = await chrome.runtime.sendMessage({ type: window.NEURO_FADE_CONSTANTS.MESSAGES.GET_TELEMETRY }));
+    } catch (e) {
+        // Service worker restarting
+    }
+    const total = NPUBridge.aggregateMetrics(tabs.map(tab => tab.metrics));
+    const ms = value => value < 10 ? value.toFixed(2) : value.toFixed(1);
+    const latency = l => l ? `${ms(l.p50Ms)} / ${ms(l.p95Ms)}` : '-';
+    const backends = Object.entries(total.backends)
+        .map(([backend, count]) => backend.toUpperCase() + (count > 1 ? ` ×${count}` : ''));
+
+    document.getElementById('npuFrames').textContent = total.framesProcessed;
+    document.getElementById('npuLatency').textContent = total.latency ? latency(total.latency) + 'ms' : '-';
+    document.getElementById('npuBackend').textContent = backends.join(' · ') || '-';
+    document.getElementById('npuFallbacks').textContent = tabs.length > 0 ? total.fallbacks.total : '-';
+
+    const container = document.getElementById('liveTabs');
+    if (tabs.length === 0) {
+        container.innerHTML = '<p class="bench-placeholder">No tabs reporting — open a supported site to see its inference live.</p>';
+        return;
+    }
+
+    const rows = tabs.map(tab => {
+        const m = NPUBridge.aggregateMetrics([tab.metrics]);
+        const f = m.fallbacks;
+        return `
+                <tr>
+                    <td></td>
+                    <td>${BACKEND_LABELS[NPUBridge.activeBackend(tab.metrics)]}</td>
+                    <td>${m.framesProcessed}</td>
+                    <td>${m.latency ? ms(m.latency.p50Ms) : '-'}</td>
+                    <td>${m.latency ? ms(m.latency.p95Ms) : '-'}</td>
+                    <td>${m.latency ? ms(m.latency.p99Ms) : '-'}</td>
+                    <td title="${f.histogram} histogram · ${f.model} model">${f.total}</td>
+                </tr>
+            `;
+    });
+    container.innerHTML = `
+        <table class="bench-table">
+            <thead>
+                <tr>
+                    <th>Tab</th>
+                    <th>Backend</th>
+                    <th>Frames</th>
+                    <th>P50 (ms)</th>
+                    <th>P95 (ms)</th>
+                    <th>P99 (ms)</th>
+                    <th>Fallbacks</th>
+                </tr>
+            </thead>
+            <tbody>${rows.join('')}</tbody>
+        </table>
+        <div class="bench-speedup">All tabs: ${total.framesProcessed} frames · p50 / p95 / p99 ` +
+        `${total.latency ? [total.latency.p50Ms, total.latency.p95Ms, total.latency.p99Ms].map(ms).join(' / ') + 'ms' : '-'}` +
+        ` · ${total.fallbacks.total} fallbacks</div>
+    `;
+    // Page titles come from the sites themselves — never as HTML
+    container.querySelectorAll('tbody tr').forEach((row, i) => {
+        row.cells[0].textContent = `${tabs[i].platform} · ${tabs[i].title}`;
+    });
+}
+
+const BENCH_COLORS = {
+    js: { fill: 'rgba(249, 115, 22, 0.6)', stroke: '#f97316', glow: 'rgba(249, 115, 22, 0.3)' },
+    heuristic: { fill: 'rgba(6, 182, 212, 0.6)', stroke: '#06b6d4', glow: 'rgba(6, 182, 212, 0.3)' },
+    accelerated: { fill: 'rgba(99, 102, 241, 0.6)', stroke: '#6366f1', glow: 'rgba(99, 102, 241, 0.3)' }
+};
 
+let benchResults = null;
+
+document.getElementById('runBenchmark').addEventListener('click', async function () {
+    const btn = this;
+    const resultsDiv = document.getElementById('benchResults');
+
+    btn.disabled = true;
+    btn.classList.add('running');
+    btn.textContent = 'Running...';
+    resultsDiv.innerHTML = '<p class="bench-placeholder">⏳ Running 50 iterations of every scenario on seeded frame fixtures...</p>';
+
+    try {
+        benchResults = await npuBridge.runBenchmarks(50);
+        await saveBenchmark(benchResults);
+        await loadBenchmarkHistory();
+        renderBenchmark();
+        document.getElementById('benchExportJson').disabled = false;
+        document.getElementById('benchExportCsv').disabled = false;
     } catch (e) {
         resultsDiv.innerHTML = `<p class="bench-placeholder">❌ Benchmark failed: ${e.message}</p>`;
     }
@@ -476,43 +1055,153 @@ document.getElementById('runBenchmark').addEventListener('click', async function
     btn.textContent = 'Run Again';
 });
 
-// Draw benchmark bar chart
-function drawBenchmarkChart(benchmarks) {
+async function saveBenchmark(results) {
+    const result = await chrome.storage.local.get('nf_benchmark_history');
+    const history = result.nf_benchmark_history || [];
+    history.unshift(results);
+    await chrome.storage.local.set({
+        nf_benchmark_history: history.slice(0, window.NEURO_FADE_CONSTANTS.BENCHMARK.HISTORY_SIZE)
+    });
+}
+
+let benchHistory = [];
+
+// Earlier runs to compare against (the newest is the run shown)
+async function loadBenchmarkHistory() {
+    const result = await chrome.storage.local.get('nf_benchmark_history');
+    benchHistory = result.nf_benchmark_history || [];
+    const select = document.getElementById('benchCompare');
+    const selected = select.value;
+
+    select.innerHTML = '<option value="">Compare with…</option>';
+    for (const run of benchHistory) {
+        if (benchResults && run.timestamp === benchResults.timestamp) continue;
+        const option = document.createElement('option');
+        option.value = run.timestamp;
+        option.textContent = `${new Date(run.timestamp).toLocaleString()} · ${BACKEND_LABELS[run.backend] || run.backend} · seed ${run.seed}`;
+        select.appendChild(option);
+    }
+    if ([...select.options].some(o => o.value === selected)) {
+        select.value = selected;
+    } else if (benchResults && select.options.length > 1) {
+        select.value = select.options[1].value; // The run before this one
+    }
+    select.disabled = select.options.length <= 1;
+}
+
+document.getElementById('benchCompare').addEventListener('change', () => {
+    if (benchResults) renderBenchmark();
+});
+
+function renderBenchmark() {
+    const results = benchResults;
+    const compareTo = Number(document.getElementById('benchCompare').value);
+    const previous = benchHistory.find(run => run.timestamp === compareTo) || null;
+    const comparison = NPUBridge.compareBenchmarks(results, previous);
+
+    let tableHTML = `
+        <table class="bench-table">
+            <thead>
+                <tr>
+                    <th>Scenario</th>
+                    <th>Backend</th>
+                    <th>Avg (ms)</th>
+                    <th>Median (ms)</th>
+                    <th>P95 (ms)</th>
+                    <th>Min (ms)</th>
+                    <th>Max (ms)</th>
+                    ${previous ? '<th>vs Previous</th>' : ''}
+                </tr>
+            </thead>
+            <tbody>
+    `;
+
+    results.scenarios.forEach((b, i) => {
+        // Fastest backend of each scenario that ran on more than one
+        const rivals = results.scenarios.filter(s => s.scenario === b.scenario);
+        const isBest = rivals.length > 1 && b.avgMs === Math.min(...rivals.map(s => s.avgMs));
+        const change = comparison[i].change;
+        tableHTML += `
+            <tr class="${isBest ? 'best' : ''}">
+                <td>${isBest ? '🏆 ' : ''}${b.label}</td>
+                <td>${BACKEND_LABELS[b.backend] || b.backend}</td>
+                <td>${b.avgMs.toFixed(3)}</td>
+                <td>${b.medianMs.toFixed(3)}</td>
+                <td>${b.p95Ms.toFixed(3)}</td>
+                <td>${b.minMs.toFixed(3)}</td>
+                <td>${b.maxMs.toFixed(3)}</td>
+                ${previous ? `<td>${change === null ? '—' : (change > 0 ? '+' : '') + (change * 100).toFixed(0) + '%'}</td>` : ''}
+            </tr>
+        `;
+    });
+
+    tableHTML += '</tbody></table>';
+
+    // Speedup badges
+    for (const [scenario, s] of Object.entries(results.speedups)) {
+        const label = results.scenarios.find(row => row.scenario === scenario).label;
+        tableHTML += s.factor > 1
+            ? `<div class="bench-speedup">⚡ ${label}: ${BACKEND_LABELS[s.backend] || s.backend} is ${s.factor.toFixed(1)}x faster than pure JavaScript</div>`
+            : `<div class="bench-speedup">📊 ${label}: JavaScript is faster here (${s.factor.toFixed(2)}x)</div>`;
+    }
+    const cuts = results.fixture.cuts.length;
+    tableHTML += `<div class="bench-speedup">🎞️ Seed ${results.seed}: ${results.fixture.frames}-frame fixture with ${cuts} cuts` +
+        `${previous ? ` · compared with ${new Date(previous.timestamp).toLocaleString()}` : ''}</div>`;
+
+    document.getElementById('benchResults').innerHTML = tableHTML;
+
+    // Draw benchmark chart
+    document.getElementById('benchChartContainer').style.display = 'block';
+    drawBenchmarkChart(comparison);
+}
+
+document.getElementById('benchExportJson').addEventListener('click', () => {
+    if (benchResults) downloadJSON(benchResults, `neuro-fade-benchmark-${benchResults.timestamp}.json`);
+});
+
+document.getElementById('benchExportCsv').addEventListener('click', () => {
+    if (!benchResults) return;
+    const url = URL.createObjectURL(new Blob([NPUBridge.benchmarkToCSV(benchResults)], { type: 'text/csv' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `neuro-fade-benchmark-${benchResults.timestamp}.csv`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+});
+
+// Draw benchmark bar chart — bars are scaled within each scenario, since
+// scenarios time very different work; the previous run shows as a marker
+function drawBenchmarkChart(comparison) {
     const canvas = document.getElementById('benchCanvas');
+    const barHeight = 18;
+    const gap = 8;
+    const startY = 16;
+    canvas.height = startY + comparison.length * (barHeight + gap) + 24;
+
     const ctx = canvas.getContext('2d');
     const W = canvas.width;
     const H = canvas.height;
+    const labelWidth = 190;
+    const chartWidth = W - labelWidth - 70;
 
     ctx.clearRect(0, 0, W, H);
 
-    const filtered = benchmarks.filter(b => b.key !== 'classify');
-    if (filtered.length === 0) return;
-
-    const maxAvg = Math.max(...filtered.map(b => b.avgMs));
-    const barHeight = 28;
-    const gap = 16;
-    const startY = 20;
-    const labelWidth = 180;
-    const chartWidth = W - labelWidth - 40;
-
-    const colors = {
-        webnn: { fill: 'rgba(99, 102, 241, 0.6)', stroke: '#6366f1', glow: 'rgba(99, 102, 241, 0.3)' },
-        js: { fill: 'rgba(249, 115, 22, 0.6)', stroke: '#f97316', glow: 'rgba(249, 115, 22, 0.3)' },
-        classify: { fill: 'rgba(6, 182, 212, 0.6)', stroke: '#06b6d4', glow: 'rgba(6, 182, 212, 0.3)' }
-    };
-
-    for (let i = 0; i < filtered.length; i++) {
-        const b = filtered[i];
+    for (let i = 0; i < comparison.length; i++) {
+        const b = comparison[i];
+        const scenario = b.id.slice(0, b.id.lastIndexOf('/'));
+        const maxAvg = Math.max(...comparison
+            .filter(row => row.id.startsWith(scenario + '/'))
+            .flatMap(row => [row.avgMs, row.previousAvgMs ?? 0]));
         const y = startY + i * (barHeight + gap);
         const barW = (b.avgMs / maxAvg) * chartWidth;
-        const c = colors[b.key] || colors.js;
+        const c = BENCH_COLORS[b.backend] || BENCH_COLORS.accelerated;
 
         // Label
         ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
-        ctx.font = '11px Inter';
+        ctx.font = '10px Inter';
         ctx.textAlign = 'right';
         ctx.textBaseline = 'middle';
-        ctx.fillText(b.label, labelWidth - 10, y + barHeight / 2);
+        ctx.fillText(`${b.label} · ${b.backend}`, labelWidth - 10, y + barHeight / 2);
 
         // Bar background
         ctx.fillStyle = 'rgba(255, 255, 255, 0.03)';
@@ -535,18 +1224,30 @@ function drawBenchmarkChart(benchmarks) {
         ctx.roundRect(labelWidth, y, barW, barHeight, 4);
         ctx.fill();
 
+        // Previous run marker
+        const previousW = b.previousAvgMs !== null ? (b.previousAvgMs / maxAvg) * chartWidth : 0;
+        if (b.previousAvgMs !== null) {
+            const x = labelWidth + previousW;
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.7)';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(x, y - 2);
+            ctx.lineTo(x, y + barHeight + 2);
+            ctx.stroke();
+        }
+
         // Value label
         ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
-        ctx.font = 'bold 11px Inter';
+        ctx.font = 'bold 10px Inter';
         ctx.textAlign = 'left';
-        ctx.fillText(b.avgMs.toFixed(3) + ' ms', labelWidth + barW + 8, y + barHeight / 2);
+        ctx.fillText(b.avgMs.toFixed(3) + ' ms', labelWidth + Math.max(barW, previousW) + 8, y + barHeight / 2);
     }
 
     // Title
     ctx.fillStyle = 'rgba(255, 255, 255, 0.3)';
     ctx.font = '9px Inter';
     ctx.textAlign = 'center';
-    ctx.fillText('Average Inference Time (lower is better)', W / 2, H - 8);
+    ctx.fillText('Average Time per Scenario (lower is better · │ previous run)', W / 2, H - 8);
 }
 
 // Time filter buttons
@@ -560,7 +1261,16 @@ document.querySelectorAll('.filter-btn').forEach(btn => {
 // Initialize everything
 loadStats();
 buildSitesList();
-detectAndDisplayHardware();
+loadBaselines();
+loadFrameBudget();
+loadFlashProtection();
+loadTrainingData();
+loadInferenceStats();
+loadTelemetry();
+setInterval(loadTelemetry, window.NEURO_FADE_CONSTANTS.TELEMETRY.POLL_INTERVAL);
+loadBenchmarkHistory();
+loadTraceTabs();
+detectAndDisplayHardware().then(showCachedBenchmark);
 new NeuralVisualizer('neuralCanvas');
 new TimelineChart('timelineCanvas');
 
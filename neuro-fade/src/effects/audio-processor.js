@@ -1,10 +1,12 @@
 /**
  * Neuro-Fade Audio Processor
- * Uses Web Audio API to gradually lower pitch and apply calming audio effects
+ * Uses Web Audio API to gradually lower pitch and apply calming audio effects,
+ * and taps the same graph to measure audio stimulation
  */
 
 class AudioProcessor {
     constructor() {
+        this.C = window.NEURO_FADE_CONSTANTS;
         this.audioContexts = new WeakMap();
         this.activeProcessors = new WeakMap();
     }
@@ -35,11 +37,18 @@ class AudioProcessor {
             highShelf.frequency.value = 4000;
             highShelf.gain.value = 0; // Start neutral
 
+            // Analyser tap (pre-filter, so our own calming doesn't skew stimulation metrics)
+            const analyser = ctx.createAnalyser();
+            analyser.fftSize = this.C.AUDIO.FFT_SIZE;
+            analyser.smoothingTimeConstant = 0;
+
             // Connect pipeline: source → lowpass → highshelf → gain → destination
+            //                          ↳ analyser
             source.connect(lowPassFilter);
             lowPassFilter.connect(highShelf);
             highShelf.connect(gainNode);
             gainNode.connect(ctx.destination);
+            source.connect(analyser);
 
             const processor = {
                 context: ctx,
@@ -47,6 +56,11 @@ class AudioProcessor {
                 gainNode,
                 lowPassFilter,
                 highShelf,
+                analyser,
+                timeData: new Float32Array(analyser.fftSize),
+                freqData: new Uint8Array(analyser.frequencyBinCount),
+                prevSpectrum: null,
+                stats: { samples: [], onsets: [], spikes: [], lastOnset: 0, lastSpike: 0 },
                 currentIntensity: 0
             };
 
@@ -96,6 +110,107 @@ class AudioProcessor {
         processor.currentIntensity = intensity;
     }
 
+    /**
+     * Take one analyser sample: loudness, spectral-flux onsets, volume spikes
+     * Called on a short interval for the video in view.
+     */
+    analyze(videoElement) {
+        const processor = this.activeProcessors.get(videoElement);
+        if (!processor || videoElement.paused || videoElement.ended) return;
+
+        const A = this.C.AUDIO;
+        const now = Date.now();
+        const { analyser, timeData, freqData, stats } = processor;
+
+        // Loudness (RMS → dBFS)
+        analyser.getFloatTimeDomainData(timeData);
+        let sumSquares = 0;
+        for (let i = 0; i < timeData.length; i++) sumSquares += timeData[i] * timeData[i];
+        const rms = Math.sqrt(sumSquares / timeData.length);
+        const db = rms > 0 ? Math.max(20 * Math.log10(rms), A.FLOOR_DB) : A.FLOOR_DB;
+
+        // Spectral flux (positive spectrum change since the last sample)
+        analyser.getByteFrequencyData(freqData);
+        let flux = 0;
+        if (processor.prevSpectrum) {
+            for (let i = 0; i < freqData.length; i++) {
+                const d = freqData[i] - processor.prevSpectrum[i];
+                if (d > 0) flux += d;
+            }
+            flux /= freqData.length;
+        } else {
+            processor.prevSpectrum = new Uint8Array(freqData.length);
+        }
+        processor.prevSpectrum.set(freqData);
+
+        const audible = db > A.SILENCE_DB;
+        const recent = stats.samples.slice(-A.HISTORY_SAMPLES);
+
+        // Onset: flux well above its recent level
+        if (audible && recent.length >= A.MIN_SAMPLES && now - stats.lastOnset > A.MIN_ONSET_GAP) {
+            const fluxes = recent.map(s => s.flux);
+            const mean = this._average(fluxes);
+            const std = Math.sqrt(this._average(fluxes.map(f => (f - mean) ** 2)));
+            if (flux > mean + A.ONSET_SENSITIVITY * std && flux > A.MIN_ONSET_FLUX) {
+                stats.onsets.push(now);
+                stats.lastOnset = now;
+            }
+        }
+
+        // Spike: sudden jump above the recent loudness
+        const recentAudible = recent.filter(s => s.db > A.SILENCE_DB);
+        if (audible && recentAudible.length >= A.MIN_SAMPLES && now - stats.lastSpike > A.MIN_SPIKE_GAP) {
+            const level = this._average(recentAudible.map(s => s.db));
+            if (db - level > A.SPIKE_DB) {
+                stats.spikes.push(now);
+                stats.lastSpike = now;
+            }
+        }
+
+        stats.samples.push({ time: now, db, flux });
+        this._pruneStats(stats, now);
+    }
+
+    /**
+     * Audio stimulation metrics for a video over the analysis window
+     * @returns {Object|null} null when there is too little audible sound to judge
+     */
+    getStimulation(videoElement) {
+        const processor = this.activeProcessors.get(videoElement);
+        if (!processor) return null;
+
+        const A = this.C.AUDIO;
+        const stats = processor.stats;
+        this._pruneStats(stats, Date.now());
+
+        const audible = stats.samples.filter(s => s.db > A.SILENCE_DB).map(s => s.db);
+        if (audible.length < A.MIN_SAMPLES) return null;
+
+        const loudness = this._average(audible);
+        const loudnessStd = Math.sqrt(this._average(audible.map(d => (d - loudness) ** 2)));
+        const windowSeconds = A.WINDOW / 1000;
+
+        return {
+            loudness,                                       // dBFS
+            loudnessStd,                                    // dB
+            onsetRate: stats.onsets.length / windowSeconds, // onsets/sec
+            spikeRate: stats.spikes.length / windowSeconds * 60, // spikes/min
+            audibleRatio: audible.length / stats.samples.length
+        };
+    }
+
+    _pruneStats(stats, now) {
+        const windowMs = this.C.AUDIO.WINDOW;
+        stats.samples = stats.samples.filter(s => now - s.time < windowMs);
+        stats.onsets = stats.onsets.filter(t => now - t < windowMs);
+        stats.spikes = stats.spikes.filter(t => now - t < windowMs);
+    }
+
+    _average(arr) {
+        if (arr.length === 0) return 0;
+        return arr.reduce((a, b) => a + b, 0) / arr.length;
+    }
+
     /**
      * Reset all audio effects on a video
      */
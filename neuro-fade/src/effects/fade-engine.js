@@ -4,9 +4,15 @@
  */
 
 class FadeEngine {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.headless] - Compute effects without touching the DOM;
+     *   the caller advances the animation with step() (trace replay)
+     */
+    constructor({ headless = false } = {}) {
         const C = window.NEURO_FADE_CONSTANTS;
         this.C = C;
+        this.headless = headless;
         this.audioProcessor = new window.AudioProcessor();
 
         // Current effect state
@@ -23,10 +29,11 @@ class FadeEngine {
         this.animationFrame = null;
         this.isAnimating = false;
         this.videos = new Set();
+        this.protectedVideos = new Set(); // Flagged for photosensitive flashing
         this.styleElement = null;
         this.breatheMode = false;
 
-        this._injectStyles();
+        if (!headless) this._injectStyles();
     }
 
     /**
@@ -67,9 +74,15 @@ class FadeEngine {
 
     /**
      * Update effects based on dopamine score (0-100)
+     * @param {number} dopamineScore
+     * @param {Object} [thresholds] - Threshold set for the current feed mode
+     * @param {number} [globalScore] - Cross-tab fragmentation score (0-100)
      */
-    update(dopamineScore) {
-        const T = this.C.THRESHOLDS;
+    update(dopamineScore, thresholds = this.C.THRESHOLDS, globalScore = 0) {
+        const T = thresholds;
+
+        // Tab hopping can push effects beyond this tab's own score
+        dopamineScore = Math.max(dopamineScore, globalScore);
         const E = this.C.EFFECTS;
 
         // No effect below LOW threshold
@@ -107,7 +120,7 @@ class FadeEngine {
             };
         }
 
-        if (!this.isAnimating) this._startAnimation();
+        if (!this.isAnimating && !this.headless) this._startAnimation();
     }
 
     /**
@@ -142,34 +155,66 @@ class FadeEngine {
         }, 5000);
     }
 
+    /**
+     * Instantly dim a video flagged for photosensitive flashing
+     * Bypasses the animation: the filter is applied now, with its CSS transition disabled.
+     */
+    protect(video) {
+        if (!video || this.protectedVideos.has(video)) return;
+        this.protectedVideos.add(video);
+        if (this.headless) return;
+
+        video.classList.add('neuro-fade-flash-protect');
+        this._applyVideoFilter(video);
+    }
+
+    /**
+     * Lift the protective dim — this direction eases out through the usual transition
+     */
+    unprotect(video) {
+        if (!this.protectedVideos.delete(video) || this.headless) return;
+
+        video.classList.remove('neuro-fade-flash-protect');
+        this._applyVideoFilter(video);
+    }
+
     /**
      * Smoothly animate toward target effects
      */
     _startAnimation() {
         this.isAnimating = true;
-        const step = () => {
-            let stillAnimating = false;
-            const lerp = 0.06; // Smooth interpolation factor
-
-            for (const key of Object.keys(this.currentEffects)) {
-                const diff = this.targetEffects[key] - this.currentEffects[key];
-                if (Math.abs(diff) > 0.001) {
-                    this.currentEffects[key] += diff * lerp;
-                    stillAnimating = true;
-                } else {
-                    this.currentEffects[key] = this.targetEffects[key];
-                }
-            }
+        const frame = () => {
+            const stillAnimating = this.step();
 
             this._applyEffects();
 
             if (stillAnimating) {
-                this.animationFrame = requestAnimationFrame(step);
+                this.animationFrame = requestAnimationFrame(frame);
             } else {
                 this.isAnimating = false;
             }
         };
-        this.animationFrame = requestAnimationFrame(step);
+        this.animationFrame = requestAnimationFrame(frame);
+    }
+
+    /**
+     * Move current effects one animation frame toward the targets
+     * @returns {boolean} Whether any effect is still moving
+     */
+    step() {
+        let stillAnimating = false;
+        const lerp = 0.06; // Smooth interpolation factor
+
+        for (const key of Object.keys(this.currentEffects)) {
+            const diff = this.targetEffects[key] - this.currentEffects[key];
+            if (Math.abs(diff) > 0.001) {
+                this.currentEffects[key] += diff * lerp;
+                stillAnimating = true;
+            } else {
+                this.currentEffects[key] = this.targetEffects[key];
+            }
+        }
+        return stillAnimating;
     }
 
     /**
@@ -187,13 +232,7 @@ class FadeEngine {
 
         // Apply to videos
         for (const video of this.videos) {
-            // Visual filter on video
-            video.style.filter = `
-        grayscale(${grayscale})
-        saturate(${saturation})
-        brightness(${brightness})
-        blur(${blur}px)
-      `.trim();
+            this._applyVideoFilter(video);
 
             // Playback rate (only if video is playing)
             if (!video.paused && !video.ended) {
@@ -219,6 +258,25 @@ class FadeEngine {
         document.body.style.transition = 'filter 0.5s ease';
     }
 
+    /**
+     * Visual filter on a video, plus the protective dim while it is flagged
+     */
+    _applyVideoFilter(video) {
+        const { grayscale, saturation, brightness, blur } = this.currentEffects;
+        let filter = `
+        grayscale(${grayscale})
+        saturate(${saturation})
+        brightness(${brightness})
+        blur(${blur}px)
+      `.trim();
+
+        if (this.protectedVideos.has(video)) {
+            const F = this.C.FLASH;
+            filter += ` brightness(${F.DIM_BRIGHTNESS}) contrast(${F.DIM_CONTRAST})`;
+        }
+        video.style.filter = filter;
+    }
+
     /**
      * Reset all effects
      */
@@ -232,6 +290,7 @@ class FadeEngine {
             audioIntensity: 0
         };
 
+        if (this.headless) return;
         if (!this.isAnimating) this._startAnimation();
 
         // Reset all videos
@@ -251,6 +310,7 @@ class FadeEngine {
             ...this.currentEffects,
             intensity: this.currentEffects.grayscale, // Primary intensity indicator
             breatheMode: this.breatheMode,
+            flashProtected: this.protectedVideos.size,
             videoCount: this.videos.size
         };
     }
@@ -263,6 +323,11 @@ class FadeEngine {
             video.classList.remove('neuro-fade-video');
             this.audioProcessor.detach(video);
         }
+        for (const video of this.protectedVideos) {
+            video.classList.remove('neuro-fade-flash-protect');
+            video.style.filter = '';
+        }
+        this.protectedVideos.clear();
         if (this.styleElement) this.styleElement.remove();
         document.body.style.filter = '';
     }
@@ -6,225 +6,474 @@
  */
 
 class NPUBridge {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.detection] - When no capability profile is
+     *   cached: 'now' measures it during init (dashboard), 'idle' once the
+     *   page is idle, so content scripts don't probe while it loads
+     */
+    constructor({ detection = 'now' } = {}) {
+        this.detection = detection;
         this.available = false;
         this.backend = 'cpu'; // 'npu', 'gpu', or 'cpu'
         this.context = null;
         this.graph = null;
-        this.framesProcessed = 0;
+        this.framesProcessed = 0; // Histogram distances and classified frames (see _recordInference)
         this.totalLatency = 0;
+        this.latencyStats = {}; // Per backend ('npu', 'gpu', 'cpu', 'js', 'heuristic', 'personal'): { count, total, min, max, recent }
+        this.fallbacks = { histogram: 0 }; // WebNN runs that failed and were redone in JS
         this.initialized = false;
 
-        // AMD Hardware Info
-        this.hardwareInfo = {
-            detected: false,
-            chipModel: 'Unknown',
-            npuModel: 'Unknown',
-            topsPerformance: '-',
-            platform: 'Unknown',
-            cores: navigator.hardwareConcurrency || '-',
-            webnnSupported: false,
-            onnxrtSupported: false
-        };
+        // Backend policy chosen in the dashboard (see NPUBridge.POLICIES), and
+        // what was learned about this machine — cached in storage per
+        // browser and extension version
+        this.policy = 'auto';
+        this.capabilities = null;   // { environment, devices: { [device]: true | { failedAt, failures } }, hardware, benchmark, probedAt }
+        this.onSettingsChange = null; // () after re-initializing for a new policy, or a new personal model
+        this._watchingSettings = false;
+
+        // Measured hardware capability profile (see detectCapabilities)
+        this.hardwareInfo = NPUBridge._emptyProfile();
 
-        // Benchmark results
+        // Benchmark results (see runBenchmarks)
         this.benchmarks = {
             completed: false,
-            npuLatency: null,
-            gpuLatency: null,
-            cpuLatency: null,
-            jsLatency: null,
-            speedup: null,
-            results: []
+            scenarios: [],
+            speedups: {}
         };
 
         // ONNX Runtime session
+        this.ort = null;            // The runtime module, once imported (see loadModel)
         this.onnxSession = null;
         this.onnxAvailable = false;
+        this.modelLoad = null;      // Promise of loadModel()
+
+        // Packaged content classifier (see src/models/)
+        this.model = NPUBridge._modelState();
+
+        // Logistic regression trained on the user's junk / fine labels
+        // (scripts/train-personal-model.js); takes over classification when set
+        this.personalModel = null;
+
+        // Micro-batching of content classification (see classifyBatched)
+        this.batching = { ...NPUBridge.BATCH_DEFAULTS };
+        this.batchQueue = [];       // { features, enqueuedAt, resolve, reject }
+        this.batchTimer = null;
+        this.batchRunning = false;
+        this.batchStats = {
+            batches: 0,
+            items: 0,
+            capacity: 0,            // Sum of maxSize over batches run, for the fill rate
+            queueWait: { total: 0, recent: [] },
+            itemLatency: { total: 0, recent: [] }
+        };
     }
 
     /**
      * Initialize the NPU bridge
-     * Attempts: NPU → GPU → CPU fallback
+     * Attempts the devices the backend policy allows: NPU → GPU → CPU
+     * fallback by default. Devices that recently failed on this browser and
+     * extension version (the capability cache) are not probed again until
+     * their retry is due (see _retryDue), and the hardware profile is measured only when none is cached. The content
+     * model is loaded later, on the first classification (see loadModel).
      */
     async init() {
         if (this.initialized) return this.available;
 
-        // Detect AMD Hardware
-        await this._detectHardware();
+        const { policy, capabilities, personalModel } = await NPUBridge._loadSettings();
+        this.policy = policy;
+        this.personalModel = personalModel;
+        this.capabilities = capabilities || {
+            format: NPUBridge.CAPABILITY_FORMAT,
+            environment: NPUBridge._environment(),
+            devices: {},
+            hardware: null,
+            benchmark: null,
+            probedAt: null
+        };
+        const cached = { ...this.capabilities.devices };
 
-        // Try ONNX Runtime Web
-        await this._initONNXRuntime();
+        // Measure the hardware profile; its WebNN probes seed the device cache
+        if (this.capabilities.hardware) {
+            Object.assign(this.hardwareInfo, this.capabilities.hardware);
+        } else if (this.detection === 'now') {
+            await this._detectHardware();
+        }
+        if (this.capabilities.benchmark) this.benchmarks = this.capabilities.benchmark;
 
         // Try WebNN API
-        if ('ml' in navigator) {
-            this.hardwareInfo.webnnSupported = true;
+        await this._initWebNN();
+
+        // Save what this run learned
+        const devices = this.capabilities.devices;
+        const measured = !this.capabilities.hardware && this.hardwareInfo.measuredAt !== null;
+        if (measured || Object.keys(devices).some(d => devices[d] !== cached[d])) {
+            if (measured) this.capabilities.hardware = { ...this.hardwareInfo };
+            this.capabilities.probedAt = Date.now();
+            await this._saveCapabilities();
+        }
+        if (!this.capabilities.hardware && this.detection === 'idle') this._detectWhenIdle();
 
-            // Try NPU first (AMD Ryzen AI)
-            try {
-                this.context = await navigator.ml.createContext({
-                    deviceType: 'npu',
-                    powerPreference: 'low-power'
-                });
-                this.backend = 'npu';
-                this.available = true;
-                console.log('[Neuro-Fade] AMD NPU backend initialized');
-                await this._buildSceneCutGraph();
-                this.initialized = true;
-                return true;
-            } catch (e) {
-                console.debug('[Neuro-Fade] NPU not available, trying GPU...');
-            }
+        this._watchSettings();
+        this.initialized = true;
+        return this.available;
+    }
 
-            // Try GPU
-            try {
-                this.context = await navigator.ml.createContext({
-                    deviceType: 'gpu'
-                });
-                this.backend = 'gpu';
-                this.available = true;
-                console.log('[Neuro-Fade] GPU backend initialized');
-                await this._buildSceneCutGraph();
-                this.initialized = true;
-                return true;
-            } catch (e) {
-                console.debug('[Neuro-Fade] GPU not available, using CPU fallback');
-            }
+    /**
+     * Drop every context, graph and session, and initialize again
+     * (after the backend policy changed)
+     */
+    async reinit() {
+        if (this.onnxSession && this.onnxSession.release) {
+            this.onnxSession.release().catch(() => { });
+        }
+        this.initialized = false;
+        this.available = false;
+        this.backend = 'cpu';
+        this.context = null;
+        this.graph = null;
+        this.onnxSession = null;
+        this.onnxAvailable = false;
+        this.modelLoad = null;
+        this.model = NPUBridge._modelState();
+        return this.init();
+    }
 
-            // CPU fallback with WebNN
-            try {
-                this.context = await navigator.ml.createContext({
-                    deviceType: 'cpu'
-                });
-                this.backend = 'cpu';
-                this.available = true;
-                console.log('[Neuro-Fade] CPU WebNN backend initialized');
-                await this._buildSceneCutGraph();
-                this.initialized = true;
-                return true;
-            } catch (e) {
-                console.debug('[Neuro-Fade] WebNN CPU failed');
+    /**
+     * Create a WebNN context and the scene-cut graph on the first device
+     * the policy allows that works
+     */
+    async _initWebNN() {
+        const devices = NPUBridge.POLICIES[this.policy].devices;
+        const known = this.capabilities.devices;
+
+        if ('ml' in navigator) {
+            this.hardwareInfo.webnn.supported = true;
+
+            for (const device of devices) {
+                if (!NPUBridge._retryDue(known[device])) {
+                    console.debug(`[Neuro-Fade] WebNN ${device} recently unavailable, skipping`);
+                    continue;
+                }
+                try {
+                    this.context = await navigator.ml.createContext(device === 'npu'
+                        ? { deviceType: 'npu', powerPreference: 'low-power' }
+                        : { deviceType: device });
+                    this.backend = device;
+                    this.available = true;
+                    known[device] = true;
+                    console.log(`[Neuro-Fade] ${NPUBridge.DEVICE_LABELS[device]} backend initialized`);
+                    await this._buildSceneCutGraph();
+                    return;
+                } catch (e) {
+                    known[device] = NPUBridge._deviceFailure(known[device]);
+                    console.debug(`[Neuro-Fade] WebNN ${device} not available`);
+                }
             }
         }
 
         // Pure JS fallback
         this.backend = 'cpu';
         this.available = false;
-        this.initialized = true;
-        console.log('[Neuro-Fade] Using pure JS fallback (no WebNN)');
-        return false;
+        console.log(`[Neuro-Fade] Using pure JS fallback (${devices.length ? 'no WebNN' : 'backend policy'})`);
     }
 
     // ==========================================
-    // AMD Hardware Detection
+    // Backend Policy & Capability Cache
     // ==========================================
 
     /**
-     * Detect AMD hardware using multiple browser APIs
+     * Backend policy, capability cache and personal model from storage; the
+     * cache is dropped when the browser or extension version (or its own
+     * format) changed since it was written. Defaults outside the extension.
      */
-    async _detectHardware() {
-        const info = this.hardwareInfo;
-        info.cores = navigator.hardwareConcurrency || 'Unknown';
+    static async _loadSettings() {
+        const K = window.NEURO_FADE_CONSTANTS.STORAGE_KEYS;
+        const settings = { policy: 'auto', capabilities: null, personalModel: null };
+        if (typeof chrome === 'undefined' || !chrome.storage) return settings;
 
-        // 1. GPU Detection via WebGL
         try {
-            const canvas = document.createElement('canvas');
-            const gl = canvas.getContext('webgl2') || canvas.getContext('webgl');
-            if (gl) {
-                const debugInfo = gl.getExtension('WEBGL_debug_renderer_info');
-                if (debugInfo) {
-                    const renderer = gl.getParameter(debugInfo.UNMASKED_RENDERER_WEBGL);
-                    const vendor = gl.getParameter(debugInfo.UNMASKED_VENDOR_WEBGL);
-
-                    info.gpuRenderer = renderer;
-                    info.gpuVendor = vendor;
-
-                    // Detect AMD GPU
-                    if (renderer.toLowerCase().includes('amd') || renderer.toLowerCase().includes('radeon')) {
-                        info.detected = true;
-                        info.platform = 'AMD';
-                        info.gpuModel = renderer;
-                    }
-                }
+            const result = await chrome.storage.local.get([K.BACKEND_POLICY, K.NPU_CAPABILITIES, K.PERSONAL_MODEL]);
+            if (result[K.BACKEND_POLICY] in NPUBridge.POLICIES) settings.policy = result[K.BACKEND_POLICY];
+            settings.personalModel = NPUBridge._acceptPersonalModel(result[K.PERSONAL_MODEL]);
+
+            const capabilities = result[K.NPU_CAPABILITIES];
+            const environment = NPUBridge._environment();
+            if (capabilities && capabilities.format === NPUBridge.CAPABILITY_FORMAT && capabilities.environment &&
+                capabilities.environment.extension === environment.extension &&
+                capabilities.environment.browser === environment.browser) {
+                settings.capabilities = capabilities;
             }
-        } catch (e) { }
+        } catch (e) {
+            console.debug('[Neuro-Fade] Could not read backend settings:', e.message);
+        }
+        return settings;
+    }
 
-        // 2. Detect AMD Ryzen AI NPU models
-        if ('ml' in navigator) {
-            info.webnnSupported = true;
+    /**
+     * Browser and extension version the capability cache is valid for
+     */
+    static _environment() {
+        const manifest = typeof chrome !== 'undefined' && chrome.runtime?.getManifest ? chrome.runtime.getManifest() : null;
+        return {
+            extension: manifest ? manifest.version : null,
+            browser: navigator.userAgent || null
+        };
+    }
 
-            try {
-                // Attempt NPU context creation to detect Ryzen AI
-                const testCtx = await navigator.ml.createContext({ deviceType: 'npu' });
-                if (testCtx) {
-                    info.detected = true;
-                    info.platform = 'AMD Ryzen AI';
-
-                    // Map known Ryzen AI NPU configurations
-                    info.npuModel = 'AMD XDNA NPU';
-                    info.chipModel = this._inferChipModel(info.cores);
-                    info.topsPerformance = this._inferTOPS(info.chipModel);
-                }
-            } catch (e) {
-                // NPU not available but might still be AMD platform
-                if (info.detected) {
-                    info.npuModel = 'Not Available';
-                }
-            }
+    async _saveCapabilities() {
+        if (typeof chrome === 'undefined' || !chrome.storage) return;
+        try {
+            await chrome.storage.local.set({ [window.NEURO_FADE_CONSTANTS.STORAGE_KEYS.NPU_CAPABILITIES]: this.capabilities });
+        } catch (e) {
+            // Extension context invalidated
         }
+    }
 
-        // 3. User-Agent platform hints
-        try {
-            if (navigator.userAgentData) {
-                const uaData = await navigator.userAgentData.getHighEntropyValues([
-                    'platform', 'architecture', 'model', 'platformVersion'
-                ]);
-                info.osArch = uaData.architecture;
-                info.osPlatform = uaData.platform;
+    /**
+     * Choose the backend policy for every NPUBridge (all tabs and the dashboard)
+     * @param {string} policy - A key of NPUBridge.POLICIES
+     */
+    static async setPolicy(policy) {
+        if (!(policy in NPUBridge.POLICIES)) throw new Error(`Unknown backend policy "${policy}"`);
+        await chrome.storage.local.set({ [window.NEURO_FADE_CONSTANTS.STORAGE_KEYS.BACKEND_POLICY]: policy });
+    }
+
+    /**
+     * Re-initialize when the policy is changed anywhere, and pick up a
+     * personal model when one is imported or removed
+     */
+    _watchSettings() {
+        if (this._watchingSettings || typeof chrome === 'undefined' || !chrome.storage?.onChanged) return;
+        this._watchingSettings = true;
+        chrome.storage.onChanged.addListener(async (changes, area) => {
+            const K = window.NEURO_FADE_CONSTANTS.STORAGE_KEYS;
+            if (area !== 'local' || !this.initialized) return;
+
+            if (changes[K.PERSONAL_MODEL]) {
+                this.personalModel = NPUBridge._acceptPersonalModel(changes[K.PERSONAL_MODEL].newValue);
+                console.log('[Neuro-Fade] Personal model', this.personalModel ? 'loaded' : 'removed');
+                if (this.onSettingsChange) this.onSettingsChange();
             }
-        } catch (e) { }
 
-        // 4. If we couldn't detect specifically, make a best guess
-        if (!info.detected) {
-            info.chipModel = `${info.cores}-Core Processor`;
-            info.npuModel = 'Not Detected';
-            info.topsPerformance = '-';
+            const change = changes[K.BACKEND_POLICY];
+            if (!change || (change.newValue in NPUBridge.POLICIES ? change.newValue : 'auto') === this.policy) return;
+
+            await this.reinit();
+            console.log('[Neuro-Fade] Backend policy:', this.policy, '→', this.getStatusString());
+            if (this.onSettingsChange) this.onSettingsChange();
+        });
+    }
+
+    // ==========================================
+    // Hardware Capability Profile
+    // ==========================================
+
+    /**
+     * Measure this machine's capability profile into hardwareInfo; its
+     * WebNN probes seed the device cache
+     */
+    async _detectHardware() {
+        const profile = await this.detectCapabilities({
+            navigator,
+            createCanvas: typeof document !== 'undefined' ? () => document.createElement('canvas') : null
+        });
+        // Set by the runtime init, which may have run first
+        profile.onnxrtSupported = this.hardwareInfo.onnxrtSupported;
+        Object.assign(this.hardwareInfo, profile);
+        for (const [device, works] of Object.entries(profile.webnn.devices)) {
+            if (works !== null && !(device in this.capabilities.devices)) {
+                this.capabilities.devices[device] = works || NPUBridge._deviceFailure(null);
+            }
         }
     }
 
     /**
-     * Infer AMD chip model from core count and NPU availability
+     * Whether a device in the capability cache should be tried: it worked,
+     * was never probed, or its last failure is old enough — failures are
+     * retried after DEVICE_RETRY.AFTER, doubling with each one in a row up
+     * to DEVICE_RETRY.MAX, so a transient one (driver hiccup, GPU process
+     * reset) doesn't disable the backend for good
+     * @param {true|Object|undefined} known - Cache entry ({ failedAt, failures } after a failure)
      */
-    _inferChipModel(cores) {
-        // AMD Ryzen AI chip mapping based on known configurations
-        const coreMap = {
-            8: 'AMD Ryzen 5 7540U / Ryzen 7 7840U',
-            12: 'AMD Ryzen 7 8845HS / Ryzen 9 8945HS',
-            16: 'AMD Ryzen 9 7945HX / Ryzen 9 8945HX',
-            20: 'AMD Ryzen 9 9955HX',
-            24: 'AMD Ryzen 9 9955HX3D'
-        };
+    static _retryDue(known, now = Date.now()) {
+        if (!known || known === true) return true;
+        const R = NPUBridge.DEVICE_RETRY;
+        return now - known.failedAt >= Math.min(R.AFTER * 2 ** (known.failures - 1), R.MAX);
+    }
 
-        // Check for known Ryzen AI models
-        if (cores in coreMap) return coreMap[cores];
+    /**
+     * Cache entry for a device that failed (again)
+     */
+    static _deviceFailure(known, now = Date.now()) {
+        const failures = known && known !== true ? known.failures : 0;
+        return { failedAt: now, failures: failures + 1 };
+    }
 
-        // Ryzen AI 300 series (2024+)
-        if (cores >= 16) return `AMD Ryzen AI 9 HX (${cores} threads)`;
-        if (cores >= 12) return `AMD Ryzen AI 7 (${cores} threads)`;
-        if (cores >= 8) return `AMD Ryzen AI 5 (${cores} threads)`;
-        return `AMD Ryzen AI (${cores} threads)`;
+    /**
+     * Measure the hardware profile once the page is idle, unless another
+     * tab or the dashboard cached one meanwhile
+     */
+    _detectWhenIdle() {
+        const whenIdle = typeof requestIdleCallback === 'function'
+            ? callback => requestIdleCallback(callback, { timeout: NPUBridge.IDLE_DETECTION_TIMEOUT })
+            : callback => setTimeout(callback, 0);
+        whenIdle(async () => {
+            const { capabilities } = await NPUBridge._loadSettings();
+            if (capabilities && capabilities.hardware) {
+                this.capabilities.hardware = capabilities.hardware;
+                Object.assign(this.hardwareInfo, capabilities.hardware,
+                    { onnxrtSupported: this.hardwareInfo.onnxrtSupported });
+                return;
+            }
+            await this._detectHardware();
+            this.capabilities.hardware = { ...this.hardwareInfo };
+            this.capabilities.probedAt = Date.now();
+            await this._saveCapabilities();
+        });
     }
 
     /**
-     * Infer NPU TOPS performance from chip model
+     * Capability profile of what the browser reports and what was measured:
+     * WebNN device types that gave a context, the WebGPU adapter, the WebGL
+     * renderer, core count and JavaScript frame-analysis throughput. Names
+     * come only from the adapter or driver — nothing is inferred. Everything
+     * is read through `env`, so detection can run against mocked objects.
+     * @param {Object} env - { navigator, createCanvas: () => canvas, now: () => ms }
+     * @returns {Promise<Object>} Profile, shaped like NPUBridge._emptyProfile()
      */
-    _inferTOPS(chipModel) {
-        if (chipModel.includes('9955') || chipModel.includes('AI 9')) return '50+ TOPS';
-        if (chipModel.includes('8945') || chipModel.includes('AI 7')) return '39 TOPS';
-        if (chipModel.includes('8845')) return '33 TOPS';
-        if (chipModel.includes('7840') || chipModel.includes('7940')) return '16 TOPS';
-        if (chipModel.includes('AI 5')) return '16 TOPS';
-        return '10+ TOPS';
+    async detectCapabilities({ navigator: nav, createCanvas = null, now = () => performance.now() }) {
+        const profile = NPUBridge._emptyProfile();
+        profile.cores = nav.hardwareConcurrency || null;
+
+        // 1. WebNN: device types that give a context
+        if (nav.ml && nav.ml.createContext) {
+            profile.webnn.supported = true;
+            for (const device of Object.keys(profile.webnn.devices)) {
+                try {
+                    await nav.ml.createContext({ deviceType: device });
+                    profile.webnn.devices[device] = true;
+                } catch (e) {
+                    profile.webnn.devices[device] = false;
+                }
+            }
+        }
+
+        // 2. WebGPU adapter, as described by the browser
+        if (nav.gpu && nav.gpu.requestAdapter) {
+            profile.webgpu.supported = true;
+            try {
+                const adapter = await nav.gpu.requestAdapter();
+                if (adapter) {
+                    const info = adapter.info ||
+                        (adapter.requestAdapterInfo ? await adapter.requestAdapterInfo() : {});
+                    profile.webgpu.adapter = {
+                        vendor: info.vendor || null,
+                        architecture: info.architecture || null,
+                        device: info.device || null,
+                        description: info.description || null
+                    };
+                    profile.webgpu.fallback = Boolean(adapter.isFallbackAdapter ?? info.isFallbackAdapter);
+                }
+            } catch (e) { }
+        }
+
+        // 3. WebGL renderer string (unmasked when the browser allows it)
+        if (createCanvas) {
+            try {
+                const canvas = createCanvas();
+                const gl = canvas.getContext('webgl2') || canvas.getContext('webgl');
+                if (gl) {
+                    const debugInfo = gl.getExtension('WEBGL_debug_renderer_info');
+                    profile.webgl = {
+                        vendor: gl.getParameter(debugInfo ? debugInfo.UNMASKED_VENDOR_WEBGL : gl.VENDOR) || null,
+                        renderer: gl.getParameter(debugInfo ? debugInfo.UNMASKED_RENDERER_WEBGL : gl.RENDERER) || null
+                    };
+                }
+            } catch (e) { }
+        }
+
+        // 4. User-Agent client hints
+        if (nav.userAgentData && nav.userAgentData.getHighEntropyValues) {
+            try {
+                const ua = await nav.userAgentData.getHighEntropyValues(['platform', 'architecture', 'model']);
+                profile.platform = {
+                    os: ua.platform || null,
+                    architecture: ua.architecture || null,
+                    model: ua.model || null
+                };
+            } catch (e) { }
+        }
+
+        // 5. Throughput of the frame analysis pipeline (FrameProcessor)
+        profile.throughput = this._measureThroughput(now);
+
+        // Names and vendor only from what the adapter or driver reported
+        const adapter = profile.webgpu.adapter;
+        profile.gpuName = (adapter && adapter.description) || (profile.webgl && profile.webgl.renderer) || null;
+        profile.gpuVendor = NPUBridge._vendorOf([
+            adapter && adapter.vendor,
+            profile.webgl && profile.webgl.vendor,
+            profile.webgl && profile.webgl.renderer
+        ]);
+        profile.measuredAt = Date.now();
+        return profile;
+    }
+
+    /**
+     * Frames per second of FrameProcessor on the 160×90 benchmark fixture,
+     * over a short time budget
+     */
+    _measureThroughput(now) {
+        const T = NPUBridge.THROUGHPUT;
+        const { width, height, frames } = NPUBridge.benchmarkFixture(160, 90);
+        const processor = NPUBridge._frameProcessor(width, height);
+        processor.process(frames[0].data); // Warm-up
+
+        const start = now();
+        let runs = 0;
+        let elapsed = 0;
+        while (runs < T.MIN_RUNS || (elapsed < T.BUDGET && runs < T.MAX_RUNS)) {
+            processor.process(frames[runs % frames.length].data);
+            runs++;
+            elapsed = now() - start;
+        }
+        return {
+            width,
+            height,
+            runs,
+            frameMs: elapsed / runs,
+            framesPerSecond: elapsed > 0 ? runs / elapsed * 1000 : null
+        };
+    }
+
+    /**
+     * GPU vendor named in adapter / driver strings, or null
+     */
+    static _vendorOf(strings) {
+        const text = strings.filter(Boolean).join(' ').toLowerCase();
+        for (const [vendor, pattern] of NPUBridge.GPU_VENDORS) {
+            if (pattern.test(text)) return vendor;
+        }
+        return null;
+    }
+
+    static _emptyProfile() {
+        return {
+            cores: null,
+            platform: null,             // { os, architecture, model } from client hints
+            webnn: {
+                supported: false,
+                devices: { npu: null, gpu: null, cpu: null } // true / false once probed
+            },
+            webgpu: { supported: false, adapter: null, fallback: false },
+            webgl: null,                // { vendor, renderer }
+            gpuName: null,              // As reported by the WebGPU adapter or WebGL driver
+            gpuVendor: null,
+            throughput: null,           // { width, height, runs, frameMs, framesPerSecond }
+            onnxrtSupported: false,
+            measuredAt: null
+        };
     }
 
     // ==========================================
@@ -232,31 +481,309 @@ class NPUBridge {
     // ==========================================
 
     /**
-     * Initialize ONNX Runtime Web for content classification
+     * Load ONNX Runtime Web and the packaged content classifier, once per
+     * init — on the first classification, or when the dashboard shows the
+     * model status. Pages that never classify never load the runtime.
+     * @returns {Promise<void>} Settles when this.model says how it went
+     */
+    loadModel() {
+        if (!this.modelLoad) this.modelLoad = this._initONNXRuntime();
+        return this.modelLoad;
+    }
+
+    /**
+     * Initialize ONNX Runtime Web and load the packaged content classifier
+     * The model is described by its manifest (version, input features and
+     * shape, output labels, normalization); the session is validated against
+     * it before use. On any failure classifyContent keeps its heuristic and
+     * this.model says why.
      */
     async _initONNXRuntime() {
+        const model = this.model;
+
+        if (this.policy === 'js') {
+            model.status = 'disabled';
+            model.error = 'Backend policy is JavaScript only';
+            return;
+        }
+
+        // Import ONNX Runtime Web (src/vendor/, generated by npm install)
+        model.status = 'loading';
+        let ort;
         try {
-            // Check if ONNX Runtime Web is available
-            if (typeof ort !== 'undefined') {
-                this.onnxAvailable = true;
-                this.hardwareInfo.onnxrtSupported = true;
-
-                // Configure execution provider preference
-                const providers = [];
-                if (this.backend === 'npu') {
-                    providers.push('webnn'); // WebNN EP targets AMD NPU
-                }
-                providers.push('webgpu', 'wasm'); // Fallbacks
+            ort = await NPUBridge._loadRuntime();
+        } catch (e) {
+            model.status = 'no-runtime';
+            model.error = 'ONNX Runtime Web is not loaded';
+            console.debug('[Neuro-Fade] ONNX Runtime Web not available — heuristic classification:', e.message);
+            return;
+        }
+        this.ort = ort;
+        this.onnxAvailable = true;
+        this.hardwareInfo.onnxrtSupported = true;
 
-                console.log('[Neuro-Fade] ONNX Runtime Web available with providers:', providers);
+        try {
+            const manifest = await NPUBridge._fetch(NPUBridge.MODEL_MANIFEST, 'json');
+            NPUBridge._validateManifest(manifest);
+            const dir = NPUBridge.MODEL_MANIFEST.slice(0, NPUBridge.MODEL_MANIFEST.lastIndexOf('/') + 1);
+            const buffer = await NPUBridge._fetch(dir + manifest.file, 'arrayBuffer');
+
+            model.executionProviders = this._executionProviders();
+            if (model.executionProviders.length === 0) {
+                throw new Error(`No execution provider for the ${NPUBridge.POLICIES[this.policy].label} policy`);
             }
+            const session = await ort.InferenceSession.create(buffer, {
+                executionProviders: model.executionProviders,
+                graphOptimizationLevel: 'all'
+            });
+            await this._validateSession(session, manifest);
+            if (this.model !== model) return; // Re-initialized meanwhile
+
+            this.onnxSession = session;
+            model.manifest = manifest;
+            model.status = 'ready';
+            model.error = null;
+            console.log(`[Neuro-Fade] Content model ${manifest.version} loaded with providers:`,
+                model.executionProviders.map(p => p.name || p));
+        } catch (e) {
+            if (this.model !== model) return;
+            this.onnxSession = null;
+            model.status = 'failed';
+            model.error = e.message;
+            console.debug('[Neuro-Fade] Content model failed to load, using heuristic:', e.message);
+        }
+    }
+
+    /**
+     * Import the ONNX Runtime Web module from the extension, once per context
+     * @returns {Promise<Object>} The runtime (InferenceSession, Tensor, env)
+     */
+    static _loadRuntime() {
+        if (!NPUBridge._runtime) {
+            NPUBridge._runtime = import(NPUBridge._url(NPUBridge.ORT_DIR + NPUBridge.ORT_MODULE)).then((ort) => {
+                NPUBridge._configureRuntime(ort);
+                return ort;
+            });
+        }
+        return NPUBridge._runtime;
+    }
+
+    /**
+     * Point ONNX Runtime at its wasm files in the extension. Pages are not
+     * cross-origin isolated, so the runtime runs single-threaded without a
+     * proxy worker.
+     */
+    static _configureRuntime(ort) {
+        ort.env.wasm.wasmPaths = NPUBridge._url(NPUBridge.ORT_DIR);
+        ort.env.wasm.numThreads = 1;
+        ort.env.wasm.proxy = false;
+    }
+
+    /**
+     * URL of a packaged resource (extension URL in the browser)
+     */
+    static _url(path) {
+        return typeof chrome !== 'undefined' && chrome.runtime?.getURL ? chrome.runtime.getURL(path) : path;
+    }
+
+    /**
+     * Execution providers in order of preference for the backend WebNN found,
+     * limited to what the backend policy allows
+     */
+    _executionProviders() {
+        const providers = [];
+        if (this.backend === 'npu' && this.available) {
+            providers.push({ name: 'webnn', deviceType: 'npu', powerPreference: 'low-power' }); // WebNN EP targets AMD NPU
+        }
+        if (this.policy === 'gpu' || (this.policy === 'auto' && this.backend !== 'cpu' && this.available)) {
+            providers.push('webgpu');
+        }
+        if (this.policy === 'auto' || this.policy === 'wasm') providers.push('wasm'); // Always available
+        return providers;
+    }
+
+    /**
+     * Fetch a packaged resource (extension URL in the browser)
+     */
+    static async _fetch(path, as) {
+        const response = await fetch(NPUBridge._url(path));
+        if (!response.ok) throw new Error(`${path}: HTTP ${response.status}`);
+        return response[as]();
+    }
+
+    /**
+     * Throw unless the manifest describes a model classifyContent can feed
+     */
+    static _validateManifest(manifest) {
+        const { input, output, normalization } = manifest || {};
+        const { FEATURES: features, INTENSITY } = window.NEURO_FADE_CONSTANTS.CONTENT_CLASSIFY;
+        const categories = Object.keys(INTENSITY);
+        if (!manifest || !manifest.version || !manifest.file) {
+            throw new Error('Model manifest needs a version and a file');
+        }
+        if (!input || !input.name || !Array.isArray(input.features) ||
+            input.features.join() !== features.join()) {
+            throw new Error(`Model input features must be [${features.join(', ')}]`);
+        }
+        if (!Array.isArray(input.shape) || input.shape.length !== 2 || input.shape[1] !== features.length ||
+            !(input.shape[0] === 1 || (typeof input.shape[0] === 'string' && input.shape[0]))) {
+            throw new Error(`Model input shape must be [1, ${features.length}] or [<batch dimension>, ${features.length}]`);
+        }
+        if (!output || !output.name || !Array.isArray(output.labels) ||
+            output.labels.some(label => !categories.includes(label))) {
+            throw new Error(`Model output labels must be among ${categories.join(', ')}`);
+        }
+        if (!normalization ||
+            !['mean', 'std'].every(k => Array.isArray(normalization[k]) && normalization[k].length === features.length) ||
+            normalization.std.some(s => !(s > 0))) {
+            throw new Error('Model normalization needs a mean and a positive std per feature');
+        }
+    }
+
+    /**
+     * Throw unless the session has the manifest's input / output and yields
+     * one score per label (per row, when the batch dimension is dynamic)
+     */
+    async _validateSession(session, manifest) {
+        const { input, output } = manifest;
+        if (!session.inputNames.includes(input.name)) {
+            throw new Error(`Model has no input "${input.name}" (has ${session.inputNames.join(', ')})`);
+        }
+        if (!session.outputNames.includes(output.name)) {
+            throw new Error(`Model has no output "${output.name}" (has ${session.outputNames.join(', ')})`);
+        }
+        const rows = NPUBridge._dynamicBatch(input) ? 2 : 1;
+        const probe = new this.ort.Tensor('float32', new Float32Array(rows * input.shape[1]), [rows, input.shape[1]]);
+        const results = await session.run({ [input.name]: probe });
+        const scores = results[output.name].data;
+        if (scores.length !== rows * output.labels.length || Array.from(scores).some(s => !Number.isFinite(s))) {
+            throw new Error(`Model output "${output.name}" must hold ${output.labels.length} finite scores per row`);
+        }
+    }
+
+    /**
+     * Whether the model input takes any number of rows (a named first dimension)
+     */
+    static _dynamicBatch(input) {
+        return typeof input.shape[0] === 'string';
+    }
+
+    /**
+     * Content model status for the dashboard
+     */
+    getModelStatus() {
+        const { status, manifest, executionProviders, error, failures } = this.model;
+        const personal = this.personalModel;
+        return {
+            status,
+            version: manifest ? manifest.version : null,
+            executionProviders: executionProviders.map(p => p.name || p),
+            error,
+            failures,
+            personal: personal ? { trainedAt: personal.trainedAt, ...personal.training } : null
+        };
+    }
+
+    // ==========================================
+    // Personal Model
+    // ==========================================
+
+    /**
+     * Use a personal model in every NPUBridge (all tabs and the dashboard),
+     * or go back to the packaged one with null
+     * @param {Object|null} model - Output of scripts/train-personal-model.js
+     */
+    static async setPersonalModel(model) {
+        const key = window.NEURO_FADE_CONSTANTS.STORAGE_KEYS.PERSONAL_MODEL;
+        if (model === null) {
+            await chrome.storage.local.remove(key);
+            return;
+        }
+        NPUBridge._validatePersonalModel(model);
+        await chrome.storage.local.set({ [key]: model });
+    }
+
+    /**
+     * Throw unless the model is a logistic regression over
+     * CONTENT_CLASSIFY.FEATURES predicting TRAINING.LABELS, with the trainer's
+     * training summary
+     */
+    static _validatePersonalModel(model) {
+        const features = window.NEURO_FADE_CONSTANTS.CONTENT_CLASSIFY.FEATURES;
+        const finite = values => Array.isArray(values) && values.length === features.length &&
+            values.every(Number.isFinite);
+        if (!model || model.type !== 'logistic-regression') {
+            throw new Error('Personal model must be a logistic regression (scripts/train-personal-model.js)');
+        }
+        if (!Array.isArray(model.features) || model.features.join() !== features.join()) {
+            throw new Error(`Personal model features must be [${features.join(', ')}]`);
+        }
+        const labels = window.NEURO_FADE_CONSTANTS.TRAINING.LABELS;
+        if (!Array.isArray(model.labels) || model.labels.join() !== labels.join()) {
+            throw new Error(`Personal model labels must be [${labels.join(', ')}]`);
+        }
+        if (!finite(model.weights) || !Number.isFinite(model.bias)) {
+            throw new Error('Personal model needs a finite weight per feature and a bias');
+        }
+        const { normalization } = model;
+        if (!normalization || !finite(normalization.mean) || !finite(normalization.std) ||
+            normalization.std.some(s => !(s > 0))) {
+            throw new Error('Personal model normalization needs a mean and a positive std per feature');
+        }
+        // Shown by the dashboard and getModelStatus()
+        const { training } = model;
+        if (!Number.isFinite(model.trainedAt) || !training || !Number.isInteger(training.samples) ||
+            training.samples <= 0 || !(training.accuracy >= 0 && training.accuracy <= 1)) {
+            throw new Error('Personal model needs trainedAt and training { samples, accuracy } from the trainer');
+        }
+    }
+
+    /**
+     * The model if it is valid, otherwise null (stored models are not trusted)
+     */
+    static _acceptPersonalModel(model) {
+        if (!model) return null;
+        try {
+            NPUBridge._validatePersonalModel(model);
+            return model;
         } catch (e) {
-            console.debug('[Neuro-Fade] ONNX Runtime Web not available');
+            console.debug('[Neuro-Fade] Ignoring personal model:', e.message);
+            return null;
+        }
+    }
+
+    /**
+     * Classify one feature vector with the personal model: the probability
+     * of junk maps to high_dopamine, of fine to calming, and in between to
+     * moderate (see PERSONAL_THRESHOLDS)
+     * @returns {Object} { category, confidence, backend, junk }
+     */
+    _classifyPersonal(featureVector) {
+        const { weights, bias, normalization } = this.personalModel;
+        let logit = bias;
+        featureVector.forEach((x, i) => {
+            logit += weights[i] * (x - normalization.mean[i]) / normalization.std[i];
+        });
+        const junk = 1 / (1 + Math.exp(-logit));
+
+        const T = NPUBridge.PERSONAL_THRESHOLDS;
+        let category, confidence;
+        if (junk >= T.JUNK) {
+            category = 'high_dopamine';
+            confidence = junk;
+        } else if (junk <= T.FINE) {
+            category = 'calming';
+            confidence = 1 - junk;
+        } else {
+            category = 'moderate';
+            confidence = 1 - Math.abs(junk - 0.5) * 2;
         }
+        return { category, confidence, backend: 'personal', junk };
     }
 
     /**
-     * Run content classification on a video frame (ONNX model when available)
+     * Run content classification on a video frame (personal model when one is
+     * set, otherwise the ONNX model when available)
      * Classifies content as: high_dopamine, moderate, calming
      * @param {ImageData} frameData - Raw frame pixel data
      * @returns {Object} { category, confidence, features }
@@ -266,33 +793,196 @@ class NPUBridge {
 
         // Feature extraction (works with or without ONNX)
         const features = this._extractContentFeatures(frameData);
+        const [result] = await this._classifyFeatures([features]);
+
+        const latency = performance.now() - startTime;
+        this._recordInference(result.backend, latency);
+        return { ...result, features, latency };
+    }
+
+    /**
+     * Classify extracted features — with the personal model when one is set,
+     * else with the ONNX model when it is loaded, otherwise (or if the run
+     * fails) with the heuristic
+     * @param {Object[]} batch - Results of _extractContentFeatures
+     * @returns {Object[]} { category, confidence, backend } per item
+     */
+    async _classifyFeatures(batch) {
+        if (this.personalModel) {
+            return batch.map(features => this._classifyPersonal(features.featureVector));
+        }
+
+        // The execution providers follow the backend init found
+        if (this.initialized) await this.loadModel();
 
-        // If ONNX model is loaded, use it
         if (this.onnxSession) {
             try {
-                const inputTensor = new ort.Tensor('float32', new Float32Array(features.featureVector), [1, features.featureVector.length]);
-                const results = await this.onnxSession.run({ input: inputTensor });
-                const scores = results.output.data;
-
-                const latency = performance.now() - startTime;
-                return {
-                    category: ['calming', 'moderate', 'high_dopamine'][scores.indexOf(Math.max(...scores))],
-                    confidence: Math.max(...scores),
-                    features,
-                    latency,
-                    backend: this.backend
-                };
-            } catch (e) { }
+                const { input, output, normalization } = this.model.manifest;
+                const width = input.shape[1];
+                const normalized = new Float32Array(batch.length * width);
+                batch.forEach((features, row) => features.featureVector.forEach((x, i) => {
+                    normalized[row * width + i] = (x - normalization.mean[i]) / normalization.std[i];
+                }));
+                const scores = await this._runModel(normalized, batch.length);
+
+                const labels = output.labels.length;
+                return batch.map((_, row) => {
+                    const rowScores = Array.from(scores.subarray(row * labels, (row + 1) * labels));
+                    const confidence = Math.max(...rowScores);
+                    return {
+                        category: output.labels[rowScores.indexOf(confidence)],
+                        confidence,
+                        backend: this.backend
+                    };
+                });
+            } catch (e) {
+                this.model.failures += batch.length;
+                this.model.error = e.message;
+            }
         }
 
         // Heuristic classification (always available)
-        const latency = performance.now() - startTime;
-        return {
+        return batch.map(features => ({
             category: features.dopamineCategory,
             confidence: features.confidence,
-            features,
-            latency,
             backend: 'heuristic'
+        }));
+    }
+
+    /**
+     * Run the model on `rows` normalized feature vectors: one run when its
+     * batch dimension is dynamic, otherwise one run per row
+     * @returns {Float32Array} Scores, one row per input row
+     */
+    async _runModel(normalized, rows) {
+        const { input, output } = this.model.manifest;
+        const session = this.onnxSession; // Kept if the policy changes mid-batch
+        const width = input.shape[1];
+        const run = async (data, count) => {
+            const tensor = new this.ort.Tensor('float32', data, [count, width]);
+            const results = await session.run({ [input.name]: tensor });
+            return results[output.name].data;
+        };
+        if (NPUBridge._dynamicBatch(input) || rows === 1) return run(normalized, rows);
+
+        const scores = new Float32Array(rows * output.labels.length);
+        for (let row = 0; row < rows; row++) {
+            scores.set(await run(normalized.subarray(row * width, (row + 1) * width), 1), row * output.labels.length);
+        }
+        return scores;
+    }
+
+    // ==========================================
+    // Batched Inference
+    // ==========================================
+
+    /**
+     * Set the micro-batch size and how long the first queued item may wait
+     * for the batch to fill
+     * @param {Object} options - { maxSize, maxLatency (ms) }
+     */
+    configureBatching({ maxSize = this.batching.maxSize, maxLatency = this.batching.maxLatency } = {}) {
+        this.batching = { maxSize: Math.max(1, Math.floor(maxSize)), maxLatency: Math.max(0, maxLatency) };
+        this._scheduleBatch();
+    }
+
+    /**
+     * classifyContent through the micro-batching queue: features are
+     * extracted right away, and queued frames are classified together in one
+     * model run once maxSize are waiting or the oldest has waited maxLatency.
+     * Resolves with the frame's own result.
+     * @param {ImageData} frameData - Raw frame pixel data
+     * @returns {Promise<Object>} { category, confidence, features, latency, backend, queueWait, batchSize }
+     */
+    classifyBatched(frameData) {
+        const enqueuedAt = performance.now();
+        const features = this._extractContentFeatures(frameData);
+        return new Promise((resolve, reject) => {
+            this.batchQueue.push({ features, enqueuedAt, resolve, reject });
+            this._scheduleBatch();
+        });
+    }
+
+    /**
+     * Run a batch now if one is full, otherwise time the oldest item's deadline
+     * (one batch runs at a time; the next is scheduled when it finishes)
+     */
+    _scheduleBatch() {
+        if (this.batchRunning || this.batchQueue.length === 0) return;
+        if (this.batchQueue.length >= this.batching.maxSize) {
+            this._runBatch();
+            return;
+        }
+        if (this.batchTimer === null) {
+            const wait = this.batchQueue[0].enqueuedAt + this.batching.maxLatency - performance.now();
+            this.batchTimer = setTimeout(() => {
+                this.batchTimer = null;
+                this._runBatch();
+            }, Math.max(0, wait));
+        }
+    }
+
+    async _runBatch() {
+        clearTimeout(this.batchTimer);
+        this.batchTimer = null;
+        if (this.batchRunning || this.batchQueue.length === 0) return;
+
+        const items = this.batchQueue.splice(0, this.batching.maxSize);
+        const startedAt = performance.now();
+        this.batchRunning = true;
+        try {
+            const results = await this._classifyFeatures(items.map(item => item.features));
+            const finishedAt = performance.now();
+            this._recordBatch(items, startedAt, finishedAt);
+            // Each frame took the batch's run to classify; queue wait is in batchStats
+            results.forEach(result => this._recordInference(result.backend, finishedAt - startedAt));
+            items.forEach((item, i) => item.resolve({
+                ...results[i],
+                features: item.features,
+                latency: finishedAt - item.enqueuedAt,
+                queueWait: startedAt - item.enqueuedAt,
+                batchSize: items.length
+            }));
+        } catch (e) {
+            items.forEach(item => item.reject(e));
+        } finally {
+            this.batchRunning = false;
+            this._scheduleBatch();
+        }
+    }
+
+    _recordBatch(items, startedAt, finishedAt) {
+        const stats = this.batchStats;
+        const record = (series, value) => {
+            series.total += value;
+            series.recent.push(value);
+            if (series.recent.length > 100) series.recent.shift();
+        };
+        stats.batches++;
+        stats.items += items.length;
+        stats.capacity += this.batching.maxSize;
+        for (const item of items) {
+            record(stats.queueWait, startedAt - item.enqueuedAt);
+            record(stats.itemLatency, finishedAt - item.enqueuedAt);
+        }
+    }
+
+    /**
+     * Micro-batching metrics: fill rate (items per batch / maxSize), queue
+     * wait and per-item latency (enqueue → result)
+     */
+    getBatchStats() {
+        const { batches, items, capacity, queueWait, itemLatency } = this.batchStats;
+        return {
+            ...this.batching,
+            batches,
+            items,
+            queued: this.batchQueue.length,
+            fillRate: capacity > 0 ? items / capacity : 0,
+            avgQueueWaitMs: items > 0 ? queueWait.total / items : 0,
+            p95QueueWaitMs: items > 0 ? NPUBridge._percentile(queueWait.recent, 95) : 0,
+            avgItemLatencyMs: items > 0 ? itemLatency.total / items : 0,
+            p95ItemLatencyMs: items > 0 ? NPUBridge._percentile(itemLatency.recent, 95) : 0
         };
     }
 
@@ -403,126 +1093,171 @@ class NPUBridge {
     // ==========================================
 
     /**
-     * Run complete benchmark suite comparing NPU vs GPU vs CPU vs JS
-     * @returns {Object} Benchmark results with all timings and speedups
+     * Run the benchmark suite: named scenarios timed on procedural frame
+     * fixtures with a known cut pattern. Every input follows from the seed,
+     * so runs with the same seed time the same work and can be compared.
+     * @param {number} iterations - Timed runs per scenario (fewer for whole frames)
+     * @param {number} seed - Fixture seed
+     * @returns {Object} { completed, seed, iterations, timestamp, backend, fixture, scenarios, speedups }
      */
-    async runBenchmarks(iterations = 50) {
-        console.log(`[Neuro-Fade] Starting benchmark suite (${iterations} iterations)...`);
-
-        // Generate test data (random histograms simulating real frames)
-        const testPairs = [];
-        for (let i = 0; i < iterations; i++) {
-            const h1 = new Float32Array(48).map(() => Math.random());
-            const h2 = new Float32Array(48).map(() => Math.random());
-            // Normalize
-            const sum1 = h1.reduce((a, b) => a + b, 0);
-            const sum2 = h2.reduce((a, b) => a + b, 0);
-            h1.forEach((_, j) => h1[j] /= sum1);
-            h2.forEach((_, j) => h2[j] /= sum2);
-            testPairs.push({ h1, h2 });
-        }
-
-        const results = {};
-
-        // 1. Pure JavaScript benchmark (baseline)
-        {
+    async runBenchmarks(iterations = 50, seed = NPUBridge.BENCHMARK_SEED) {
+        console.log(`[Neuro-Fade] Starting benchmark suite (${iterations} iterations, seed ${seed})...`);
+
+        const fixture = NPUBridge.benchmarkFixture(160, 90, seed);
+        const frameRuns = Math.max(1, Math.min(iterations, 20));
+        const scenarios = [];
+        const record = (scenario, label, backend, times) => scenarios.push({
+            id: `${scenario}/${backend}`,
+            scenario,
+            label,
+            backend,
+            runs: times.length,
+            avgMs: this._avg(times),
+            minMs: Math.min(...times),
+            maxMs: Math.max(...times),
+            medianMs: this._median(times),
+            p95Ms: NPUBridge._percentile(times, 95),
+            totalMs: times.reduce((a, b) => a + b, 0)
+        });
+        const time = async (runs, work) => {
+            await work(0); // Warm-up, untimed
             const times = [];
-            for (const { h1, h2 } of testPairs) {
+            for (let i = 0; i < runs; i++) {
                 const start = performance.now();
-                this._jsHistogramDistance(h1, h2);
+                await work(i);
                 times.push(performance.now() - start);
             }
-            results.js = {
-                label: 'JavaScript (Baseline)',
-                avgMs: this._avg(times),
-                minMs: Math.min(...times),
-                maxMs: Math.max(...times),
-                medianMs: this._median(times),
-                p95Ms: this._percentile(times, 95),
-                totalMs: times.reduce((a, b) => a + b, 0)
+            return times;
+        };
+
+        // 1. Histogram distance between consecutive fixture frames (cuts included)
+        {
+            const processor = NPUBridge._frameProcessor(fixture.width, fixture.height);
+            const histograms = fixture.frames.map(frame => processor.process(frame.data).histogram);
+            const weights = NPUBridge._uniformWeights(histograms[0].length);
+            const pair = (i) => {
+                const k = i % (histograms.length - 1);
+                return [histograms[k], histograms[k + 1]];
             };
-        }
 
-        // 2. WebNN benchmark (if available)
-        if (this.graph && this.context) {
-            const times = [];
-            for (const { h1, h2 } of testPairs) {
-                const start = performance.now();
-                try {
+            record('distance', 'Histogram Distance', 'js',
+                await time(iterations, (i) => this._jsHistogramDistance(...pair(i), weights)));
+            if (this.graph && this.context) {
+                record('distance', 'Histogram Distance', this.backend, await time(iterations, async (i) => {
+                    const [h1, h2] = pair(i);
                     await this.graph.compute(
-                        { histogram1: h1, histogram2: h2 },
+                        { histogram1: h1, histogram2: h2, weights },
                         { distance: new Float32Array(1) }
                     );
-                } catch (e) {
-                    // Use JS fallback timing
-                    this._jsHistogramDistance(h1, h2);
-                }
-                times.push(performance.now() - start);
+                }));
             }
+        }
 
-            const backendLabel = this.backend === 'npu' ? 'AMD NPU (WebNN)'
-                : this.backend === 'gpu' ? 'GPU (WebNN)'
-                    : 'CPU (WebNN)';
-
-            results.webnn = {
-                label: backendLabel,
-                avgMs: this._avg(times),
-                minMs: Math.min(...times),
-                maxMs: Math.max(...times),
-                medianMs: this._median(times),
-                p95Ms: this._percentile(times, 95),
-                totalMs: times.reduce((a, b) => a + b, 0)
-            };
+        // 2. The live frame pipeline (FrameProcessor: crop, overlay mask,
+        // shot boundaries, motion, flash transitions) per resolution
+        for (const [width, height] of NPUBridge.BENCHMARK_RESOLUTIONS) {
+            const { frames } = NPUBridge.benchmarkFixture(width, height, seed);
+            const processor = NPUBridge._frameProcessor(width, height);
+            record(`frame-${width}x${height}`, `Frame Analysis ${width}×${height}`, 'js',
+                await time(frameRuns, (i) => processor.process(frames[i % frames.length].data)));
         }
 
-        // 3. Content classification benchmark
+        // 3. Content classification, one frame per call
         {
-            // Create a small test frame
-            const testFrame = new ImageData(80, 45);
-            for (let i = 0; i < testFrame.data.length; i += 4) {
-                testFrame.data[i] = Math.random() * 255;
-                testFrame.data[i + 1] = Math.random() * 255;
-                testFrame.data[i + 2] = Math.random() * 255;
-                testFrame.data[i + 3] = 255;
-            }
+            let backend = null;
+            const times = await time(frameRuns, async (i) => {
+                ({ backend } = await this.classifyContent(fixture.frames[i % fixture.frames.length]));
+            });
+            record('classify', 'Content Classification', backend, times);
+        }
 
+        // 4. Batched content classification: full batches, time per frame
+        {
+            const size = this.batching.maxSize;
+            let backend = null;
             const times = [];
-            for (let i = 0; i < Math.min(iterations, 20); i++) {
+            for (let i = 0; times.length < frameRuns; i += size) {
                 const start = performance.now();
-                this._extractContentFeatures(testFrame);
-                times.push(performance.now() - start);
+                const results = await Promise.all(Array.from({ length: size },
+                    (_, k) => this.classifyBatched(fixture.frames[(i + k) % fixture.frames.length])));
+                const perFrame = (performance.now() - start) / size;
+                backend = results[0].backend;
+                for (let k = 0; k < size; k++) times.push(perFrame);
             }
-
-            results.classify = {
-                label: 'Content Classification',
-                avgMs: this._avg(times),
-                minMs: Math.min(...times),
-                maxMs: Math.max(...times),
-                medianMs: this._median(times),
-                p95Ms: this._percentile(times, 95),
-                totalMs: times.reduce((a, b) => a + b, 0)
-            };
-        }
-
-        // Calculate speedups
-        if (results.webnn && results.js) {
-            results.speedup = {
-                factor: results.js.avgMs / Math.max(results.webnn.avgMs, 0.001),
-                percentage: ((results.js.avgMs - results.webnn.avgMs) / results.js.avgMs * 100)
-            };
+            record('classify-batched', `Batched Classification (×${size})`, backend, times);
         }
 
         this.benchmarks = {
             completed: true,
+            seed,
             iterations,
             timestamp: Date.now(),
-            ...results
+            backend: this.backend,
+            fixture: { width: fixture.width, height: fixture.height, frames: fixture.frames.length, cuts: fixture.cuts },
+            scenarios,
+            speedups: NPUBridge._speedups(scenarios)
         };
 
         console.log('[Neuro-Fade] Benchmark complete:', this.benchmarks);
+        if (this.capabilities) {
+            this.capabilities.benchmark = this.benchmarks;
+            await this._saveCapabilities();
+        }
         return this.benchmarks;
     }
 
+    /**
+     * Speedup of the accelerated backend over JavaScript, per scenario that ran both
+     * @returns {Object} { [scenario]: { backend, factor, percentage } }
+     */
+    static _speedups(scenarios) {
+        const speedups = {};
+        for (const row of scenarios) {
+            const js = scenarios.find(s => s.scenario === row.scenario && s.backend === 'js');
+            if (!js || row === js || row.backend === 'heuristic') continue;
+            speedups[row.scenario] = {
+                backend: row.backend,
+                factor: js.avgMs / Math.max(row.avgMs, 0.001),
+                percentage: (js.avgMs - row.avgMs) / js.avgMs * 100
+            };
+        }
+        return speedups;
+    }
+
+    /**
+     * Benchmark results as CSV, one row per scenario and backend
+     */
+    static benchmarkToCSV(results) {
+        const columns = ['scenario', 'backend', 'runs', 'avgMs', 'medianMs', 'p95Ms', 'minMs', 'maxMs', 'totalMs'];
+        const lines = [['timestamp', 'seed', 'iterations', ...columns].join(',')];
+        const timestamp = new Date(results.timestamp).toISOString();
+        for (const row of results.scenarios) {
+            lines.push([timestamp, results.seed, results.iterations,
+                ...columns.map(c => typeof row[c] === 'number' && !Number.isInteger(row[c]) ? row[c].toFixed(4) : row[c])
+            ].join(','));
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Average-time change of each scenario row against an earlier run
+     * @returns {Object[]} { id, label, backend, avgMs, previousAvgMs, change } — change
+     *   is the relative difference (negative = faster), null without a previous row
+     */
+    static compareBenchmarks(current, previous) {
+        return current.scenarios.map(row => {
+            const before = previous ? previous.scenarios.find(s => s.id === row.id) : null;
+            return {
+                id: row.id,
+                label: row.label,
+                backend: row.backend,
+                avgMs: row.avgMs,
+                previousAvgMs: before ? before.avgMs : null,
+                change: before ? (row.avgMs - before.avgMs) / before.avgMs : null
+            };
+        });
+    }
+
     // ==========================================
     // WebNN Graph & Inference
     // ==========================================
@@ -535,30 +1270,25 @@ class NPUBridge {
 
         try {
             const builder = new MLGraphBuilder(this.context);
+            const bins = window.NEURO_FADE_CONSTANTS.SCENE_CUT.HISTOGRAM_BINS * 3; // H, S, V
+            const desc = NPUBridge._operandDescriptor('float32', [1, bins]);
 
-            // Input: two flattened histogram tensors (48 bins each: 16R + 16G + 16B)
-            const hist1 = builder.input('histogram1', {
-                dataType: 'float32',
-                dimensions: [1, 48]
-            });
-            const hist2 = builder.input('histogram2', {
-                dataType: 'float32',
-                dimensions: [1, 48]
-            });
+            // Input: two flattened HSV histogram tensors
+            const hist1 = builder.input('histogram1', desc);
+            const hist2 = builder.input('histogram2', desc);
+            // Per-bin weights (uniform 1/bins = mean over bins)
+            const weights = builder.input('weights', desc);
 
-            // Chi-squared distance: sum((h1 - h2)^2 / (h1 + h2 + epsilon))
+            // Chi-squared distance: sum(w * (h1 - h2)^2 / (h1 + h2 + epsilon))
             const diff = builder.sub(hist1, hist2);
             const diffSquared = builder.mul(diff, diff);
             const sum = builder.add(hist1, hist2);
-            const epsilon = builder.constant(
-                { dataType: 'float32', dimensions: [1, 48] },
-                new Float32Array(48).fill(1e-10)
-            );
+            const epsilon = builder.constant(desc, new Float32Array(bins).fill(1e-10));
             const denominator = builder.add(sum, epsilon);
-            const chiTerms = builder.div(diffSquared, denominator);
+            const chiTerms = builder.mul(builder.div(diffSquared, denominator), weights);
 
             // Reduce sum
-            const distance = builder.reduceMean(chiTerms, { axes: [1] });
+            const distance = builder.reduceSum(chiTerms, { axes: [1] });
 
             this.graph = await builder.build({ distance });
             console.log('[Neuro-Fade] WebNN scene-cut graph built on', this.backend);
@@ -568,46 +1298,174 @@ class NPUBridge {
         }
     }
 
+    /**
+     * WebNN operand descriptor (`dimensions` was renamed `shape`)
+     */
+    static _operandDescriptor(dataType, shape) {
+        return { dataType, dimensions: shape, shape };
+    }
+
     /**
      * Run scene-cut detection on two histograms
+     * @param {Float32Array} [weights] - Per-bin weights of the chi-squared
+     *   terms (default: mean over bins)
      */
-    async computeHistogramDistance(hist1, hist2) {
+    async computeHistogramDistance(hist1, hist2, weights = NPUBridge._uniformWeights(hist1.length)) {
         const startTime = performance.now();
         let distance;
+        let backend = 'js';
 
         if (this.graph) {
             try {
                 const results = await this.graph.compute(
-                    { histogram1: hist1, histogram2: hist2 },
+                    { histogram1: hist1, histogram2: hist2, weights },
                     { distance: new Float32Array(1) }
                 );
                 distance = results.distance[0];
+                backend = this.backend;
             } catch (e) {
-                distance = this._jsHistogramDistance(hist1, hist2);
+                this.fallbacks.histogram++;
+                distance = this._jsHistogramDistance(hist1, hist2, weights);
             }
         } else {
-            distance = this._jsHistogramDistance(hist1, hist2);
+            distance = this._jsHistogramDistance(hist1, hist2, weights);
         }
 
-        const latency = performance.now() - startTime;
-        this.framesProcessed++;
-        this.totalLatency += latency;
-
+        this._recordInference(backend, performance.now() - startTime);
         return distance;
     }
 
     /**
      * Pure JavaScript histogram distance (fallback)
      */
-    _jsHistogramDistance(h1, h2) {
+    _jsHistogramDistance(h1, h2, weights = NPUBridge._uniformWeights(h1.length)) {
         let diff = 0;
         for (let i = 0; i < h1.length; i++) {
             const sum = h1[i] + h2[i];
             if (sum > 0) {
-                diff += ((h1[i] - h2[i]) ** 2) / sum;
+                diff += weights[i] * ((h1[i] - h2[i]) ** 2) / sum;
+            }
+        }
+        return diff;
+    }
+
+    static _uniformWeights(length) {
+        const cache = NPUBridge._uniform || (NPUBridge._uniform = new Map());
+        if (!cache.has(length)) cache.set(length, new Float32Array(length).fill(1 / length));
+        return cache.get(length);
+    }
+
+    /**
+     * Count one inference (a histogram distance or a classified frame) in
+     * framesProcessed and the latency of the backend that ran it
+     */
+    _recordInference(backend, latency) {
+        this.framesProcessed++;
+        this.totalLatency += latency;
+        this._recordLatency(backend, latency);
+    }
+
+    /**
+     * Track inference latency per backend (last 100 for percentiles)
+     */
+    _recordLatency(backend, latency) {
+        const stats = this.latencyStats[backend] ||
+            (this.latencyStats[backend] = { count: 0, total: 0, min: Infinity, max: 0, recent: [] });
+        stats.count++;
+        stats.total += latency;
+        stats.min = Math.min(stats.min, latency);
+        stats.max = Math.max(stats.max, latency);
+        stats.recent.push(latency);
+        if (stats.recent.length > 100) stats.recent.shift();
+    }
+
+    /**
+     * Latency per backend that ran inferences: { [backend]: { count, avgMs, p50Ms, p95Ms, minMs, maxMs } }
+     */
+    getLatencyStats() {
+        const result = {};
+        for (const [backend, stats] of Object.entries(this.latencyStats)) {
+            result[backend] = {
+                count: stats.count,
+                avgMs: stats.total / stats.count,
+                p50Ms: NPUBridge._percentile(stats.recent, 50),
+                p95Ms: NPUBridge._percentile(stats.recent, 95),
+                minMs: stats.min,
+                maxMs: stats.max
+            };
+        }
+        return result;
+    }
+
+    // ==========================================
+    // Frame Fixtures
+    // ==========================================
+
+    /**
+     * Procedural video clip for benchmarks: shots of 3-8 frames, each with
+     * its own palette, panning slowly, with noise. The shot plan depends
+     * only on the seed, so every resolution has the same cuts.
+     * @returns {Object} { width, height, seed, frames: [{ data, width, height }], cuts: [first frame of each new shot] }
+     */
+    static benchmarkFixture(width, height, seed = NPUBridge.BENCHMARK_SEED, length = 24) {
+        const plan = NPUBridge._random(seed);
+        const noise = NPUBridge._random(seed + 1);
+        const frames = [];
+        const cuts = [];
+        let palette = null;
+        let remaining = 0;
+        let shift = 0;
+
+        for (let i = 0; i < length; i++) {
+            if (remaining === 0) {
+                palette = NPUBridge._palette(plan);
+                remaining = 3 + Math.floor(plan() * 6);
+                shift = 0;
+                if (i > 0) cuts.push(i);
             }
+            frames.push(NPUBridge._drawFrame(width, height, palette, shift, noise));
+            shift += 0.25;
+            remaining--;
         }
-        return diff / h1.length;
+        return { width, height, seed, frames, cuts };
+    }
+
+    /**
+     * A fresh FrameProcessor, as the frame worker runs it, for one frame size
+     */
+    static _frameProcessor(width, height) {
+        const C = window.NEURO_FADE_CONSTANTS;
+        return new FrameProcessor({ width, height, sceneCut: C.SCENE_CUT, flash: C.FLASH });
+    }
+
+    static _drawFrame(width, height, palette, shift, random) {
+        const data = new Uint8ClampedArray(width * height * 4);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = (y * width + x) * 4;
+                // 16 x 12 blocks at any resolution, panned by `shift` blocks
+                const block = Math.floor(x / width * 16 + shift) + Math.floor(y / height * 12);
+                const color = palette[block % palette.length];
+                const noise = random() * 24 - 12;
+                data[i] = color[0] + noise;
+                data[i + 1] = color[1] * (x / width) + noise;
+                data[i + 2] = color[2] + noise;
+                data[i + 3] = 255;
+            }
+        }
+        return { data, width, height };
+    }
+
+    static _palette(random) {
+        return Array.from({ length: 6 }, () => [random() * 255, random() * 255, random() * 255]);
+    }
+
+    /**
+     * Seeded pseudo-random numbers in [0, 1) (Park–Miller)
+     */
+    static _random(seed) {
+        let state = Math.max(1, Math.floor(seed) % 2147483647);
+        return () => (state = (state * 16807) % 2147483647) / 2147483647;
     }
 
     // ==========================================
@@ -624,7 +1482,7 @@ class NPUBridge {
         return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
     }
 
-    _percentile(arr, p) {
+    static _percentile(arr, p) {
         const sorted = [...arr].sort((a, b) => a - b);
         const index = Math.ceil((p / 100) * sorted.length) - 1;
         return sorted[index];
@@ -639,38 +1497,164 @@ class NPUBridge {
             benchmarks: this.benchmarks,
             runtime: {
                 backend: this.backend,
+                policy: this.policy,
                 available: this.available,
                 framesProcessed: this.framesProcessed,
                 avgLatency: this.framesProcessed > 0
                     ? (this.totalLatency / this.framesProcessed).toFixed(2) + 'ms'
                     : '-',
                 totalLatency: this.totalLatency.toFixed(1) + 'ms',
+                latencyByBackend: this.getLatencyStats(),
                 onnxAvailable: this.onnxAvailable,
+                model: this.getModelStatus(),
+                batching: this.getBatchStats(),
                 webnnGraph: this.graph !== null
             }
         };
     }
 
+    /**
+     * Live metrics each tab reports to the dashboard (through the service
+     * worker): frames processed, latency per backend with the recent samples
+     * its percentiles come from, and inferences that fell back
+     */
     getMetrics() {
+        const latency = {};
+        for (const [backend, stats] of Object.entries(this.latencyStats)) {
+            latency[backend] = {
+                count: stats.count,
+                totalMs: stats.total,
+                minMs: stats.min,
+                maxMs: stats.max,
+                recent: stats.recent.slice()
+            };
+        }
         return {
             backend: this.backend,
             available: this.available,
+            policy: this.policy,
             framesProcessed: this.framesProcessed,
-            avgLatency: this.framesProcessed > 0
-                ? (this.totalLatency / this.framesProcessed).toFixed(2) + 'ms'
-                : '-',
-            totalLatency: this.totalLatency.toFixed(1) + 'ms'
+            totalLatencyMs: this.totalLatency,
+            latency,
+            fallbacks: { ...this.fallbacks, model: this.model.failures }
+        };
+    }
+
+    /**
+     * Backend a bridge's inferences run on: its WebNN device, or 'js' without one
+     * @param {Object} metrics - getMetrics() result
+     */
+    static activeBackend(metrics) {
+        return metrics.available ? metrics.backend : 'js';
+    }
+
+    /**
+     * Combine getMetrics() of several bridges (tabs): totals are summed, and
+     * percentiles are taken over the recent samples of all of them
+     * @param {Object[]} metricsList - getMetrics() results
+     * @returns {Object} { bridges, framesProcessed, backends: { [activeBackend]: bridges },
+     *   latency: { count, avgMs, p50Ms, p95Ms, p99Ms } | null, byBackend, fallbacks: { ..., total } }
+     */
+    static aggregateMetrics(metricsList) {
+        const summarize = (count, totalMs, recent) => count > 0 ? {
+            count,
+            avgMs: totalMs / count,
+            p50Ms: NPUBridge._percentile(recent, 50),
+            p95Ms: NPUBridge._percentile(recent, 95),
+            p99Ms: NPUBridge._percentile(recent, 99)
+        } : null;
+
+        const backends = {};
+        const perBackend = {};
+        const all = { count: 0, totalMs: 0, recent: [] };
+        const fallbacks = { histogram: 0, model: 0, total: 0 };
+        let framesProcessed = 0;
+        for (const metrics of metricsList) {
+            const backend = NPUBridge.activeBackend(metrics);
+            backends[backend] = (backends[backend] || 0) + 1;
+            framesProcessed += metrics.framesProcessed;
+            for (const [backend, l] of Object.entries(metrics.latency)) {
+                const merged = perBackend[backend] || (perBackend[backend] = { count: 0, totalMs: 0, recent: [] });
+                for (const target of [merged, all]) {
+                    target.count += l.count;
+                    target.totalMs += l.totalMs;
+                    target.recent.push(...l.recent);
+                }
+            }
+            for (const [kind, count] of Object.entries(metrics.fallbacks)) {
+                fallbacks[kind] = (fallbacks[kind] || 0) + count;
+                fallbacks.total += count;
+            }
+        }
+
+        const byBackend = {};
+        for (const [backend, m] of Object.entries(perBackend)) {
+            byBackend[backend] = summarize(m.count, m.totalMs, m.recent);
+        }
+        return {
+            bridges: metricsList.length,
+            framesProcessed,
+            backends,
+            latency: summarize(all.count, all.totalMs, all.recent),
+            byBackend,
+            fallbacks
+        };
+    }
+
+    /**
+     * Fresh state of the packaged content classifier
+     */
+    static _modelState() {
+        return {
+            status: 'not-loaded',   // 'not-loaded' | 'loading' | 'ready' | 'no-runtime' | 'disabled' | 'failed'
+            manifest: null,
+            executionProviders: [],
+            error: null,
+            failures: 0             // Inferences that fell back to the heuristic
         };
     }
 
     getStatusString() {
-        if (this.backend === 'npu') return 'AMD NPU Active ⚡';
+        if (this.backend === 'npu') return 'NPU Active ⚡';
         if (this.backend === 'gpu') return 'GPU Accelerated';
         if (this.available) return 'CPU (WebNN)';
         return 'CPU (JavaScript)';
     }
 }
 
+// Backend policies: WebNN devices tried in order (ONNX Runtime follows, see _executionProviders)
+NPUBridge.POLICIES = {
+    auto: { label: 'Auto', devices: ['npu', 'gpu', 'cpu'] },
+    npu: { label: 'Force NPU', devices: ['npu'] },
+    gpu: { label: 'Force GPU', devices: ['gpu'] },
+    wasm: { label: 'CPU / WASM only', devices: ['cpu'] },
+    js: { label: 'JavaScript only', devices: [] }
+};
+NPUBridge.DEVICE_LABELS = { npu: 'NPU', gpu: 'GPU', cpu: 'CPU WebNN' };
+NPUBridge.CAPABILITY_FORMAT = 3; // Bump when the cached capability shape changes
+// Devices that failed are probed again after AFTER ms, doubling per failure in a row up to MAX
+NPUBridge.DEVICE_RETRY = { AFTER: 10 * 60 * 1000, MAX: 7 * 24 * 60 * 60 * 1000 };
+// Throughput measurement: at least MIN_RUNS frames, then until BUDGET ms or MAX_RUNS
+NPUBridge.THROUGHPUT = { MIN_RUNS: 3, MAX_RUNS: 100, BUDGET: 30 };
+NPUBridge.IDLE_DETECTION_TIMEOUT = 10000; // Content scripts measure by then even if the page never idles
+// Vendor names as they appear in adapter / driver strings
+NPUBridge.GPU_VENDORS = [
+    ['AMD', /\b(amd|ati|radeon)\b/],
+    ['NVIDIA', /\b(nvidia|geforce|quadro)\b/],
+    ['Intel', /\bintel\b/],
+    ['Apple', /\bapple\b/],
+    ['Qualcomm', /\b(qualcomm|adreno)\b/],
+    ['ARM', /\b(arm|mali)\b/]
+];
+// Personal model junk probabilities at or beyond which it says high_dopamine / calming
+NPUBridge.PERSONAL_THRESHOLDS = { JUNK: 0.65, FINE: 0.35 };
+NPUBridge.BATCH_DEFAULTS = { maxSize: 4, maxLatency: 30 }; // See configureBatching; content scripts use INFERENCE.BATCH_*
+NPUBridge.BENCHMARK_SEED = 1;
+NPUBridge.BENCHMARK_RESOLUTIONS = [[80, 45], [160, 90], [320, 180]]; // Frame analysis scenarios
+NPUBridge.MODEL_MANIFEST = 'src/models/content-classifier.json';
+NPUBridge.ORT_DIR = 'src/vendor/onnxruntime-web/'; // Generated by npm install (scripts/vendor-ort.js)
+NPUBridge.ORT_MODULE = 'ort.webgpu.min.mjs';
+
 // Export
 if (typeof window !== 'undefined') {
     window.NPUBridge = NPUBridge;
@@ -9,7 +9,8 @@ const MESSAGES = {
     SET_SENSITIVITY: 'nf_set_sensitivity',
     BREATHE: 'nf_breathe',
     UPDATE_SCORE: 'nf_update_score',
-    OPEN_DASHBOARD: 'nf_open_dashboard'
+    OPEN_DASHBOARD: 'nf_open_dashboard',
+    LABEL_MOMENT: 'nf_label_moment'
 };
 
 // DOM Elements
@@ -30,6 +31,10 @@ const audioBar = document.getElementById('audioBar');
 const audioValue = document.getElementById('audioValue');
 const speedBar = document.getElementById('speedBar');
 const speedValue = document.getElementById('speedValue');
+const signalsList = document.getElementById('signalsList');
+const wpmLabel = document.getElementById('wpmLabel');
+const globalLabel = document.getElementById('globalLabel');
+const labelStatus = document.getElementById('labelStatus');
 
 const GAUGE_TOTAL = 251.3; // Arc circumference
 
@@ -100,7 +105,8 @@ function updateUI(data) {
 
     // Platform label
     if (detector.platform) {
-        platformLabel.textContent = `Monitoring ${detector.platform}`;
+        const mode = detector.feedMode === 'shortForm' ? ' · Short-form feed' : '';
+        platformLabel.textContent = `Monitoring ${detector.platform}${mode}`;
     }
 
     // Status text
@@ -131,6 +137,49 @@ function updateUI(data) {
     const slowdown = Math.round((1 - rate) * 1000) / 10;
     speedBar.style.width = (slowdown / 15 * 100) + '%';
     speedValue.textContent = rate.toFixed(2) + 'x';
+
+    // Caption speech rate
+    const wpm = data.details?.wpm;
+    wpmLabel.textContent = wpm != null ? `🗣️ ${Math.round(wpm)} words/min` : '';
+
+    // Cross-tab fragmentation (only worth showing when it drives the fade)
+    const globalScore = data.globalScore || 0;
+    globalLabel.textContent = globalScore > score ? `🔀 Tab hopping: ${globalScore}` : '';
+
+    // Per-signal breakdown
+    if (data.details?.signals) renderSignals(data.details.signals);
+}
+
+/**
+ * Render one meter row per registered detector signal
+ */
+function renderSignals(signals) {
+    for (const [name, signal] of Object.entries(signals)) {
+        let row = signalsList.querySelector(`[data-signal="${name}"]`);
+        if (!row) {
+            row = document.createElement('div');
+            row.className = 'effect-row';
+            row.dataset.signal = name;
+            row.innerHTML = `
+        <span class="effect-label"></span>
+        <div class="effect-bar"><div class="effect-fill signal"></div></div>
+        <span class="effect-value"></span>
+      `;
+            row.querySelector('.effect-label').textContent = signal.label;
+            signalsList.appendChild(row);
+        }
+
+        const value = Math.round(signal.value);
+        row.classList.toggle('signal-disabled', !signal.enabled || signal.hasData === false);
+        row.title = `${signal.label} — weight ${Math.round(signal.weight * 100)}%`;
+        row.querySelector('.effect-fill').style.width = value + '%';
+        row.querySelector('.effect-value').textContent = value;
+    }
+
+    // Drop rows for signals that are no longer registered
+    for (const row of [...signalsList.children]) {
+        if (!(row.dataset.signal in signals)) row.remove();
+    }
 }
 
 /**
@@ -225,6 +274,24 @@ breatheBtn.addEventListener('click', async () => {
     }
 });
 
+// Label the current moment junk / fine (training data for a personal model)
+document.querySelectorAll('.btn-label').forEach(btn => {
+    btn.addEventListener('click', async () => {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        if (!tab?.id) return;
+
+        chrome.tabs.sendMessage(tab.id, { type: MESSAGES.LABEL_MOMENT, label: btn.dataset.label }, (response) => {
+            if (chrome.runtime.lastError || !response) {
+                labelStatus.textContent = 'Not on a supported site';
+            } else if (response.ok) {
+                labelStatus.textContent = `Saved as ${btn.dataset.label} · ${response.count} labelled moments`;
+            } else {
+                labelStatus.textContent = response.error;
+            }
+        });
+    });
+});
+
 dashboardBtn.addEventListener('click', () => {
     chrome.runtime.sendMessage({ type: MESSAGES.OPEN_DASHBOARD });
 });
@@ -5,12 +5,26 @@
 
 const NEURO_FADE_CONSTANTS = {
   // Supported platforms and their selectors
+  // `routes` classifies SPA routes by pathname (checked in ROUTES.TYPES order).
+  // `shortFormPaths` / `shortsSelector` / `reelsSelector` identify vertical
+  // short-form feeds (see SCORING_PROFILES).
+  // `captionSelector` reads player-rendered captions when text tracks aren't exposed.
+  // Optional `signals` entry overrides score signals per platform:
+  //   signals: { scrollVelocity: { weight: 0.4 }, videoCount: { enabled: false } }
   PLATFORMS: {
     'youtube.com': {
       name: 'YouTube',
       videoSelector: 'video',
       scrollContainer: '#content, ytd-rich-grid-renderer, ytd-section-list-renderer',
       shortsSelector: 'ytd-reel-video-renderer video, ytd-shorts video',
+      captionSelector: '.ytp-caption-window-container .ytp-caption-segment',
+      shortFormPaths: [/^\/shorts\//],
+      routes: {
+        search: [/^\/results/],
+        watch: [/^\/watch/, /^\/live\//],
+        feed: [/^\/$/, /^\/feed\//, /^\/shorts\//],
+        profile: [/^\/@/, /^\/(c|channel|user)\//]
+      },
       icon: '🎬'
     },
     'instagram.com': {
@@ -18,30 +32,61 @@ const NEURO_FADE_CONSTANTS = {
       videoSelector: 'video',
       scrollContainer: 'main, article',
       reelsSelector: 'div[role="presentation"] video',
+      shortFormPaths: [/^\/reels?\//],
+      routes: {
+        search: [/^\/explore\/search/],
+        watch: [/^\/p\//],
+        feed: [/^\/$/, /^\/reels?\//, /^\/explore\//],
+        profile: [/^\/[^/]+\/?$/]
+      },
       icon: '📸'
     },
     'tiktok.com': {
       name: 'TikTok',
       videoSelector: 'video',
       scrollContainer: '#app, .tiktok-feed',
+      shortFormPaths: [/^\/$/, /^\/(foryou|following|explore)/, /\/video\//],
+      routes: {
+        search: [/^\/search/],
+        feed: [/^\/$/, /^\/(foryou|following|explore)/, /\/video\//],
+        profile: [/^\/@[^/]+\/?$/]
+      },
       icon: '🎵'
     },
     'twitter.com': {
       name: 'Twitter/X',
       videoSelector: 'video',
       scrollContainer: 'main, [data-testid="primaryColumn"]',
+      routes: {
+        search: [/^\/search/],
+        watch: [/\/status\//],
+        feed: [/^\/$/, /^\/(home|explore)/],
+        profile: [/^\/[^/]+\/?$/]
+      },
       icon: '🐦'
     },
     'x.com': {
       name: 'Twitter/X',
       videoSelector: 'video',
       scrollContainer: 'main, [data-testid="primaryColumn"]',
+      routes: {
+        search: [/^\/search/],
+        watch: [/\/status\//],
+        feed: [/^\/$/, /^\/(home|explore)/],
+        profile: [/^\/[^/]+\/?$/]
+      },
       icon: '🐦'
     },
     'reddit.com': {
       name: 'Reddit',
       videoSelector: 'video, shreddit-player video',
       scrollContainer: 'main, .ListingLayout-outerContainer',
+      routes: {
+        search: [/^\/search/, /\/search\//],
+        watch: [/\/comments\//],
+        feed: [/^\/$/, /^\/(best|hot|new|top|rising)\b/, /^\/r\/[^/]+\/?$/],
+        profile: [/^\/(u|user)\//]
+      },
       icon: '🤖'
     }
   },
@@ -54,15 +99,78 @@ const NEURO_FADE_CONSTANTS = {
     CRITICAL: 85    // Full fade engagement
   },
 
+  // Scoring profiles per feed mode. `signals` overrides are applied on top
+  // of the platform's; `thresholds` replaces THRESHOLDS when set.
+  SCORING_PROFILES: {
+    longForm: {
+      signals: {}
+    },
+    shortForm: {
+      // Every short cuts fast by design — the binge itself is the signal
+      signals: {
+        sceneCuts: { weight: 0.15 },
+        timeOnPage: { weight: 0.25 },
+        swipeSkips: { weight: 0.40 },
+        feedAdvance: { weight: 0.30 },
+        videoCount: { enabled: false }
+      },
+      thresholds: {
+        LOW: 20,
+        MODERATE: 35,
+        HIGH: 55,
+        CRITICAL: 75
+      }
+    }
+  },
+
   // Timing configuration (milliseconds)
   TIMING: {
-    FRAME_SAMPLE_INTERVAL: 500,     // How often to sample video frames
+    FRAME_SAMPLE_INTERVAL: 500,     // Initial frame sample interval (adapts, see FRAME_SAMPLING)
     SCROLL_CHECK_INTERVAL: 200,     // How often to check scroll patterns
     SCORE_UPDATE_INTERVAL: 1000,    // How often to recalculate dopamine score
     FADE_TRANSITION_STEP: 50,       // Transition smoothness (ms per step)
     MIN_WATCH_TIME: 5000,           // Min time before analysis starts (ms)
     COOLDOWN_PERIOD: 30000,         // Cooldown after user pauses/stops
-    SCENE_CUT_WINDOW: 3000          // Window for measuring scene-cut frequency
+    SCENE_CUT_WINDOW: 3000,         // Window for measuring scene-cut frequency
+    ROUTE_POLL_INTERVAL: 1000,      // URL polling fallback for SPA navigation
+    AUDIO_SAMPLE_INTERVAL: 100      // How often to sample audio stimulation
+  },
+
+  // Audio stimulation analysis
+  AUDIO: {
+    FFT_SIZE: 1024,
+    WINDOW: 5000,               // Analysis window for rates and loudness stats
+    FLOOR_DB: -100,             // dBFS floor for digital silence
+    SILENCE_DB: -60,            // Below this a sample counts as silent
+    MIN_SAMPLES: 10,            // Audible samples needed before reporting
+    HISTORY_SAMPLES: 10,        // Recent samples for onset / spike baselines
+    ONSET_SENSITIVITY: 1.5,     // Flux std-devs above mean = onset
+    MIN_ONSET_FLUX: 2,          // Ignore flux changes in near-silence
+    MIN_ONSET_GAP: 150,         // ms between onsets
+    SPIKE_DB: 10,               // dB jump above recent level = spike
+    MIN_SPIKE_GAP: 1000,        // ms between spikes
+    QUIET_DB: -40,              // Loudness normalization range
+    LOUD_DB: -10,
+    HIGH_LOUDNESS_STD: 8,       // dB std-dev = highly dynamic mix
+    HIGH_ONSET_RATE: 4,         // Onsets per second = hyper-edited sound
+    HIGH_SPIKE_RATE: 6          // Spikes per minute
+  },
+
+  // SPA route handling
+  ROUTES: {
+    TYPES: ['search', 'watch', 'feed', 'profile'],   // Match order; else 'other'
+    NAVIGATION_EVENTS: ['yt-navigate-finish'],       // Page-dispatched nav events
+    // Detector state reset when entering each route type:
+    //   time → session start, scroll → scroll/DOM/feed-advance history,
+    //   frames → frame analyzer, dwell → per-video dwell history.
+    // Navigating within the same route type only resets frames.
+    POLICIES: {
+      feed: ['frames'],                              // Feed hopping is one binge
+      watch: ['frames', 'scroll', 'dwell', 'time'],  // A fresh long-form video
+      search: ['frames', 'scroll'],
+      profile: ['frames', 'scroll'],
+      other: ['frames', 'scroll', 'dwell', 'time']
+    }
   },
 
   // Effect ranges
@@ -77,10 +185,105 @@ const NEURO_FADE_CONSTANTS = {
 
   // Scene-cut detection
   SCENE_CUT: {
-    HISTOGRAM_BINS: 16,
-    DIFF_THRESHOLD: 0.35,       // Histogram difference threshold for a "cut"
+    HISTOGRAM_BINS: 16,         // Per HSV channel
+    HSV_WEIGHTS: [0.4, 0.2, 0.4], // Hue, saturation, value in the histogram distance
+    HISTOGRAM_WEIGHT: 0.6,      // Histogram distance vs. edge change ratio
+    CUT_THRESHOLD: 0.3,         // Shot dissimilarity (0-1) for a boundary
+    GRADUAL_THRESHOLD: 0.12,    // Dissimilarity that opens a transition
+    GRADUAL_WINDOW: 4,          // Frames compared for slow changes (dissolves, fades)
+    MIN_HISTOGRAM_DIFF: 0.1,    // Boundaries must change colors, not just edges (camera motion)
+    MAX_TRANSITION_FRAMES: 12,  // Longest dissolve / fade judged as one transition
+    EDGE_THRESHOLD: 48,         // Luma gradient of an edge pixel
+    EDGE_DILATION: 1,           // px an edge may move and still match
+    MIN_EDGES: 0.01,            // Edge share below which the edge change ratio is unreliable
+    UNIFORM_STDDEV: 10,         // Luma spread of a blank (black / white) frame
+    BAR_LUMA: 32,               // Letterbox / pillarbox bars are darker than this
+    MIN_CONTENT_AREA: 0.4,      // Darker frames than this are left uncropped
+    CROP_STABLE_FRAMES: 5,      // Frames a new crop must hold before it is used
+    STATIC_DELTA: 6,            // Luma change below which a pixel counts as unchanged
+    OVERLAY_SURVIVALS: 3,       // Shot changes a pixel must survive to count as overlay
+    MAX_OVERLAY_AREA: 0.25,     // Share of the picture that may be masked as overlay
     HIGH_CUT_RATE: 8,           // Cuts per 10 seconds = high dopamine
-    MOTION_THRESHOLD: 0.25      // Frame motion threshold
+    MOTION_THRESHOLD: 0.25,     // Frame motion threshold
+    FRAME_WIDTH: 160,           // Frames are downscaled to this before analysis
+    FRAME_HEIGHT: 90,
+    MAX_FRAMES_IN_FLIGHT: 2,    // Captures awaiting the worker before new ones are skipped
+    STREAM_IDLE: 60000          // A video's analyzer state is dropped after this long without frames
+  },
+
+  // Accelerated shot-boundary decisions (NPUBridge histogram distance)
+  INFERENCE: {
+    MAX_IN_FLIGHT: 2,           // Histogram distances awaiting the accelerator; beyond this, JS decides
+    DEADLINE: 100,              // ms a judged frame waits for its accelerated result before JS decides
+    STATS_INTERVAL: 5000,       // Min ms between saving latency stats for the dashboard
+    // Tabs classify only the active video, one frame per CONTENT_CLASSIFY.INTERVAL,
+    // so frames never queue together: each runs right away. Full batches only
+    // happen where several frames are queued at once (the benchmark).
+    BATCH_SIZE: 1,              // Content classifications run together in one model run
+    BATCH_MAX_LATENCY: 0        // ms the first queued classification waits for the batch to fill
+  },
+
+  // Live per-tab NPUBridge metrics, relayed by the service worker
+  TELEMETRY: {
+    POLL_INTERVAL: 1000         // How often the open dashboard asks for them
+  },
+
+  // Dashboard benchmark suite (NPUBridge.runBenchmarks)
+  BENCHMARK: {
+    HISTORY_SIZE: 20            // Runs kept to compare against
+  },
+
+  // User-labelled moments for training a personal content model
+  TRAINING: {
+    LABELS: ['fine', 'junk'],   // Index = logistic regression target
+    MAX_SAMPLES: 2000           // Oldest labelled moments are dropped beyond this
+  },
+
+  // Visual intensity — NPUBridge.classifyContent on sampled frames
+  CONTENT_CLASSIFY: {
+    INTERVAL: 2000,             // Minimum ms between classified frames of a video
+    SMOOTHING: 6000,            // Time constant of the category confidence EMA (ms)
+    STALE_AFTER: 10000,         // No classification for this long = no data
+    FEATURES: [                 // Order of NPUBridge._extractContentFeatures' featureVector
+      'avgR', 'avgG', 'avgB',
+      'maxSaturation', 'maxBrightness', 'colorVariance',
+      'edgeDensity', 'avgBrightness',
+      'warmRatio', 'coolRatio'
+    ],
+    INTENSITY: {                // Categories (packaged model output order) and their intensity (0-1)
+      calming: 0,
+      moderate: 0.5,
+      high_dopamine: 1
+    }
+  },
+
+  // Photosensitive flash detection (WCAG 2.3.1 general and red flash thresholds)
+  FLASH: {
+    GRID: 8,                    // Frames are split into GRID × GRID cells
+    AREA_THRESHOLD: 0.25,       // Share of the frame that must change together
+    LUMINANCE_DELTA: 0.1,       // Relative luminance change for a transition
+    DARK_LUMINANCE: 0.8,        // ...when the darker state is below this
+    RED_RATIO: 0.8,             // R / (R + G + B) for saturated red
+    RED_DELTA: 20,              // Change in (R - G - B) × 320 for a red transition
+    MAX_FLASHES: 3,             // Flashes (opposing transition pairs) allowed per second
+    WINDOW: 1000,
+    SAMPLE_INTERVAL: 50,        // Sampling while a flash (opposing transition pair) is in the window
+    BUDGET_FACTOR: 4,           // ...which may spend up to this many times the CPU budget
+    HOLD: 3000,                 // Keep a video dimmed this long after flashing stops
+    DIM_BRIGHTNESS: 0.5,        // Protective dim applied instantly to a flagged video
+    DIM_CONTRAST: 0.5,
+    LOG_SIZE: 50                // Flagged videos kept for the dashboard
+  },
+
+  // Adaptive frame sampling — rate follows cut/motion activity within a CPU budget
+  FRAME_SAMPLING: {
+    MIN_INTERVAL: 100,          // Fastest sampling, to catch sub-second jump cuts
+    MAX_INTERVAL: 1500,         // Slowest sampling, for static video
+    CPU_BUDGET: 15,             // Default ms of analysis per second, per tab
+    BUDGET_WINDOW: 1000,        // Window for measuring analysis time and sample rate
+    MAX_BACKOFF: 4,             // Interval multiplier ceiling while over budget
+    BACKOFF_RECOVERY: 0.9,      // Back-off decay per sample once back under budget
+    LONG_TASK_THRESHOLD: 50     // Long-task time past this counts as page blocking
   },
 
   // Scroll analysis
@@ -91,13 +294,68 @@ const NEURO_FADE_CONSTANTS = {
     INFINITE_SCROLL_THRESHOLD: 20  // DOM height changes in window = infinite scroll
   },
 
+  // Feed advancement (items advanced per minute)
+  FEED_ADVANCE: {
+    WINDOW: 60000,              // Window for the per-minute rate
+    HIGH_RATE: 20,              // Items per minute = high dopamine
+    DEBOUNCE: 700,              // Sources firing within this count once
+    PAGE_FRACTION: 0.6,         // Container scroll distance (× height) = one item
+    WHEEL_MIN_DELTA: 30,        // Minimum wheel deltaY for a swipe
+    SWIPE_MIN_DISTANCE: 50,     // Minimum vertical touch travel (px)
+    ADVANCE_KEYS: ['ArrowDown', 'ArrowUp', 'PageDown', 'PageUp']
+  },
+
+  // Caption speech rate
+  CAPTIONS: {
+    WINDOW: 15000,              // Window for words-per-minute
+    MIN_OBSERVED: 5000,         // Captions seen this long before reporting
+    CALM_WPM: 130,              // Conversational pace
+    HIGH_WPM: 220,              // Wall-to-wall fast talking
+    HIGH_CHANGE_RATE: 40        // Caption changes per minute
+  },
+
+  // Per-video dwell tracking (swipe-skip detection)
+  DWELL: {
+    SKIP_THRESHOLD: 3000,       // Watched less than this before leaving = skip
+    CALM_DWELL: 20000,          // Median dwell at/above this counts as calm
+    HISTORY_WINDOW: 120000,     // Recent views considered for skip rate
+    MIN_VIEWS: 3                // Views needed before the signal reports
+  },
+
+  // Personal adaptive baseline, learned on the raw measurements behind the signals
+  BASELINE: {
+    MIN_SESSIONS: 3,            // Sessions learned before the baseline applies
+    MIN_SESSION_SAMPLES: 60,    // Score updates needed for a session to count
+    NEUTRAL_VALUE: 0.35,        // Where the user's mean maps (0-1)
+    HIGH_DEVIATIONS: 2,         // Standard deviations above the mean that map to 1
+    MIN_MEAN: 0.05,             // Floor of a learned mean, as a share of the global reference
+    MIN_STD: 0.1,               // Floor of a learned standard deviation, likewise
+    ALPHA_UP: 0.1,              // EMA rate when a session runs hotter than usual
+    ALPHA_DOWN: 0.3             // EMA rate when it runs calmer
+  },
+
+  // Record-and-replay traces of detector inputs
+  TRACE: {
+    FORMAT: 'neuro-fade-trace',
+    VERSION: 3,                 // Bump when event types or fields change
+                                // 2: video ids on 'frame', 'content' events, baseline measures
+                                // 3: 'playing' events (dwell starts on a video's first play)
+    MAX_EVENTS: 50000,          // Recording stops itself beyond this
+    REPLAY_FPS: 60              // Animation frames simulated per second of replay
+  },
+
   // Scoring weights
   SCORE_WEIGHTS: {
     SCENE_CUTS: 0.30,
     SCROLL_VELOCITY: 0.25,
     TIME_ON_PAGE: 0.20,
     CONTENT_CHANGES: 0.15,
-    VIDEO_COUNT: 0.10
+    VIDEO_COUNT: 0.10,
+    SWIPE_SKIPS: 0.25,          // Only counted once enough views are recorded
+    FEED_ADVANCE: 0.20,         // Only counted once the feed has advanced
+    AUDIO_STIMULATION: 0.20,    // Only counted while the video in view is audible
+    SPEECH_RATE: 0.15,          // Only counted while captions are available
+    VISUAL_INTENSITY: 0.15      // Only counted while frames are being classified
   },
 
   // Storage keys
@@ -108,7 +366,16 @@ const NEURO_FADE_CONSTANTS = {
     SITE_SETTINGS: 'nf_site_settings',
     TOTAL_INTERVENTIONS: 'nf_total_interventions',
     TOTAL_TIME_SAVED: 'nf_total_time_saved',
-    NPU_ENABLED: 'nf_npu_enabled'
+    BACKEND_POLICY: 'nf_backend_policy',     // NPUBridge.POLICIES key chosen in the dashboard
+    NPU_CAPABILITIES: 'nf_npu_capabilities', // Probed devices, hardware and last benchmark (per browser + extension version)
+    BASELINE: 'nf_baseline',
+    FRAME_BUDGET: 'nf_frame_budget',
+    FLASH_PROTECTION: 'nf_flash_protection',
+    INFERENCE_STATS: 'nf_inference_stats',
+    BENCHMARK_HISTORY: 'nf_benchmark_history',
+    FLASH_LOG: 'nf_flash_log',
+    TRAINING_SAMPLES: 'nf_training_samples', // Moments labelled junk / fine
+    PERSONAL_MODEL: 'nf_personal_model'      // Weights from scripts/train-personal-model.js
   },
 
   // Messages
@@ -119,7 +386,15 @@ const NEURO_FADE_CONSTANTS = {
     SET_SENSITIVITY: 'nf_set_sensitivity',
     BREATHE: 'nf_breathe',
     OPEN_DASHBOARD: 'nf_open_dashboard',
-    SESSION_UPDATE: 'nf_session_update'
+    SESSION_UPDATE: 'nf_session_update',
+    GLOBAL_SCORE: 'nf_global_score',
+    TRACE_START: 'nf_trace_start',
+    TRACE_STOP: 'nf_trace_stop',
+    TRACE_STATUS: 'nf_trace_status',
+    LABEL_MOMENT: 'nf_label_moment',
+    GET_TELEMETRY: 'nf_get_telemetry',
+    BASELINE_COMMIT: 'nf_baseline_commit',
+    BASELINE_RESET: 'nf_baseline_reset'
   }
 };
 
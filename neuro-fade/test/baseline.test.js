@@ -0,0 +1,112 @@
+/**
+ * PersonalBaseline — session statistics, folding and scaling
+ * Runs an in-memory baseline (persist: false), as trace replay does.
+ *
+ * Run: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+// The extension sources are browser scripts that export onto `window` / `self`
+global.window = globalThis;
+global.self = globalThis;
+
+for (const file of ['src/shared/constants.js', 'src/content/baseline.js']) {
+    require(path.join(__dirname, '..', file));
+}
+
+const C = window.NEURO_FADE_CONSTANTS;
+const B = C.BASELINE;
+const SIGNAL = { name: 'scrollVelocity', label: 'Scroll Velocity' };
+
+/**
+ * Run one session that records `values` for a measure and commits it
+ */
+async function session(baseline, values, measure = 'scrollVelocity') {
+    for (const value of values) baseline.record(measure, value, SIGNAL);
+    for (let i = 0; i < B.MIN_SESSION_SAMPLES; i++) baseline.countUpdate();
+    return baseline.commit();
+}
+
+const close = (actual, expected, message) =>
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: ${actual} ≠ ${expected}`);
+
+test('a first session is learned as its mean and population std', async () => {
+    const baseline = new window.PersonalBaseline('Test', { persist: false });
+    assert.strictEqual(await session(baseline, [2, 4, 4, 4, 5, 5, 7, 9]), true);
+
+    const learned = baseline.profile.measures.scrollVelocity;
+    close(learned.mean, 5, 'mean');
+    close(learned.std, 2, 'std');
+    assert.strictEqual(learned.samples, 8);
+    assert.strictEqual(learned.signal, 'scrollVelocity');
+    assert.strictEqual(baseline.profile.sessions, 1);
+});
+
+test('later sessions blend in, rising slower than falling', async () => {
+    const up = new window.PersonalBaseline('Test', { persist: false });
+    await session(up, [10, 10]);
+    await session(up, [20, 20]);
+    close(up.profile.measures.scrollVelocity.mean, 10 + 10 * B.ALPHA_UP, 'mean after a hotter session');
+
+    const down = new window.PersonalBaseline('Test', { persist: false });
+    await session(down, [10, 10]);
+    await session(down, [0, 0]);
+    close(down.profile.measures.scrollVelocity.mean, 10 - 10 * B.ALPHA_DOWN, 'mean after a calmer session');
+
+    // Variances blend at the same rate: 0 + (25 - 0) × ALPHA_UP
+    const spread = new window.PersonalBaseline('Test', { persist: false });
+    await session(spread, [10, 10]);
+    await session(spread, [15, 25]);
+    close(spread.profile.measures.scrollVelocity.std, Math.sqrt(25 * B.ALPHA_UP), 'std');
+    assert.strictEqual(spread.profile.measures.scrollVelocity.samples, 4);
+});
+
+test('short sessions keep accumulating instead of being folded', async () => {
+    const baseline = new window.PersonalBaseline('Test', { persist: false });
+    baseline.record('scrollVelocity', 3, SIGNAL);
+    baseline.countUpdate();
+    assert.strictEqual(await baseline.commit(), false);
+    assert.strictEqual(baseline.profile.sessions, 0);
+    assert.strictEqual(baseline.session.measures.scrollVelocity.count, 1);
+});
+
+test('scale uses the global reference until the baseline is ready', async () => {
+    const baseline = new window.PersonalBaseline('Test', { persist: false });
+    for (let i = 0; i < B.MIN_SESSIONS - 1; i++) await session(baseline, [100, 300]);
+    assert.strictEqual(baseline.isReady(), false);
+    close(baseline.scale('scrollVelocity', 500, 1000), 0.5, 'value / reference');
+    assert.strictEqual(baseline.scale('scrollVelocity', 2000, 1000), 1);
+});
+
+test('scale maps the learned mean to NEUTRAL_VALUE and HIGH_DEVIATIONS above it to 1', async () => {
+    const baseline = new window.PersonalBaseline('Test', { persist: false });
+    baseline.setProfile({
+        measures: { scrollVelocity: { signal: 'scrollVelocity', label: 'Scroll Velocity', mean: 400, std: 150, samples: 90 } },
+        sessions: B.MIN_SESSIONS,
+        updatedAt: null
+    });
+    assert.strictEqual(baseline.isReady(), true);
+
+    close(baseline.scale('scrollVelocity', 400, 1000), B.NEUTRAL_VALUE, 'at the mean');
+    close(baseline.scale('scrollVelocity', 200, 1000), B.NEUTRAL_VALUE / 2, 'half the mean');
+    close(baseline.scale('scrollVelocity', 400 + 150 * B.HIGH_DEVIATIONS, 1000), 1, 'at the high end');
+    assert.strictEqual(baseline.scale('scrollVelocity', 5000, 1000), 1);
+    // A measure it hasn't learned falls back to the reference
+    close(baseline.scale('cutRate', 4, 8), 0.5, 'unlearned measure');
+});
+
+test('scale floors a tiny learned mean and std', () => {
+    const baseline = new window.PersonalBaseline('Test', { persist: false });
+    baseline.setProfile({
+        measures: { cutRate: { signal: 'sceneCuts', label: 'Scene Cuts', mean: 0, std: 0, samples: 90 } },
+        sessions: B.MIN_SESSIONS,
+        updatedAt: null
+    });
+    const mean = 8 * B.MIN_MEAN;
+    const spread = 8 * B.MIN_STD * B.HIGH_DEVIATIONS;
+    close(baseline.scale('cutRate', mean, 8), B.NEUTRAL_VALUE, 'floored mean');
+    close(baseline.scale('cutRate', mean + spread, 8), 1, 'floored std');
+});
@@ -0,0 +1,89 @@
+/**
+ * NeuroFadeDetector — dwell tracking
+ * A headless detector on a virtual clock, with stub videos that dispatch
+ * real media events.
+ *
+ * Run: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+// The extension sources are browser scripts that export onto `window` / `self`
+global.window = globalThis;
+global.self = globalThis;
+
+for (const file of [
+    'src/shared/constants.js',
+    'src/content/frame-analyzer.js',
+    'src/content/caption-tracker.js',
+    'src/content/baseline.js',
+    'src/content/signals.js',
+    'src/content/detector.js'
+]) {
+    require(path.join(__dirname, '..', file));
+}
+
+function headlessDetector() {
+    const clock = { time: 0, now() { return this.time; } };
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return new window.NeuroFadeDetector({ clock, hostname: 'www.youtube.com', headless: true });
+    } finally {
+        console.log = log;
+    }
+}
+
+/**
+ * A video element that autoplay has started but that is not playing yet
+ */
+function loadingVideo() {
+    return Object.assign(new EventTarget(), { paused: false, readyState: 1 });
+}
+
+test('dwell starts at the first playing event, not when the video comes into view', () => {
+    const detector = headlessDetector();
+    const video = loadingVideo();
+    detector._registerVideo(video);
+
+    detector._trackDwell(video, true);
+    detector.clock.time = 2000;
+    video.dispatchEvent(new Event('playing'));
+    detector.clock.time = 5000;
+    detector._trackDwell(null, false);
+
+    assert.deepStrictEqual(detector.dwellHistory.map(v => v.dwell), [3000]);
+});
+
+test('a video that never plays records no dwell', () => {
+    const detector = headlessDetector();
+    const blocked = loadingVideo();
+    const next = loadingVideo();
+    detector._registerVideo(blocked);
+    detector._registerVideo(next);
+
+    detector._trackDwell(blocked, true);
+    detector.clock.time = 8000;
+    detector._trackDwell(next, false);
+
+    assert.deepStrictEqual(detector.dwellHistory, []);
+    assert.strictEqual(detector.currentView, next);
+    // Moving on still counts as an advance through the feed
+    assert.strictEqual(detector.feedAdvances.length, 1);
+});
+
+test('a video that played before starts dwelling as soon as it is back in view', () => {
+    const detector = headlessDetector();
+    const video = loadingVideo();
+    detector._registerVideo(video);
+    video.dispatchEvent(new Event('playing'));
+
+    detector.clock.time = 1000;
+    detector._trackDwell(video, true);
+    detector.clock.time = 1500;
+    detector._trackDwell(null, false);
+
+    assert.deepStrictEqual(detector.dwellHistory.map(v => v.dwell), [500]);
+});
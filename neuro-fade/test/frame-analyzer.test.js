@@ -0,0 +1,169 @@
+/**
+ * FrameAnalyzer sampling — flash protection under the CPU budget
+ * Drives the analyzer the way the detector does (sample, then wait
+ * getSampleInterval()) on a virtual clock, with frames from scripted videos
+ * run through the real FrameProcessor.
+ *
+ * Run: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+// The extension sources are browser scripts that export onto `window` / `self`
+global.window = globalThis;
+global.self = globalThis;
+
+for (const file of [
+    'src/shared/constants.js',
+    'src/content/frame-processor.js',
+    'src/content/frame-analyzer.js',
+    'src/effects/audio-processor.js',
+    'src/effects/fade-engine.js'
+]) {
+    require(path.join(__dirname, '..', file));
+}
+
+// Detector progress logs, and the worker failing to start outside the extension
+console.log = console.debug = () => {};
+
+const C = window.NEURO_FADE_CONSTANTS;
+const { FRAME_WIDTH: WIDTH, FRAME_HEIGHT: HEIGHT } = C.SCENE_CUT;
+
+const FRAME_COST = 5;       // ms of main-thread work per frame — 20 frames/s is well over the budget
+const CALM = 1000;          // The video plays calmly before it starts flashing
+const DURATION = 4000;
+const BUDGET_INTERVAL = (FRAME_COST / C.FRAME_SAMPLING.CPU_BUDGET) * 1000; // Fastest sampling the budget pays for
+
+/**
+ * A frame of one color with a block texture of the given size and contrast
+ */
+function frame([r, g, b], block = 8, contrast = 20) {
+    const data = new Uint8ClampedArray(WIDTH * HEIGHT * 4);
+    for (let y = 0; y < HEIGHT; y++) {
+        for (let x = 0; x < WIDTH; x++) {
+            const i = (y * WIDTH + x) * 4;
+            const texture = (Math.floor(x / block) + Math.floor(y / block)) % 2 ? contrast : 0;
+            data[i] = r + texture;
+            data[i + 1] = g + texture;
+            data[i + 2] = b + texture;
+            data[i + 3] = 255;
+        }
+    }
+    return data;
+}
+
+/**
+ * A video that alternates bright / dark at `hz` cycles per second after CALM ms
+ */
+function flashing(hz) {
+    const bright = frame([220, 220, 220]);
+    const dark = frame([30, 30, 30]);
+    return time => hz > 0 && time >= CALM && Math.floor((time - CALM) * hz * 2 / 1000) % 2 === 0 ? bright : dark;
+}
+
+/**
+ * A video that cuts to a new shot every `shotMs`: shots of different hues and
+ * textures, in pairs of bright then dark shots — every other cut is a
+ * luminance transition, and opposing ones are two shots apart
+ */
+function cutting(shotMs) {
+    const shots = [
+        [150, 200, 230], [200, 210, 120], [30, 60, 90], [50, 80, 30],
+        [170, 190, 200], [200, 210, 120], [60, 40, 90], [40, 70, 60]
+    ].map((color, k) => frame(color, 4 + k * 3, 40));
+    return time => shots[Math.floor(time / shotMs) % shots.length];
+}
+
+/**
+ * Sample a video (frameAt: time → RGBA pixels) as the detector would, and
+ * report what FadeEngine was told
+ * @returns {Object} { protectedAt, intervals, isProtected, metrics }
+ */
+function play(frameAt) {
+    const clock = { time: 0, now() { return this.time; } };
+    const video = { paused: false, ended: false, readyState: 4, videoWidth: 1280, isConnected: true, frameAt };
+
+    // Main-thread capture path: the canvas "draws" the video's current frame,
+    // and every capture costs FRAME_COST ms of (virtual) CPU time
+    let cpu = 0;
+    global.performance = { now: () => cpu };
+    global.OffscreenCanvas = class {
+        constructor(width, height) {
+            this.width = width;
+            this.height = height;
+        }
+
+        getContext() {
+            let drawn = null;
+            return {
+                drawImage: (source) => {
+                    drawn = source.frameAt(clock.now());
+                    cpu += FRAME_COST;
+                },
+                getImageData: () => ({ data: drawn })
+            };
+        }
+    };
+
+    // No worker or NPUBridge outside the extension: frames are analyzed on the main thread
+    const analyzer = new window.FrameAnalyzer({ clock });
+    assert.strictEqual(analyzer.budget, C.FRAME_SAMPLING.CPU_BUDGET);
+
+    const fadeEngine = new window.FadeEngine({ headless: true });
+    let protectedAt = null;
+    analyzer.onFlash = (flagged, flashing) => {
+        if (flagged) {
+            fadeEngine.protect(flashing);
+            if (protectedAt === null) protectedAt = clock.now();
+        } else {
+            fadeEngine.unprotect(flashing);
+        }
+    };
+
+    const intervals = [];
+    while (clock.time < DURATION) {
+        analyzer.analyzeFrame(video);
+        const interval = analyzer.getSampleInterval();
+        intervals.push(interval);
+        clock.time += interval;
+    }
+    return { protectedAt, intervals, isProtected: fadeEngine.protectedVideos.has(video), metrics: analyzer.getMetrics() };
+}
+
+/**
+ * Assert no interval (after the first, before any cost is known) is shorter than `minimum`
+ */
+function assertSampledAtMost(intervals, minimum) {
+    const fastest = Math.min(...intervals.slice(1));
+    assert.ok(fastest >= minimum - 1e-9, `sampled every ${fastest} ms, faster than ${minimum} ms`);
+}
+
+test('a 4 Hz alternation fires protect() under the default budget', () => {
+    const { protectedAt, isProtected, intervals } = play(flashing(4));
+    assert.ok(protectedAt !== null, 'FadeEngine.protect() was never called');
+    // Once a flash is suspected, a second of flashing has to be seen
+    assert.ok(protectedAt - CALM < 2500, `protected ${protectedAt - CALM} ms into the flashing`);
+    assert.ok(isProtected);
+    // Flash sampling is exempt from the budget only up to FLASH.BUDGET_FACTOR times it
+    assertSampledAtMost(intervals, BUDGET_INTERVAL / C.FLASH.BUDGET_FACTOR);
+});
+
+test('a 1 Hz alternation is not flagged', () => {
+    const { protectedAt } = play(flashing(1));
+    assert.strictEqual(protectedAt, null);
+});
+
+test('a static video is sampled within the budget', () => {
+    const { intervals } = play(flashing(0));
+    assertSampledAtMost(intervals, BUDGET_INTERVAL);
+});
+
+test('a video cutting every 700 ms without flashing is sampled within the budget', () => {
+    const { protectedAt, intervals, metrics } = play(cutting(700));
+    assert.ok(metrics.cutRate >= C.SCENE_CUT.HIGH_CUT_RATE, `cut rate ${metrics.cutRate} per 10 s`);
+    assert.strictEqual(protectedAt, null);
+    // Transitions further apart than the flash window are cuts, not flashes
+    assertSampledAtMost(intervals, BUDGET_INTERVAL);
+});
@@ -0,0 +1,115 @@
+/**
+ * Personal model — scripts/train-personal-model.js output as NPUBridge
+ * validates and applies it
+ *
+ * Run: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The extension sources are browser scripts that export onto `window` / `self`
+global.window = globalThis;
+global.self = globalThis;
+
+for (const file of ['src/shared/constants.js', 'src/npu/npu-bridge.js']) {
+    require(path.join(__dirname, '..', file));
+}
+
+const C = window.NEURO_FADE_CONSTANTS;
+const FEATURES = C.CONTENT_CLASSIFY.FEATURES;
+const SATURATION = FEATURES.indexOf('maxSaturation');
+
+/**
+ * A labels export (the dashboard's Training Data card) where junk moments
+ * are the saturated ones
+ */
+function labelsExport(count = 30) {
+    let seed = 1;
+    const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+    const samples = Array.from({ length: count }, (_, i) => {
+        const junk = i % 2 === 1;
+        const features = FEATURES.map(() => 0.3 + random() * 0.4);
+        features[SATURATION] = junk ? 0.8 + random() * 0.2 : random() * 0.3;
+        return { label: junk ? 'junk' : 'fine', features };
+    });
+    return { format: 1, exportedAt: 0, features: FEATURES, labels: C.TRAINING.LABELS, samples };
+}
+
+/**
+ * Run the trainer on an export and read back the model it writes
+ */
+function train(data) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nf-personal-'));
+    try {
+        const input = path.join(dir, 'labels.json');
+        const output = path.join(dir, 'personal-model.json');
+        fs.writeFileSync(input, JSON.stringify(data));
+        execFileSync(process.execPath, [path.join(__dirname, '..', 'scripts', 'train-personal-model.js'), input, output],
+            { stdio: 'pipe' });
+        return JSON.parse(fs.readFileSync(output, 'utf8'));
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+const model = train(labelsExport());
+
+test('a trained model passes NPUBridge validation', () => {
+    assert.doesNotThrow(() => window.NPUBridge._validatePersonalModel(model));
+    assert.strictEqual(window.NPUBridge._acceptPersonalModel(model), model);
+    assert.deepStrictEqual(model.features, FEATURES);
+    assert.deepStrictEqual(model.labels, C.TRAINING.LABELS);
+    assert.strictEqual(model.training.samples, 30);
+    assert.ok(model.training.accuracy >= 0.9, `accuracy ${model.training.accuracy}`);
+});
+
+test('models that do not match this build are rejected', (t) => {
+    const rejects = (changes, pattern) => {
+        const tampered = { ...structuredClone(model), ...changes };
+        assert.throws(() => window.NPUBridge._validatePersonalModel(tampered), pattern);
+        assert.strictEqual(window.NPUBridge._acceptPersonalModel(tampered), null);
+    };
+    const debug = console.debug;
+    console.debug = () => {}; // "Ignoring personal model"
+    t.after(() => { console.debug = debug; });
+
+    rejects({ type: 'neural-network' }, /logistic regression/);
+    rejects({ features: FEATURES.slice(1) }, /features must be/);
+    rejects({ labels: ['junk', 'fine'] }, /labels must be/);
+    rejects({ weights: model.weights.slice(1) }, /finite weight per feature/);
+    rejects({ bias: NaN }, /finite weight per feature/);
+    rejects({ normalization: { ...model.normalization, std: model.normalization.std.map(() => 0) } }, /positive std/);
+    rejects({ training: { samples: 0, accuracy: 1 } }, /trainedAt and training/);
+});
+
+test('the trainer refuses an export with too few moments of a kind', () => {
+    const data = labelsExport();
+    data.samples = data.samples.filter((sample, i) => sample.label === 'fine' || i < 4);
+    assert.throws(() => train(data), error => /Need at least \d+ moments labelled junk/.test(error.stderr));
+});
+
+test('the personal model maps junk probability onto content categories', () => {
+    const bridge = Object.create(window.NPUBridge.prototype);
+    bridge.personalModel = model;
+    const frame = saturation => {
+        const features = model.normalization.mean.slice();
+        features[SATURATION] = saturation;
+        return bridge._classifyPersonal(features);
+    };
+    const T = window.NPUBridge.PERSONAL_THRESHOLDS;
+
+    const junk = frame(1);
+    assert.strictEqual(junk.category, 'high_dopamine');
+    assert.ok(junk.junk >= T.JUNK);
+    assert.strictEqual(junk.confidence, junk.junk);
+
+    const fine = frame(0);
+    assert.strictEqual(fine.category, 'calming');
+    assert.ok(fine.junk <= T.FINE);
+    assert.strictEqual(fine.backend, 'personal');
+});
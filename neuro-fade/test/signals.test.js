@@ -0,0 +1,97 @@
+/**
+ * SignalRegistry — weighted composite and baseline recording
+ * Signals run against a stub detector on a virtual clock.
+ *
+ * Run: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+// The extension sources are browser scripts that export onto `window` / `self`
+global.window = globalThis;
+global.self = globalThis;
+
+for (const file of ['src/shared/constants.js', 'src/content/baseline.js', 'src/content/signals.js']) {
+    require(path.join(__dirname, '..', file));
+}
+
+const C = window.NEURO_FADE_CONSTANTS;
+
+/**
+ * A detector with no activity, for the default signals to read
+ */
+function stubDetector() {
+    const clock = { time: 0, now() { return this.time; } };
+    return {
+        clock,
+        startTime: 0,
+        scrollEvents: [],
+        domHeightChanges: [],
+        videos: new Set(),
+        dwellHistory: [],
+        feedAdvances: [],
+        currentView: null,
+        audioProcessor: null,
+        captionTracker: { getMetrics: () => null },
+        frameAnalyzer: {
+            lastFrameAt: null,
+            getMetrics: () => ({ cutRate: 0, avgMotion: 0 }),
+            getVisualIntensity: () => null
+        }
+    };
+}
+
+test('each scroll is recorded into the baseline once, however long it stays in the window', () => {
+    const registry = window.SignalRegistry.withDefaults(C);
+    registry.baseline = new window.PersonalBaseline('Test', { persist: false });
+    const detector = stubDetector();
+
+    const velocities = [800, 1200, 3000];
+    for (let tick = 1; tick <= 6; tick++) {
+        detector.clock.time = tick * 1000;
+        if (tick <= velocities.length) {
+            detector.scrollEvents.push({ time: detector.clock.time - 500, velocity: velocities[tick - 1], dy: 100 });
+        }
+        registry.evaluate(detector);
+    }
+
+    const recorded = registry.baseline.session.measures.scrollVelocity;
+    assert.strictEqual(recorded.count, velocities.length);
+    assert.strictEqual(recorded.sum, velocities.reduce((a, b) => a + b, 0));
+});
+
+test('window measurements are only recorded when new data arrived', () => {
+    const registry = window.SignalRegistry.withDefaults(C);
+    registry.baseline = new window.PersonalBaseline('Test', { persist: false });
+    const detector = stubDetector();
+
+    detector.frameAnalyzer.lastFrameAt = 500;
+    for (let tick = 1; tick <= 4; tick++) {
+        detector.clock.time = tick * 1000;
+        registry.evaluate(detector);
+    }
+
+    const { measures } = registry.baseline.session;
+    assert.strictEqual(measures.cutRate.count, 1);
+    assert.strictEqual(measures.motion.count, 1);
+    assert.strictEqual(measures.contentChanges, undefined);
+    // Levels without events are sampled every update
+    assert.strictEqual(measures.activeVideos.count, 4);
+    assert.strictEqual(registry.baseline.session.updates, 4);
+});
+
+test('scaling for the score does not record', () => {
+    const registry = window.SignalRegistry.withDefaults(C);
+    const baseline = new window.PersonalBaseline('Test', { persist: false });
+    registry.baseline = baseline;
+    const detector = stubDetector();
+    detector.scrollEvents.push({ time: 0, velocity: 5000, dy: 100 });
+
+    registry.evaluate(detector);
+    const before = baseline.session.measures.scrollVelocity.count;
+    baseline.scale('scrollVelocity', 5000, C.SCROLL.VELOCITY_THRESHOLD);
+    registry.evaluate(detector);
+    assert.strictEqual(baseline.session.measures.scrollVelocity.count, before);
+});
@@ -0,0 +1,117 @@
+/**
+ * TraceReplay — golden trace and trace validation
+ * fixtures/shorts-session.trace.json is a synthetic 90 s YouTube Shorts
+ * session: 30 s on one calm video, then a swipe to a busy one every 3 s.
+ * Its expected score timeline is in fixtures/shorts-session.expected.json;
+ * after an intended scoring change, regenerate it with
+ * UPDATE_GOLDEN=1 npm test and review the diff.
+ *
+ * Run: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+// The extension sources are browser scripts that export onto `window` / `self`
+global.window = globalThis;
+global.self = globalThis;
+
+// Same sources, in the same order, as scripts/replay-trace.js
+for (const file of [
+    'src/shared/constants.js',
+    'src/content/frame-analyzer.js',
+    'src/content/caption-tracker.js',
+    'src/content/baseline.js',
+    'src/content/signals.js',
+    'src/content/detector.js',
+    'src/effects/audio-processor.js',
+    'src/effects/fade-engine.js',
+    'src/content/trace-replay.js'
+]) {
+    require(path.join(__dirname, '..', file));
+}
+
+const TRACE = path.join(__dirname, 'fixtures', 'shorts-session.trace.json');
+const EXPECTED = path.join(__dirname, 'fixtures', 'shorts-session.expected.json');
+
+const readTrace = () => JSON.parse(fs.readFileSync(TRACE, 'utf8'));
+const round = value => Math.round(value * 1e6) / 1e6;
+
+/**
+ * Replay a trace without the detector's progress logs
+ */
+function replay(trace) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return new window.TraceReplay(trace).run();
+    } finally {
+        console.log = log;
+    }
+}
+
+/**
+ * The parts of a replay the golden file pins down
+ */
+function golden({ timeline, summary }) {
+    return {
+        summary: {
+            ...summary,
+            peakScore: round(summary.peakScore),
+            meanScore: round(summary.meanScore),
+            finalScore: round(summary.finalScore),
+            timeAtLevel: Object.fromEntries(Object.entries(summary.timeAtLevel).map(([level, ms]) => [level, round(ms)]))
+        },
+        timeline: timeline.map(entry => [entry.t, round(entry.score), entry.level, entry.feedMode])
+    };
+}
+
+test('the golden trace replays to the recorded score timeline', () => {
+    const actual = golden(replay(readTrace()));
+    if (process.env.UPDATE_GOLDEN) {
+        // One timeline entry per line, so a scoring change diffs readably
+        fs.writeFileSync(EXPECTED, `{\n  "summary": ${JSON.stringify(actual.summary)},\n  "timeline": [\n` +
+            actual.timeline.map(entry => `    ${JSON.stringify(entry)}`).join(',\n') + '\n  ]\n}\n');
+    }
+    assert.deepStrictEqual(actual, JSON.parse(fs.readFileSync(EXPECTED, 'utf8')));
+});
+
+test('replay is deterministic and leaves the trace untouched', () => {
+    const trace = readTrace();
+    const before = JSON.stringify(trace);
+    const first = replay(trace);
+    assert.strictEqual(JSON.stringify(trace), before);
+    assert.deepStrictEqual(replay(trace), first);
+});
+
+test('the busy half of the session scores above the calm half', () => {
+    const { timeline, summary } = replay(readTrace());
+    const mean = entries => entries.reduce((sum, e) => sum + e.score, 0) / entries.length;
+    const calm = timeline.filter(e => e.t < 30000);
+    const busy = timeline.filter(e => e.t >= 60000);
+
+    assert.ok(mean(busy) > mean(calm) + 20, `busy ${mean(busy)} vs calm ${mean(calm)}`);
+    assert.ok(calm.every(e => e.level === 'low'));
+    assert.ok(summary.timeAtLevel.critical > 0);
+    assert.deepStrictEqual(summary.skipped, {});
+    // Effects follow the score once it leaves the low level
+    assert.ok(timeline[timeline.length - 1].effects.grayscale > 0);
+});
+
+test('traces this build cannot replay are rejected', () => {
+    const withHeader = changes => ({ ...readTrace(), ...changes });
+    const rejects = (trace, pattern) => assert.throws(() => new window.TraceReplay(trace), pattern);
+
+    rejects(withHeader({ format: 'other' }), /Not a Neuro-Fade trace/);
+    rejects(withHeader({ version: 1 }), /older build/);
+    rejects(withHeader({ host: undefined }), /missing its host or events/);
+    rejects(withHeader({ feedMode: 'sideways' }), /unknown feed mode: sideways/);
+    rejects(withHeader({ feedMode: 'constructor' }), /unknown feed mode/);
+    rejects(withHeader({ sensitivity: 2 }), /sensitivity must be a number from 0 to 1/);
+
+    const trace = readTrace();
+    trace.events.push({ t: 1000, type: 'sensitivity', value: '0.5' });
+    rejects(trace, /sensitivity/);
+});